@@ -0,0 +1,207 @@
+/**
+ * gc/bc service worker
+ * Caches the app shell so gc/bc opens without a connection, and keeps the
+ * latest copy of every /api/reviews response to answer with when the
+ * network can't. Everything else goes straight to the network.
+ */
+
+const CACHE_PREFIX = "gcbc-";
+const SHELL_CACHE = `${CACHE_PREFIX}shell-v1`;
+const REVIEWS_CACHE = `${CACHE_PREFIX}reviews-v1`;
+
+// Review responses kept for offline use; the least recently saved are
+// dropped beyond this
+const MAX_REVIEW_RESPONSES = 500;
+
+// Files outside the build's hashed assets that the shell needs
+const SHELL_FILES = ["/", "/favicon.svg", "/manifest.webmanifest"];
+
+// Built assets referenced by a page, like /assets/index-D3Uj7rOT.js
+const ASSET_PATTERN = /(?:src|href)="(\/assets\/[^"]+)"/g;
+
+/**
+ * Cache the index page and the built assets it references, dropping assets
+ * from earlier builds
+ * @param {Response} response - The index page
+ * @returns {Promise<void>} Resolves once the shell is cached
+ */
+async function cacheShell(response) {
+  const cache = await caches.open(SHELL_CACHE);
+  const html = await response.clone().text();
+  const assets = [...html.matchAll(ASSET_PATTERN)].map((match) =>
+    new URL(match[1], self.location.origin).toString()
+  );
+
+  await cache.put("/", response);
+  await Promise.all(
+    assets.map(async (asset) => {
+      if (!(await cache.match(asset))) await cache.add(asset);
+    })
+  );
+
+  // Hashed names change every build; lazily loaded assets are cached again
+  // when they are next requested
+  const keys = await cache.keys();
+  await Promise.all(
+    keys
+      .filter(
+        (request) =>
+          new URL(request.url).pathname.startsWith("/assets/") &&
+          !assets.includes(request.url)
+      )
+      .map((request) => cache.delete(request))
+  );
+}
+
+/**
+ * Key a review request for the cache. Review pages are POSTs, which the
+ * Cache API can't store, so their body becomes part of a GET key.
+ * @param {Request} request - Review request
+ * @returns {Promise<string>} Cache key
+ */
+async function getReviewsCacheKey(request) {
+  if (request.method === "GET") return request.url;
+  const body = await request.clone().text();
+  return `${request.url}?body=${encodeURIComponent(body)}`;
+}
+
+/**
+ * Drop the least recently saved review responses beyond
+ * MAX_REVIEW_RESPONSES. Cache keys list in the order entries were put, and
+ * putting an existing key moves it to the end.
+ * @param {Cache} cache - The reviews cache
+ * @returns {Promise<void>} Resolves once pruned
+ */
+async function pruneReviews(cache) {
+  const keys = await cache.keys();
+  const excess = keys.length - MAX_REVIEW_RESPONSES;
+  if (excess <= 0) return;
+  await Promise.all(
+    keys.slice(0, excess).map((request) => cache.delete(request))
+  );
+}
+
+/**
+ * Answer a review request from the network, keeping a copy, or from the
+ * copy when the network fails
+ * @param {Request} request - Review request
+ * @returns {Promise<Response>} The response
+ */
+async function fetchReviews(request) {
+  const cache = await caches.open(REVIEWS_CACHE);
+  const cacheKey = await getReviewsCacheKey(request);
+
+  try {
+    const response = await fetch(request);
+    // 304s carry no body; the page already holds the data they refer to
+    if (response.status === 200) {
+      await cache.put(cacheKey, response.clone());
+      await pruneReviews(cache);
+    }
+    return response;
+  } catch (error) {
+    const cached = await cache.match(cacheKey);
+    if (cached) return cached;
+    return new Response(
+      JSON.stringify({
+        error: "You're offline and these reviews aren't saved",
+      }),
+      { status: 503, headers: { "Content-Type": "application/json" } }
+    );
+  }
+}
+
+/**
+ * Load a page from the network, refreshing the cached shell, or from the
+ * cached shell when offline
+ * @param {Request} request - Navigation request
+ * @returns {Promise<Response>} The page
+ */
+async function fetchPage(request) {
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      cacheShell(response.clone()).catch((error) =>
+        console.warn("Failed to cache the app shell:", error)
+      );
+    }
+    return response;
+  } catch (error) {
+    const cached = await caches.match("/");
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+/**
+ * Serve a built asset from the cache, fetching and caching it if missing;
+ * their names are hashed, so a cached copy is never stale
+ * @param {Request} request - Asset request
+ * @returns {Promise<Response>} The asset
+ */
+async function fetchAsset(request) {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok) {
+    const cache = await caches.open(SHELL_CACHE);
+    await cache.put(request, response.clone());
+  }
+  return response;
+}
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    (async () => {
+      const cache = await caches.open(SHELL_CACHE);
+      await cache.addAll(SHELL_FILES);
+      await cacheShell(await cache.match("/"));
+      await self.skipWaiting();
+    })()
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    (async () => {
+      // Drop caches from earlier versions of this worker
+      const names = await caches.keys();
+      await Promise.all(
+        names
+          .filter(
+            (name) =>
+              name.startsWith(CACHE_PREFIX) &&
+              name !== SHELL_CACHE &&
+              name !== REVIEWS_CACHE
+          )
+          .map((name) => caches.delete(name))
+      );
+      await self.clients.claim();
+    })()
+  );
+});
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+
+  // The API may be on another origin (VITE_API_URL); review jobs stream
+  // progress and only make sense online
+  if (
+    url.pathname.startsWith("/api/reviews") &&
+    !url.pathname.startsWith("/api/reviews/jobs")
+  ) {
+    event.respondWith(fetchReviews(request));
+    return;
+  }
+
+  if (url.origin !== self.location.origin || request.method !== "GET") {
+    return;
+  }
+  if (request.mode === "navigate") {
+    event.respondWith(fetchPage(request));
+  } else if (url.pathname.startsWith("/assets/")) {
+    event.respondWith(fetchAsset(request));
+  }
+});
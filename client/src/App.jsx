@@ -1,5 +1,12 @@
-import React, { useState, useEffect, useCallback, useMemo } from "react";
-import { companyApi, reviewApi } from "./utils/api";
+import React, {
+  useState,
+  useEffect,
+  useCallback,
+  useMemo,
+  useRef,
+} from "react";
+import { companyApi, reviewApi, isAbortError } from "./utils/api";
+import { reviewCacheHelpers } from "./utils/migrations";
 import { CompanySelector } from "./components/CompanySelector";
 import { CompanyManagement } from "./components/CompanyManagement";
 import { Modal } from "./components/Modal";
@@ -9,12 +16,34 @@ import { ReviewsTable } from "./components/ReviewsTable";
 import { ReviewDetails } from "./components/ReviewDetails";
 import { CompanyLogo } from "./components/CompanyLogo";
 import { VersionNotice } from "./components/VersionNotice";
+import { UpdateBanner } from "./components/UpdateBanner";
+import { OfflineIndicator } from "./components/OfflineIndicator";
+import { Changelog } from "./components/Changelog";
 import { UserGuidance } from "./components/UserGuidance";
 import { FeedbackButton } from "./components/FeedbackButton";
-import { Loader2, HelpCircle } from "lucide-react";
-import { subMonths, isAfter, parseISO } from "date-fns";
+import { ReviewFilters } from "./components/ReviewFilters";
+import { IncompleteReviewsNotice } from "./components/IncompleteReviewsNotice";
+import { CacheManager } from "./components/CacheManager";
+import { Loader2, HelpCircle, Database, Sparkles } from "lucide-react";
+import { subMonths, isAfter } from "date-fns";
 import { APP_VERSION } from "./utils/version";
-import { initializeVersioning } from "./utils/versionService";
+import {
+  getUnseenVersions,
+  initializeVersioning,
+  markVersionSeen,
+} from "./utils/versionService";
+import { LOCAL_STORAGE_KEYS } from "./utils/localStorageService";
+import { normalizeReviewFilters } from "./utils/reviewFilters";
+import { readStoredValue } from "./utils/storageSchemas";
+import { getReviewDate } from "./utils/reviewDates";
+import { isReviewCacheFresh } from "./utils/reviewCacheSettings";
+import { SYNC_TOPICS, subscribeToChanges } from "./utils/crossTabSync";
+
+// Load the saved review filters, falling back to the defaults
+const loadReviewFilters = () =>
+  normalizeReviewFilters(
+    readStoredValue(LOCAL_STORAGE_KEYS.REVIEW_FILTERS) || undefined
+  );
 
 function App() {
   const [companies, setCompanies] = useState([]);
@@ -30,8 +59,15 @@ function App() {
   const [comparedCompanies, setComparedCompanies] = useState([]);
   const [companyReviews, setCompanyReviews] = useState({}); // { [companyId]: reviewsArray }
   const [loadingCompared, setLoadingCompared] = useState({}); // { [companyId]: true/false }
+  const [reviewDatasets, setReviewDatasets] = useState({}); // { [companyId]: fetch completeness }
+  const reviewLoadRef = useRef(null); // AbortController for the selected company's fetch
+  const comparedLoadsRef = useRef({}); // { [companyId]: AbortController }
+  const [reviewFilters, setReviewFilters] = useState(loadReviewFilters);
   const [versionStatus, setVersionStatus] = useState(null); // Track version status
   const [versionModalOpen, setVersionModalOpen] = useState(false); // For showing version updates
+  const [cacheManagerOpen, setCacheManagerOpen] = useState(false); // For managing review caches
+  const [changelogOpen, setChangelogOpen] = useState(false); // For browsing all releases
+  const [hasUnseenVersions, setHasUnseenVersions] = useState(false); // Releases since the last visit
   const [userGuidanceOpen, setUserGuidanceOpen] = useState(false); // For showing user guidance  // Initialize versioning and check for updates on mount
   useEffect(() => {
     const checkVersion = async () => {
@@ -42,6 +78,7 @@ function App() {
         // Initialize versioning system
         const status = await initializeVersioning();
         setVersionStatus(status);
+        setHasUnseenVersions(getUnseenVersions().length > 0);
 
         // Show version notice based on status
         if (status.updated) {
@@ -68,24 +105,165 @@ function App() {
     checkVersion();
   }, []);
 
+  // Run migrations the user held back to review, now that they've confirmed
+  const handleConfirmMigration = async () => {
+    setLoading(true);
+    try {
+      const status = await initializeVersioning({ confirmDestructive: true });
+      setVersionStatus(status);
+      await loadCompanies();
+    } catch (error) {
+      console.error("Failed to run confirmed migration:", error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
   const loadCompanies = async () => {
     try {
       const data = await companyApi.getAll();
       console.log("Loaded companies from local storage:", data);
       setCompanies(data);
+      return data;
     } catch (error) {
       console.error("Failed to load companies:", error);
+      return null;
+    }
+  };
+
+  // Another tab changed the company list: reload it, let go of companies it
+  // deleted and pick up its edits to the ones still on screen
+  const handleCompaniesChangedElsewhere = async () => {
+    const data = await loadCompanies();
+    if (!data) return;
+
+    const exists = (id) => data.some((company) => company.id === id);
+    if (selectedCompany && !exists(selectedCompany)) {
+      handleCompanySelect(null);
+    }
+    comparedCompanies
+      .filter((company) => !exists(company.id))
+      .forEach((company) =>
+        comparedLoadsRef.current[company.id]?.abort("superseded")
+      );
+    setComparedCompanies((compared) =>
+      compared
+        .filter((company) => exists(company.id))
+        .map((company) => data.find((c) => c.id === company.id))
+    );
+  };
+
+  // Another tab saved reviews: show them if they are newer than what this tab
+  // has for a company on screen and this tab isn't fetching that company
+  const handleReviewCacheChangedElsewhere = async ({ action, cacheKey }) => {
+    if (action !== "put") return;
+
+    const onScreen = [
+      ...(selectedCompany && !reviewLoadRef.current ? [selectedCompany] : []),
+      ...comparedCompanies
+        .map((company) => company.id)
+        .filter((id) => !comparedLoadsRef.current[id]),
+    ];
+    const companyId = onScreen.find(
+      (id) => reviewCacheHelpers.getKey(id, reviewFilters) === cacheKey
+    );
+    if (!companyId) return;
+
+    const cached = await reviewCacheHelpers.getReviews(
+      companyId,
+      reviewFilters
+    );
+    if (
+      !cached ||
+      cached.timestamp <= (reviewDatasets[companyId]?.timestamp || 0)
+    ) {
+      return;
+    }
+
+    if (companyId === selectedCompany) {
+      setReviews(cached.reviews);
+    } else {
+      setCompanyReviews((cr) => ({ ...cr, [companyId]: cached.reviews }));
+    }
+    setReviewDatasets((rd) => ({ ...rd, [companyId]: cached }));
+  };
+
+  // Another tab changed the review filters: apply them here too
+  const handleReviewFiltersChangedElsewhere = () => {
+    const filters = loadReviewFilters();
+    if (JSON.stringify(filters) !== JSON.stringify(reviewFilters)) {
+      applyReviewFilters(filters);
+    }
+  };
+
+  // Another tab changed the cache TTL or unpinned a review set: reload the
+  // companies on screen whose reviews are no longer fresh
+  const reloadStaleReviews = async () => {
+    if (selectedCompany && !reviewLoadRef.current) {
+      const cached = await reviewCacheHelpers.getReviews(
+        selectedCompany,
+        reviewFilters
+      );
+      if (cached && !isReviewCacheFresh(cached)) {
+        handleCompanySelect(selectedCompany);
+      }
+    }
+    for (const company of comparedCompanies) {
+      if (comparedLoadsRef.current[company.id]) continue;
+      const cached = await reviewCacheHelpers.getReviews(
+        company.id,
+        reviewFilters
+      );
+      if (cached && !isReviewCacheFresh(cached)) {
+        loadComparedReviews(company);
+      }
     }
   };
 
-  const handleCompanySelect = async (companyId) => {
+  // Subscribe once; the ref always holds handlers that see the latest state
+  const crossTabHandlersRef = useRef(null);
+  crossTabHandlersRef.current = {
+    [LOCAL_STORAGE_KEYS.COMPANIES]: handleCompaniesChangedElsewhere,
+    [LOCAL_STORAGE_KEYS.REVIEW_FILTERS]: handleReviewFiltersChangedElsewhere,
+    [LOCAL_STORAGE_KEYS.REVIEW_CACHE_SETTINGS]: reloadStaleReviews,
+    [SYNC_TOPICS.REVIEW_CACHE]: (detail) =>
+      detail.action === "update"
+        ? reloadStaleReviews()
+        : handleReviewCacheChangedElsewhere(detail),
+  };
+  useEffect(
+    () =>
+      subscribeToChanges(
+        [
+          LOCAL_STORAGE_KEYS.COMPANIES,
+          LOCAL_STORAGE_KEYS.REVIEW_FILTERS,
+          LOCAL_STORAGE_KEYS.REVIEW_CACHE_SETTINGS,
+          SYNC_TOPICS.REVIEW_CACHE,
+        ],
+        (topic, detail) => crossTabHandlersRef.current[topic](detail)
+      ),
+    []
+  );
+
+  const handleCompanySelect = async (companyId, filters = reviewFilters) => {
     console.log("Selected company:", companyId);
+
+    // Stop any fetch still running for the previously selected company
+    if (reviewLoadRef.current) {
+      reviewLoadRef.current.abort("superseded");
+      reviewLoadRef.current = null;
+      setLoading(false);
+      setLoadingProgress(null);
+    }
+
     setSelectedCompany(companyId);
     setReviews([]);
     setSelectedReviews([]);
     setDateRange(null);
 
     if (companyId) {
+      const controller = new AbortController();
+      reviewLoadRef.current = controller;
       setLoading(true);
       setLoadingProgress(null);
 
@@ -96,25 +274,100 @@ function App() {
         console.log("Found selected company:", selectedCompany);
 
         if (selectedCompany) {
-          const allReviews = await reviewApi.fetchAllReviews(
+          const dataset = await reviewApi.fetchReviewDataset(
             selectedCompany.id,
             (progress) => {
-              setLoadingProgress(progress);
-            }
+              if (!controller.signal.aborted) setLoadingProgress(progress);
+            },
+            filters,
+            { signal: controller.signal }
           );
-          setReviews(allReviews);
+          setReviews(dataset.reviews);
+          setReviewDatasets((rd) => ({ ...rd, [selectedCompany.id]: dataset }));
         } else {
           console.error("Selected company not found:", companyId);
         }
       } catch (error) {
-        console.error("Failed to fetch reviews:", error);
+        if (!isAbortError(error)) {
+          console.error("Failed to fetch reviews:", error);
+        } else if (controller.signal.reason === "cancelled") {
+          // Show whatever was cached before the user cancelled, so the
+          // partial fetch can be resumed
+          const cached = await reviewCacheHelpers.getReviews(
+            companyId,
+            filters
+          );
+          if (cached && reviewLoadRef.current === controller) {
+            setReviews(cached.reviews);
+            setReviewDatasets((rd) => ({ ...rd, [companyId]: cached }));
+          }
+        }
       } finally {
-        setLoading(false);
-        setLoadingProgress(null);
+        if (reviewLoadRef.current === controller) {
+          reviewLoadRef.current = null;
+          setLoading(false);
+          setLoadingProgress(null);
+        }
+      }
+    }
+  };
+
+  const handleCancelLoading = () => {
+    reviewLoadRef.current?.abort("cancelled");
+  };
+
+  const loadComparedReviews = async (company, filters = reviewFilters) => {
+    comparedLoadsRef.current[company.id]?.abort("superseded");
+    const controller = new AbortController();
+    comparedLoadsRef.current[company.id] = controller;
+
+    setLoadingCompared((lc) => ({ ...lc, [company.id]: true }));
+    try {
+      const dataset = await reviewApi.fetchReviewDataset(
+        company.id,
+        undefined,
+        filters,
+        { signal: controller.signal }
+      );
+      setCompanyReviews((cr) => ({ ...cr, [company.id]: dataset.reviews }));
+      setReviewDatasets((rd) => ({ ...rd, [company.id]: dataset }));
+    } catch (e) {
+      if (!isAbortError(e)) {
+        setCompanyReviews((cr) => ({ ...cr, [company.id]: [] }));
+      }
+    } finally {
+      if (comparedLoadsRef.current[company.id] === controller) {
+        delete comparedLoadsRef.current[company.id];
+        setLoadingCompared((lc) => ({ ...lc, [company.id]: false }));
       }
     }
   };
 
+  // Save new review filters and apply them
+  const handleReviewFiltersChange = (filters) => {
+    try {
+      localStorage.setItem(
+        LOCAL_STORAGE_KEYS.REVIEW_FILTERS,
+        JSON.stringify(filters)
+      );
+    } catch (e) {
+      // Ignore quota errors
+    }
+    applyReviewFilters(filters);
+  };
+
+  // Reload every company on screen with the given review filters
+  const applyReviewFilters = (filters) => {
+    setReviewFilters(filters);
+    if (selectedCompany) {
+      handleCompanySelect(selectedCompany, filters);
+    }
+    setCompanyReviews({});
+    comparedCompanies.forEach((company) =>
+      loadComparedReviews(company, filters)
+    );
+  };
+
   const handleCompanySearch = async (query) => {
     try {
       return await companyApi.search(query);
@@ -146,10 +399,19 @@ function App() {
     logoUrl,
     website,
     size,
-    location
+    location,
+    baseCompany
   ) => {
     try {
-      await companyApi.update(id, name, logoUrl, website, size, location);
+      await companyApi.update(
+        id,
+        name,
+        logoUrl,
+        website,
+        size,
+        location,
+        baseCompany
+      );
       await loadCompanies();
     } catch (error) {
       console.error("Failed to update company:", error);
@@ -203,7 +465,10 @@ function App() {
     else if (timelineRange === "6mo") cutoff = subMonths(new Date(), 6);
     else if (timelineRange === "3mo") cutoff = subMonths(new Date(), 3);
     else return reviews;
-    return reviews.filter((r) => isAfter(parseISO(r.reviewDateTime), cutoff));
+    return reviews.filter((r) => {
+      const date = getReviewDate(r);
+      return date && isAfter(date, cutoff);
+    });
   }, [reviews, timelineRange]);
 
   const handleAddCompare = async (company) => {
@@ -217,19 +482,12 @@ function App() {
     setComparedCompanies([...comparedCompanies, company]);
     // Fetch reviews for the compared company if not already loaded
     if (!companyReviews[company.id]) {
-      setLoadingCompared((lc) => ({ ...lc, [company.id]: true }));
-      try {
-        const reviews = await reviewApi.fetchAllReviews(company.id);
-        setCompanyReviews((cr) => ({ ...cr, [company.id]: reviews }));
-      } catch (e) {
-        setCompanyReviews((cr) => ({ ...cr, [company.id]: [] }));
-      } finally {
-        setLoadingCompared((lc) => ({ ...lc, [company.id]: false }));
-      }
+      await loadComparedReviews(company);
     }
   };
 
   const handleRemoveCompare = (id) => {
+    comparedLoadsRef.current[id]?.abort("superseded");
     const newComparedCompanies = comparedCompanies.filter((c) => c.id !== id);
     setComparedCompanies(newComparedCompanies);
   };
@@ -339,6 +597,23 @@ function App() {
             </div>
             <div className="flex items-center">
               <FeedbackButton />
+              <button
+                className="relative p-2 text-gray-600 hover:text-blue-600 focus:outline-none"
+                title="What's new"
+                onClick={() => setChangelogOpen(true)}
+              >
+                <Sparkles size={20} />
+                {hasUnseenVersions && (
+                  <span className="absolute top-1.5 right-1.5 w-2 h-2 rounded-full bg-blue-600" />
+                )}
+              </button>
+              <button
+                className="p-2 text-gray-600 hover:text-blue-600 focus:outline-none"
+                title="Review Cache"
+                onClick={() => setCacheManagerOpen(true)}
+              >
+                <Database size={20} />
+              </button>
               <button
                 className="p-2 text-gray-600 hover:text-blue-600 focus:outline-none"
                 title="User Guide"
@@ -350,11 +625,18 @@ function App() {
           </div>
         </div>
 
+        {/* Explain what still works without a connection */}
+        <OfflineIndicator />
+
+        {/* Offer to reload when a newer build has been deployed */}
+        <UpdateBanner />
+
         {/* Show version notice if there's version status and it's either first run or an update */}
         {versionStatus && (versionStatus.firstRun || versionStatus.updated) && (
           <VersionNotice
             versionStatus={versionStatus}
             onClose={() => setVersionModalOpen(false)}
+            onConfirmMigration={handleConfirmMigration}
           />
         )}
 
@@ -370,6 +652,11 @@ function App() {
               compareLimitReached={comparedCompanies.length >= 2}
             />
           </div>
+          <ReviewFilters
+            filters={reviewFilters}
+            onChange={handleReviewFiltersChange}
+            disabled={loading}
+          />
           {/* Compared companies pills */}
           {comparedCompanies.length > 0 && (
             <div className="flex flex-wrap gap-2 mt-2">
@@ -396,15 +683,57 @@ function App() {
           <div className="flex flex-col items-center justify-center py-12">
             <Loader2 className="w-8 h-8 animate-spin text-blue-600 mb-4" />
             <p className="text-gray-600">Loading reviews...</p>
-            {loadingProgress && (
-              <p className="text-sm text-gray-500 mt-2">
-                Page {loadingProgress.current} of {loadingProgress.total} (
-                {loadingProgress.reviewCount} reviews)
+            {loadingProgress &&
+              (loadingProgress.incremental ? (
+                <p className="text-sm text-gray-500 mt-2">
+                  Checking for new reviews, page {loadingProgress.current} (
+                  {loadingProgress.reviewCount} reviews)
+                </p>
+              ) : loadingProgress.background ? (
+                <p className="text-sm text-gray-500 mt-2">
+                  Server fetched {loadingProgress.current} of{" "}
+                  {loadingProgress.total} pages ({loadingProgress.reviewCount}{" "}
+                  reviews)
+                </p>
+              ) : (
+                <p className="text-sm text-gray-500 mt-2">
+                  Page {loadingProgress.current} of {loadingProgress.total} (
+                  {loadingProgress.reviewCount} reviews)
+                </p>
+              ))}
+            {loadingProgress?.retryAfterMs != null && (
+              <p className="text-sm text-amber-700 mt-2">
+                Glassdoor is rate limiting requests, retrying in{" "}
+                {Math.ceil(loadingProgress.retryAfterMs / 1000)}s
               </p>
             )}
+            {reviewLoadRef.current && (
+              <button
+                type="button"
+                onClick={handleCancelLoading}
+                className="mt-4 px-3 py-1 text-sm text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50"
+              >
+                Cancel
+              </button>
+            )}
           </div>
         )}
 
+        {!loading &&
+          timelineCompanies.map((company) => (
+            <IncompleteReviewsNotice
+              key={company.id}
+              companyName={company.name}
+              dataset={reviewDatasets[company.id]}
+              disabled={company.loading}
+              onResume={() =>
+                company.id === selectedCompany
+                  ? handleCompanySelect(company.id)
+                  : loadComparedReviews(company)
+              }
+            />
+          ))}
+
         {!loading &&
           selectedCompany &&
           reviews.length === 0 &&
@@ -529,6 +858,27 @@ function App() {
         />
       </Modal>
 
+      <Modal
+        isOpen={cacheManagerOpen}
+        onClose={() => setCacheManagerOpen(false)}
+        title="Review Cache"
+      >
+        <CacheManager companies={companies} />
+      </Modal>
+
+      <Modal
+        isOpen={changelogOpen}
+        onClose={() => {
+          // Highlights stay until the changelog is closed
+          markVersionSeen();
+          setHasUnseenVersions(false);
+          setChangelogOpen(false);
+        }}
+        title="What's new"
+      >
+        <Changelog />
+      </Modal>
+
       <Modal
         isOpen={userGuidanceOpen}
         onClose={() => setUserGuidanceOpen(false)}
@@ -0,0 +1,301 @@
+import React, { useCallback, useEffect, useState } from "react";
+import {
+  HardDrive,
+  Loader2,
+  Pin,
+  PinOff,
+  RefreshCw,
+  Trash2,
+} from "lucide-react";
+import { reviewApi } from "../utils/api";
+import { reviewCacheHelpers } from "../utils/migrations";
+import {
+  REVIEW_CACHE_TTL_OPTIONS,
+  getReviewCacheSettings,
+  isReviewCacheFresh,
+  saveReviewCacheSettings,
+} from "../utils/reviewCacheSettings";
+import { describeReviewFilters } from "../utils/reviewFilters";
+import { LOCAL_STORAGE_KEYS } from "../utils/localStorageService";
+import { SYNC_TOPICS, subscribeToChanges } from "../utils/crossTabSync";
+
+// Format a byte count for display
+const formatBytes = (bytes) => {
+  if (bytes === null || bytes === undefined) return "–";
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  if (bytes < 1024 * 1024 * 1024)
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  return `${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`;
+};
+
+/**
+ * Lists cached review sets with their size, age and completeness, and lets
+ * the user refresh, clear or pin each one and set how long caches stay fresh
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.companies - Saved companies, used to name entries
+ */
+export function CacheManager({ companies = [] }) {
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [busyKey, setBusyKey] = useState(null);
+  const [settings, setSettings] = useState(getReviewCacheSettings);
+  const [estimate, setEstimate] = useState(null);
+
+  const loadEntries = useCallback(async () => {
+    const list = await reviewCacheHelpers.listEntries();
+    list.sort((a, b) => (b.bytes || 0) - (a.bytes || 0));
+    setEntries(list);
+
+    try {
+      if (navigator.storage?.estimate) {
+        setEstimate(await navigator.storage.estimate());
+      }
+    } catch (e) {
+      // Storage estimates are best effort
+    }
+
+    setLoading(false);
+  }, []);
+
+  useEffect(() => {
+    loadEntries();
+  }, [loadEntries]);
+
+  // Follow cache and setting changes made in other tabs
+  useEffect(
+    () =>
+      subscribeToChanges(
+        [SYNC_TOPICS.REVIEW_CACHE, LOCAL_STORAGE_KEYS.REVIEW_CACHE_SETTINGS],
+        (topic) => {
+          if (topic === SYNC_TOPICS.REVIEW_CACHE) {
+            loadEntries();
+          } else {
+            setSettings(getReviewCacheSettings());
+          }
+        }
+      ),
+    [loadEntries]
+  );
+
+  const getCompanyName = (employerId) =>
+    companies.find((company) => String(company.id) === String(employerId))
+      ?.name || `Company ${employerId}`;
+
+  // Run an action for one entry, then reload the list
+  const runForEntry = async (cacheKey, action) => {
+    setBusyKey(cacheKey);
+    try {
+      await action();
+    } catch (error) {
+      console.error(`Cache action failed for ${cacheKey}:`, error);
+    } finally {
+      setBusyKey(null);
+      await loadEntries();
+    }
+  };
+
+  const handleRefresh = (entry) =>
+    runForEntry(entry.cacheKey, () =>
+      reviewApi.fetchReviewDataset(entry.employerId, undefined, entry.filters, {
+        force: true,
+      })
+    );
+
+  const handleTogglePin = (entry) =>
+    runForEntry(entry.cacheKey, () =>
+      reviewCacheHelpers.setPinned(entry.cacheKey, !entry.pinned)
+    );
+
+  const handleClear = (entry) =>
+    runForEntry(entry.cacheKey, () =>
+      reviewCacheHelpers.deleteByKey(entry.cacheKey)
+    );
+
+  const handleClearUnpinned = async () => {
+    const unpinned = entries.filter((entry) => !entry.pinned);
+    if (
+      unpinned.length === 0 ||
+      !window.confirm(`Clear ${unpinned.length} unpinned review cache(s)?`)
+    ) {
+      return;
+    }
+
+    setBusyKey("*");
+    for (const entry of unpinned) {
+      await reviewCacheHelpers.deleteByKey(entry.cacheKey);
+    }
+    setBusyKey(null);
+    await loadEntries();
+  };
+
+  const handleTtlChange = (e) => {
+    setSettings(saveReviewCacheSettings({ ttlHours: Number(e.target.value) }));
+  };
+
+  const totalBytes = entries.reduce(
+    (total, entry) => total + (entry.bytes || 0),
+    0
+  );
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <label className="flex items-center gap-2 text-sm text-gray-700">
+          Keep cached reviews for
+          <select
+            value={settings.ttlHours}
+            onChange={handleTtlChange}
+            className="px-2 py-1 border border-gray-300 rounded-md bg-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            {REVIEW_CACHE_TTL_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <button
+          type="button"
+          onClick={handleClearUnpinned}
+          disabled={busyKey !== null || entries.every((e) => e.pinned)}
+          className="flex items-center gap-1 px-3 py-1 text-sm text-red-600 bg-white border border-red-200 rounded-md hover:bg-red-50 disabled:opacity-50"
+        >
+          <Trash2 className="w-4 h-4" />
+          Clear unpinned
+        </button>
+      </div>
+
+      <div className="flex items-center gap-2 p-3 bg-gray-50 rounded-md text-sm text-gray-700">
+        <HardDrive className="w-4 h-4 flex-shrink-0" />
+        <span>
+          Review caches use {formatBytes(totalBytes)}
+          {estimate?.quota
+            ? `; this site uses ${formatBytes(
+                estimate.usage
+              )} of its ${formatBytes(estimate.quota)} storage budget (${(
+                (estimate.usage / estimate.quota) *
+                100
+              ).toFixed(1)}%)`
+            : ""}
+        </span>
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center py-8">
+          <Loader2 className="w-6 h-6 animate-spin text-blue-600" />
+        </div>
+      ) : entries.length === 0 ? (
+        <p className="text-sm text-gray-500 text-center py-8">
+          No reviews are cached yet.
+        </p>
+      ) : (
+        <ul className="divide-y divide-gray-100 border border-gray-200 rounded-md">
+          {entries.map((entry) => {
+            const filterDescriptions = entry.filters
+              ? describeReviewFilters(entry.filters)
+              : [];
+            const isBusy = busyKey === entry.cacheKey || busyKey === "*";
+            // Sets moved over from localStorage don't record their filters
+            const canRefresh =
+              !!entry.filters ||
+              entry.cacheKey === `reviews_${entry.employerId}`;
+
+            return (
+              <li
+                key={entry.cacheKey}
+                className="flex flex-wrap items-center gap-3 px-4 py-3"
+              >
+                <div className="flex-1 min-w-[12rem]">
+                  <div className="flex items-center gap-2 font-medium text-gray-900">
+                    {getCompanyName(entry.employerId)}
+                    {entry.pinned && (
+                      <span title="Pinned">
+                        <Pin className="w-3 h-3 text-blue-600" />
+                      </span>
+                    )}
+                  </div>
+                  {filterDescriptions.length > 0 && (
+                    <div className="text-xs text-gray-500">
+                      {filterDescriptions.join(" · ")}
+                    </div>
+                  )}
+                  <div className="text-xs text-gray-500">
+                    {entry.reviewCount ?? "?"} reviews ·{" "}
+                    {formatBytes(entry.bytes)} · fetched{" "}
+                    {entry.timestamp
+                      ? new Date(entry.timestamp).toLocaleString()
+                      : "at an unknown time"}
+                  </div>
+                  <div className="flex gap-2 mt-1 text-xs">
+                    {entry.complete === false ? (
+                      <span className="bg-amber-50 text-amber-700 px-2 py-0.5 rounded-full">
+                        Incomplete: {entry.pagesFetched || 0} of{" "}
+                        {entry.numberOfPages || "?"} pages
+                      </span>
+                    ) : (
+                      <span className="bg-green-50 text-green-700 px-2 py-0.5 rounded-full">
+                        Complete
+                      </span>
+                    )}
+                    {!isReviewCacheFresh(entry) && (
+                      <span className="bg-gray-100 text-gray-600 px-2 py-0.5 rounded-full">
+                        Stale
+                      </span>
+                    )}
+                  </div>
+                </div>
+
+                <div className="flex items-center gap-1">
+                  {isBusy && (
+                    <Loader2 className="w-4 h-4 animate-spin text-blue-600" />
+                  )}
+                  <button
+                    type="button"
+                    onClick={() => handleRefresh(entry)}
+                    disabled={busyKey !== null || !canRefresh}
+                    className="p-2 text-gray-600 hover:text-blue-600 disabled:opacity-50"
+                    title={
+                      canRefresh
+                        ? "Check for new reviews"
+                        : "Filters unknown; open the company to refetch"
+                    }
+                  >
+                    <RefreshCw className="w-4 h-4" />
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => handleTogglePin(entry)}
+                    disabled={busyKey !== null}
+                    className="p-2 text-gray-600 hover:text-blue-600 disabled:opacity-50"
+                    title={
+                      entry.pinned
+                        ? "Unpin (let this cache expire)"
+                        : "Pin (never expire this cache)"
+                    }
+                  >
+                    {entry.pinned ? (
+                      <PinOff className="w-4 h-4" />
+                    ) : (
+                      <Pin className="w-4 h-4" />
+                    )}
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => handleClear(entry)}
+                    disabled={busyKey !== null}
+                    className="p-2 text-gray-600 hover:text-red-500 disabled:opacity-50"
+                    title="Clear this cache"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+}
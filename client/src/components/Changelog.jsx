@@ -0,0 +1,153 @@
+import React, { useState } from "react";
+import { AlertTriangle, CheckCircle2, XCircle } from "lucide-react";
+import { APP_VERSION, VERSION_HISTORY } from "../utils/version";
+import { getUnseenVersions } from "../utils/versionService";
+import {
+  getMigrationHistory,
+  getMigrationRunsForVersion,
+} from "../utils/migrationHistory";
+
+// One recorded migration run, as shown under the versions it went through
+function MigrationRun({ run }) {
+  const Icon = run.success ? CheckCircle2 : XCircle;
+
+  return (
+    <li className="flex items-start gap-2">
+      <Icon
+        className={`w-4 h-4 flex-shrink-0 mt-0.5 ${
+          run.success ? "text-green-600" : "text-red-600"
+        }`}
+      />
+      <div>
+        <p>
+          {run.downgrade
+            ? `Switched back from v${run.fromVersion} to v${run.toVersion}`
+            : `Updated from v${run.fromVersion} to v${run.toVersion}`}{" "}
+          <span className="text-gray-400">
+            {new Date(run.ranAt).toLocaleString()}
+          </span>
+        </p>
+        {run.success ? (
+          run.affectedKeys.length > 0 && (
+            <p className="text-gray-500">
+              Updated data: {run.affectedKeys.join(", ")}
+            </p>
+          )
+        ) : (
+          <p className="text-red-600">
+            {run.rolledBack
+              ? "Failed; your data was restored to how it was before"
+              : "Failed"}
+            {run.message && `: ${run.message}`}
+          </p>
+        )}
+        {run.quarantined > 0 && (
+          <p className="text-gray-500">
+            {run.quarantined} key(s) had data moved to the quarantine
+          </p>
+        )}
+      </div>
+    </li>
+  );
+}
+
+/**
+ * Every release in VERSION_HISTORY with its changes, newest first. Releases
+ * since the user last looked are highlighted, and each one lists the
+ * migrations that ran through it in this browser.
+ */
+export function Changelog() {
+  // Read once per opening, so highlights stay put until the changelog closes
+  const [unseenVersions] = useState(() =>
+    getUnseenVersions().map((v) => v.version)
+  );
+  const [history] = useState(getMigrationHistory);
+  const [expandedVersion, setExpandedVersion] = useState(null);
+
+  return (
+    <div className="space-y-4">
+      {unseenVersions.length > 0 && (
+        <p className="text-sm text-gray-600">
+          {unseenVersions.length === 1
+            ? "1 release since your last visit is highlighted."
+            : `${unseenVersions.length} releases since your last visit are highlighted.`}
+        </p>
+      )}
+
+      {VERSION_HISTORY.map((versionInfo) => {
+        const { version } = versionInfo;
+        const isNew = unseenVersions.includes(version);
+        const runs = getMigrationRunsForVersion(version, history);
+        const expanded = expandedVersion === version;
+
+        return (
+          <section
+            key={version}
+            className={`rounded-md border p-4 ${
+              isNew ? "border-blue-300 bg-blue-50" : "border-gray-200"
+            }`}
+          >
+            <div className="flex items-center gap-2 flex-wrap">
+              <h3 className="font-semibold text-gray-900">v{version}</h3>
+              {version === APP_VERSION && (
+                <span className="px-2 py-0.5 text-xs rounded-full bg-gray-100 text-gray-600">
+                  Current
+                </span>
+              )}
+              {isNew && (
+                <span className="px-2 py-0.5 text-xs rounded-full bg-blue-600 text-white">
+                  New
+                </span>
+              )}
+              {versionInfo.breaking && (
+                <span className="flex items-center gap-1 px-2 py-0.5 text-xs rounded-full bg-red-100 text-red-700">
+                  <AlertTriangle className="w-3 h-3" />
+                  Breaking
+                </span>
+              )}
+            </div>
+            {versionInfo.notes && (
+              <p className="mt-1 text-sm text-gray-600">{versionInfo.notes}</p>
+            )}
+            {versionInfo.changes?.length > 0 && (
+              <ul className="mt-2 text-sm text-gray-700 list-disc ml-5 space-y-1">
+                {versionInfo.changes.map((change, i) => (
+                  <li key={i}>{change}</li>
+                ))}
+              </ul>
+            )}
+
+            {versionInfo.requiresMigration && (
+              <div className="mt-3 text-xs">
+                {runs.length > 0 ? (
+                  <button
+                    type="button"
+                    className="text-blue-600 hover:underline"
+                    onClick={() =>
+                      setExpandedVersion(expanded ? null : version)
+                    }
+                  >
+                    {expanded
+                      ? "Hide migration results"
+                      : `Migration results (${runs.length})`}
+                  </button>
+                ) : (
+                  <p className="text-gray-400">
+                    Updates saved data; no migration has run in this browser
+                  </p>
+                )}
+                {expanded && (
+                  <ul className="mt-2 space-y-2 text-gray-700">
+                    {runs.map((run, i) => (
+                      <MigrationRun key={i} run={run} />
+                    ))}
+                  </ul>
+                )}
+              </div>
+            )}
+          </section>
+        );
+      })}
+    </div>
+  );
+}
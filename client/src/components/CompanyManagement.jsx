@@ -22,6 +22,9 @@ export function CompanyManagement({
   onRefreshReviews,
 }) {
   const [editingId, setEditingId] = useState(null);
+  // The company as it was when editing started, so only the fields the user
+  // changed are saved over edits made in other tabs
+  const [editingBase, setEditingBase] = useState(null);
   const [formData, setFormData] = useState({
     id: "",
     name: "",
@@ -102,9 +105,11 @@ export function CompanyManagement({
         formData.logoUrl,
         formData.website,
         formData.size,
-        formData.location
+        formData.location,
+        editingBase
       );
       setEditingId(null);
+      setEditingBase(null);
     } else {
       await onAdd(
         formData.id,
@@ -127,6 +132,7 @@ export function CompanyManagement({
 
   const handleEdit = (company) => {
     setEditingId(company.id);
+    setEditingBase(company);
     setFormData({
       id: company.id || "",
       name: company.name || "",
@@ -139,6 +145,7 @@ export function CompanyManagement({
 
   const handleCancel = () => {
     setEditingId(null);
+    setEditingBase(null);
     setFormData({
       id: "",
       name: "",
@@ -173,7 +180,9 @@ export function CompanyManagement({
   const handleRefreshReviews = async (company) => {
     try {
       // Optionally show a loading state here
-      await reviewApi.fetchAllReviews(company.id);
+      await reviewApi.fetchReviewDataset(company.id, undefined, undefined, {
+        force: true,
+      });
       // Optionally show a success message or update UI
     } catch (error) {
       console.error("Failed to refresh reviews for company:", company, error);
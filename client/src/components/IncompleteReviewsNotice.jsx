@@ -0,0 +1,48 @@
+import React from "react";
+import { AlertTriangle, RotateCw } from "lucide-react";
+
+/**
+ * Warning shown when a company's reviews could only be partly fetched
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.companyName - Name of the company
+ * @param {Object} props.dataset - Review dataset from reviewApi.fetchReviewDataset
+ * @param {Function} props.onResume - Called to fetch the remaining pages
+ * @param {boolean} props.disabled - Whether resuming is currently unavailable
+ */
+export function IncompleteReviewsNotice({
+  companyName,
+  dataset,
+  onResume,
+  disabled = false,
+}) {
+  if (!dataset || dataset.complete) return null;
+
+  const { reviews, pagesFetched, numberOfPages, error } = dataset;
+
+  return (
+    <div className="flex items-start gap-3 p-3 mb-4 bg-amber-50 border border-amber-200 rounded-md text-sm text-amber-800">
+      <AlertTriangle className="w-5 h-5 flex-shrink-0 mt-0.5" />
+      <div className="flex-1">
+        <p className="font-medium">Reviews for {companyName} are incomplete</p>
+        <p>
+          Showing {reviews.length} reviews from {pagesFetched || 0} of{" "}
+          {numberOfPages || "?"} pages.
+          {error &&
+            ` Page ${error.page} failed${
+              error.message ? `: ${error.message}` : ""
+            }.`}
+        </p>
+      </div>
+      <button
+        type="button"
+        onClick={onResume}
+        disabled={disabled}
+        className="flex items-center gap-1 px-3 py-1 text-sm text-amber-800 bg-white border border-amber-300 rounded-md hover:bg-amber-100 disabled:opacity-50"
+      >
+        <RotateCw className="w-4 h-4" />
+        Resume
+      </button>
+    </div>
+  );
+}
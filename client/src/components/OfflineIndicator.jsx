@@ -0,0 +1,41 @@
+import React, { useEffect, useState } from "react";
+import { WifiOff } from "lucide-react";
+import {
+  getConnectivityStatus,
+  subscribeToConnectivity,
+} from "../utils/connectivity";
+
+/**
+ * Banner shown while the browser is offline, listing the searches and
+ * refreshes waiting for the connection
+ */
+export function OfflineIndicator() {
+  const [status, setStatus] = useState(getConnectivityStatus);
+
+  useEffect(() => subscribeToConnectivity(setStatus), []);
+
+  if (status.online) return null;
+
+  return (
+    <div
+      role="status"
+      className="flex items-start gap-3 p-3 mb-4 bg-amber-50 border border-amber-200 rounded-md text-sm text-amber-800"
+    >
+      <WifiOff className="w-5 h-5 flex-shrink-0 mt-0.5" />
+      <div className="flex-1">
+        <p className="font-medium">You're offline</p>
+        <p className="text-xs mt-1">
+          Showing reviews saved on this device. Company searches and review
+          refreshes will run when you're back online.
+        </p>
+        {status.queued.length > 0 && (
+          <ul className="list-disc ml-4 mt-1 text-xs space-y-0.5">
+            {status.queued.map((description, i) => (
+              <li key={i}>{description}</li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
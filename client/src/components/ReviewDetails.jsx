@@ -1,5 +1,5 @@
 import React from "react";
-import { format, parseISO } from "date-fns";
+import { formatReviewDate } from "../utils/reviewDates";
 import ReactMarkdown from "react-markdown";
 import { StarRating } from "./StarRating";
 import { SentimentBadge } from "./SentimentBadge";
@@ -29,7 +29,7 @@ export function ReviewDetails({ reviews }) {
                   <div className="flex items-center gap-4 mt-2 text-sm text-gray-600">
                     <span className="flex items-center gap-1">
                       <Calendar className="w-4 h-4" />
-                      {format(parseISO(review.reviewDateTime), "MMM d, yyyy")}
+                      {formatReviewDate(review, "MMM d, yyyy", "No date")}
                     </span>
                     {review.jobTitle?.title && (
                       <span className="flex items-center gap-1">
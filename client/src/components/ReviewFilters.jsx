@@ -0,0 +1,198 @@
+import React, { useEffect, useState } from "react";
+import { Filter, X } from "lucide-react";
+import {
+  DEFAULT_REVIEW_FILTERS,
+  EMPLOYMENT_STATUS_OPTIONS,
+  LANGUAGE_OPTIONS,
+  LOCATION_TYPE_OPTIONS,
+  describeReviewFilters,
+  normalizeReviewFilters,
+} from "../utils/reviewFilters";
+
+/**
+ * Panel for choosing which reviews are fetched for a company
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.filters - Currently applied review filters
+ * @param {Function} props.onChange - Called with the new filters when applied
+ * @param {boolean} props.disabled - Whether the controls are disabled
+ */
+export function ReviewFilters({ filters, onChange, disabled = false }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [draft, setDraft] = useState(() => normalizeReviewFilters(filters));
+  const activeFilters = describeReviewFilters(filters);
+
+  // Start from the applied filters whenever the panel is opened
+  useEffect(() => {
+    if (isOpen) setDraft(normalizeReviewFilters(filters));
+  }, [isOpen, filters]);
+
+  const toggleStatus = (status) => {
+    setDraft((current) => ({
+      ...current,
+      employmentStatuses: current.employmentStatuses.includes(status)
+        ? current.employmentStatuses.filter((s) => s !== status)
+        : [...current.employmentStatuses, status],
+    }));
+  };
+
+  const handleApply = (e) => {
+    e.preventDefault();
+    onChange(normalizeReviewFilters(draft));
+    setIsOpen(false);
+  };
+
+  const handleReset = () => {
+    onChange(normalizeReviewFilters(DEFAULT_REVIEW_FILTERS));
+    setIsOpen(false);
+  };
+
+  return (
+    <div className="mt-2">
+      <div className="flex flex-wrap items-center gap-2">
+        <button
+          type="button"
+          onClick={() => setIsOpen((open) => !open)}
+          disabled={disabled}
+          className="flex items-center gap-1 px-3 py-1 text-sm text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50"
+        >
+          <Filter className="w-4 h-4" />
+          Review filters
+        </button>
+        {activeFilters.length === 0 ? (
+          <span className="text-xs text-gray-500">
+            Full-time and part-time reviews in English
+          </span>
+        ) : (
+          <>
+            {activeFilters.map((description) => (
+              <span
+                key={description}
+                className="bg-blue-50 text-blue-700 px-2 py-1 rounded-full text-xs"
+              >
+                {description}
+              </span>
+            ))}
+            <button
+              type="button"
+              onClick={handleReset}
+              disabled={disabled}
+              className="flex items-center text-xs text-gray-500 hover:text-red-500 disabled:opacity-50"
+              title="Clear review filters"
+            >
+              <X className="w-3 h-3" />
+              Clear
+            </button>
+          </>
+        )}
+      </div>
+
+      {isOpen && (
+        <form
+          onSubmit={handleApply}
+          className="mt-2 p-4 bg-white border border-gray-200 rounded-md shadow-sm space-y-4 max-w-2xl"
+        >
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <label className="block text-sm font-medium text-gray-700">
+              Job title
+              <input
+                type="text"
+                value={draft.jobTitle || ""}
+                onChange={(e) =>
+                  setDraft({ ...draft, jobTitle: e.target.value })
+                }
+                placeholder="e.g. Software Engineer"
+                className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+            </label>
+            <label className="block text-sm font-medium text-gray-700">
+              Language
+              <select
+                value={draft.language}
+                onChange={(e) =>
+                  setDraft({ ...draft, language: e.target.value })
+                }
+                className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md bg-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+              >
+                {LANGUAGE_OPTIONS.map((option) => (
+                  <option key={option.value} value={option.value}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label className="block text-sm font-medium text-gray-700">
+              Location type
+              <select
+                value={draft.locationType || ""}
+                onChange={(e) =>
+                  setDraft({ ...draft, locationType: e.target.value || null })
+                }
+                className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md bg-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+              >
+                <option value="">Anywhere</option>
+                {LOCATION_TYPE_OPTIONS.map((option) => (
+                  <option key={option.value} value={option.value}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label className="block text-sm font-medium text-gray-700">
+              Glassdoor location ID
+              <input
+                type="number"
+                min="1"
+                value={draft.locationId || ""}
+                onChange={(e) =>
+                  setDraft({ ...draft, locationId: e.target.value })
+                }
+                disabled={!draft.locationType}
+                placeholder="e.g. 1147401"
+                className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:bg-gray-100"
+              />
+            </label>
+          </div>
+
+          <fieldset>
+            <legend className="text-sm font-medium text-gray-700 mb-1">
+              Employment status
+            </legend>
+            <div className="flex flex-wrap gap-3">
+              {EMPLOYMENT_STATUS_OPTIONS.map((option) => (
+                <label
+                  key={option.value}
+                  className="flex items-center gap-1 text-sm text-gray-700"
+                >
+                  <input
+                    type="checkbox"
+                    checked={draft.employmentStatuses.includes(option.value)}
+                    onChange={() => toggleStatus(option.value)}
+                  />
+                  {option.label}
+                </label>
+              ))}
+            </div>
+          </fieldset>
+
+          <div className="flex justify-end gap-2">
+            <button
+              type="button"
+              onClick={() => setIsOpen(false)}
+              className="px-3 py-1 text-sm text-gray-700 bg-gray-100 rounded-md hover:bg-gray-200"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={draft.employmentStatuses.length === 0}
+              className="px-3 py-1 text-sm text-white bg-blue-600 rounded-md hover:bg-blue-700 disabled:opacity-50"
+            >
+              Apply
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+}
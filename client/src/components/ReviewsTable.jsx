@@ -14,7 +14,7 @@ import {
   flexRender,
   createColumnHelper,
 } from "@tanstack/react-table";
-import { format, parseISO } from "date-fns";
+import { parseISO } from "date-fns";
 import {
   ChevronUp,
   ChevronDown,
@@ -43,6 +43,9 @@ import { CSS } from "@dnd-kit/utilities";
 import { StarRating } from "./StarRating";
 import { SentimentBadge } from "./SentimentBadge";
 import { CompanyLogo } from "./CompanyLogo"; // Import CompanyLogo component
+import { subscribeToChanges } from "../utils/crossTabSync";
+import { readStoredValue } from "../utils/storageSchemas";
+import { formatReviewDate, getReviewDate } from "../utils/reviewDates";
 
 const columnHelper = createColumnHelper();
 
@@ -320,7 +323,7 @@ const exportToCSV = (data, selectedRows, filename = "reviews.csv") => {
     headers.join(","),
     ...exportData.map((row) =>
       [
-        format(parseISO(row.reviewDateTime), "yyyy-MM-dd"),
+        formatReviewDate(row, "yyyy-MM-dd", ""),
         escapeCSV(row.summary),
         escapeCSV(row.jobTitle?.title),
         escapeCSV(row.employmentStatus),
@@ -353,7 +356,7 @@ const allColumnsMap = {
   date: columnHelper.accessor("reviewDateTime", {
     id: "date",
     header: "Date",
-    cell: (info) => format(parseISO(info.getValue()), "MMM d, yyyy"),
+    cell: (info) => formatReviewDate(info.row.original, "MMM d, yyyy"),
     sortingFn: "datetime",
   }),
   jobTitle: columnHelper.accessor((row) => row.jobTitle?.title || "-", {
@@ -606,73 +609,59 @@ export function ReviewsTable({
   }, [company, reviews?.length]);
 
   // --- COLUMN STATE ---
-  const [columnOrder, setColumnOrder] = useState(() => {
-    const key = compareMode
-      ? "reviewsTableColumnOrderCompare"
-      : "reviewsTableColumnOrder";
-    const saved = localStorage.getItem(key);
-    let parsed = [...DEFAULT_ORDER];
-    if (saved) {
-      try {
-        const arr = JSON.parse(saved);
-        // Only use if all keys are present
-        if (
-          Array.isArray(arr) &&
-          DEFAULT_ORDER.every((k) => arr.includes(k)) &&
-          arr.length === DEFAULT_ORDER.length
-        ) {
-          parsed = arr;
-        }
-      } catch {}
-    }
-    return parsed;
-  });
-  const [columnVisibility, setColumnVisibility] = useState(() => {
-    const key = compareMode
-      ? "reviewsTableColumnVisibilityCompare"
-      : "reviewsTableColumnVisibility";
-    const saved = localStorage.getItem(key);
-    let parsed = Object.fromEntries(
-      ALL_COLUMNS.map((k) => [k, DEFAULT_VISIBLE.has(k)])
-    );
-    if (saved) {
-      try {
-        const obj = JSON.parse(saved);
-        // Only use if all keys are present
-        if (
-          obj &&
-          ALL_COLUMNS.every((k) =>
-            Object.prototype.hasOwnProperty.call(obj, k)
-          ) &&
-          Object.keys(obj).length === ALL_COLUMNS.length
-        ) {
-          parsed = obj;
-        }
-      } catch {}
-    }
-    return parsed;
-  });
+  // Saved column layouts are only used if they cover every column
+  const parseColumnOrder = (saved) =>
+    Array.isArray(saved) &&
+    DEFAULT_ORDER.every((k) => saved.includes(k)) &&
+    saved.length === DEFAULT_ORDER.length
+      ? saved
+      : [...DEFAULT_ORDER];
+  const parseColumnVisibility = (saved) =>
+    saved &&
+    ALL_COLUMNS.every((k) => Object.prototype.hasOwnProperty.call(saved, k)) &&
+    Object.keys(saved).length === ALL_COLUMNS.length
+      ? saved
+      : Object.fromEntries(ALL_COLUMNS.map((k) => [k, DEFAULT_VISIBLE.has(k)]));
+  const columnOrderKey = compareMode
+    ? "reviewsTableColumnOrderCompare"
+    : "reviewsTableColumnOrder";
+  const columnVisibilityKey = compareMode
+    ? "reviewsTableColumnVisibilityCompare"
+    : "reviewsTableColumnVisibility";
+
+  const [columnOrder, setColumnOrder] = useState(() =>
+    parseColumnOrder(readStoredValue(columnOrderKey))
+  );
+  const [columnVisibility, setColumnVisibility] = useState(() =>
+    parseColumnVisibility(readStoredValue(columnVisibilityKey))
+  );
   useEffect(() => {
-    const key = compareMode
-      ? "reviewsTableColumnOrderCompare"
-      : "reviewsTableColumnOrder";
-    localStorage.setItem(key, JSON.stringify(columnOrder));
-  }, [columnOrder, compareMode]);
+    localStorage.setItem(columnOrderKey, JSON.stringify(columnOrder));
+  }, [columnOrder, columnOrderKey]);
   useEffect(() => {
-    const key = compareMode
-      ? "reviewsTableColumnVisibilityCompare"
-      : "reviewsTableColumnVisibility";
-    localStorage.setItem(key, JSON.stringify(columnVisibility));
-  }, [columnVisibility, compareMode]);
+    localStorage.setItem(columnVisibilityKey, JSON.stringify(columnVisibility));
+  }, [columnVisibility, columnVisibilityKey]);
+  // Follow column changes made in other tabs
+  useEffect(
+    () =>
+      subscribeToChanges([columnOrderKey, columnVisibilityKey], (key) => {
+        if (key === columnOrderKey) {
+          setColumnOrder(parseColumnOrder(readStoredValue(key)));
+        } else {
+          setColumnVisibility(parseColumnVisibility(readStoredValue(key)));
+        }
+      }),
+    [columnOrderKey, columnVisibilityKey]
+  );
 
   // Move isRowVisible up so it is defined before useEffect hooks
   const isRowVisible = useCallback(
     (review) => {
       if (dateRange) {
-        const reviewDate = parseISO(review.reviewDateTime);
+        const reviewDate = getReviewDate(review);
         const startDate = parseISO(dateRange.startMonth + "-01");
         const endDate = parseISO(dateRange.endMonth + "-01");
-        if (reviewDate < startDate || reviewDate > endDate) {
+        if (!reviewDate || reviewDate < startDate || reviewDate > endDate) {
           return false;
         }
       }
@@ -700,8 +689,9 @@ export function ReviewsTable({
     // Apply date range filter
     if (dateRange && dateRange.startMonth && dateRange.endMonth) {
       result = result.filter((review) => {
-        const reviewMonth = format(parseISO(review.reviewDateTime), "yyyy-MM");
+        const reviewMonth = formatReviewDate(review, "yyyy-MM", null);
         return (
+          reviewMonth !== null &&
           reviewMonth >= dateRange.startMonth &&
           reviewMonth <= dateRange.endMonth
         );
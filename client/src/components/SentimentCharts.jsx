@@ -1,6 +1,5 @@
 import React, { useEffect, useMemo, useState } from "react";
 import { PieChart, Pie, ResponsiveContainer, Cell, Tooltip } from "recharts";
-import { format, parseISO } from "date-fns";
 import {
   Eye,
   EyeOff,
@@ -11,6 +10,9 @@ import {
   ArrowDown,
 } from "lucide-react";
 import { CompanyLogo } from "./CompanyLogo";
+import { subscribeToChanges } from "../utils/crossTabSync";
+import { readStoredValue } from "../utils/storageSchemas";
+import { formatReviewDate } from "../utils/reviewDates";
 import {
   BarChart,
   Bar,
@@ -137,20 +139,20 @@ export function SentimentCharts({
 
   const [chartOrder, setChartOrder] = React.useState(() => {
     if (compareMode) {
-      const saved = localStorage.getItem("sentimentChartsOrderCompare");
-      return saved ? JSON.parse(saved) : compareChartOrder;
+      return (
+        readStoredValue("sentimentChartsOrderCompare") || compareChartOrder
+      );
     } else {
-      const saved = localStorage.getItem("sentimentChartsOrder");
-      return saved ? JSON.parse(saved) : defaultChartOrder;
+      return readStoredValue("sentimentChartsOrder") || defaultChartOrder;
     }
   });
   const [hiddenCharts, setHiddenCharts] = React.useState(() => {
     if (compareMode) {
-      const saved = localStorage.getItem("sentimentChartsHiddenCompare");
-      return saved ? JSON.parse(saved) : compareHiddenCharts;
+      return (
+        readStoredValue("sentimentChartsHiddenCompare") || compareHiddenCharts
+      );
     } else {
-      const saved = localStorage.getItem("sentimentChartsHidden");
-      return saved ? JSON.parse(saved) : defaultHiddenCharts;
+      return readStoredValue("sentimentChartsHidden") || defaultHiddenCharts;
     }
   });
   // Add hidingCharts state for animation (if not already defined)
@@ -179,6 +181,29 @@ export function SentimentCharts({
       );
     }
   }, [hiddenCharts, compareMode]);
+  // Follow chart layout changes made in other tabs
+  React.useEffect(() => {
+    const orderKey = compareMode
+      ? "sentimentChartsOrderCompare"
+      : "sentimentChartsOrder";
+    const hiddenKey = compareMode
+      ? "sentimentChartsHiddenCompare"
+      : "sentimentChartsHidden";
+    return subscribeToChanges([orderKey, hiddenKey], (key) => {
+      // Re-read through the schema so a malformed value falls back to defaults
+      if (key === orderKey) {
+        setChartOrder(
+          readStoredValue(orderKey) ||
+            (compareMode ? compareChartOrder : defaultChartOrder)
+        );
+      } else {
+        setHiddenCharts(
+          readStoredValue(hiddenKey) ||
+            (compareMode ? compareHiddenCharts : defaultHiddenCharts)
+        );
+      }
+    });
+  }, [compareMode]);
 
   // Filter reviews for each company based on dateRange
   const filteredCompanies = useMemo(() => {
@@ -197,11 +222,9 @@ export function SentimentCharts({
       let filtered = normalizedCompany.reviews || [];
       if (dateRange && dateRange.startMonth && dateRange.endMonth) {
         filtered = filtered.filter((review) => {
-          const reviewMonth = format(
-            parseISO(review.reviewDateTime),
-            "yyyy-MM"
-          );
+          const reviewMonth = formatReviewDate(review, "yyyy-MM", null);
           return (
+            reviewMonth !== null &&
             reviewMonth >= dateRange.startMonth &&
             reviewMonth <= dateRange.endMonth
           );
@@ -369,11 +392,9 @@ export function SentimentCharts({
       ? (normalizedCompany.reviews || []).filter((review) => {
           if (!dateRange || !dateRange.startMonth || !dateRange.endMonth)
             return true;
-          const reviewMonth = format(
-            parseISO(review.reviewDateTime),
-            "yyyy-MM"
-          );
+          const reviewMonth = formatReviewDate(review, "yyyy-MM", null);
           return (
+            reviewMonth !== null &&
             reviewMonth >= dateRange.startMonth &&
             reviewMonth <= dateRange.endMonth
           );
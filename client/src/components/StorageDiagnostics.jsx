@@ -0,0 +1,143 @@
+import React, { useState } from "react";
+import { Loader2, ShieldCheck, Trash2 } from "lucide-react";
+import {
+  clearQuarantine,
+  getStorageDiagnostics,
+} from "../utils/storageSchemas";
+
+/**
+ * Checks stored data against its schemas and lists what is invalid, along
+ * with records already moved to the quarantine
+ */
+export function StorageDiagnostics() {
+  const [report, setReport] = useState(null);
+  const [checking, setChecking] = useState(false);
+
+  const handleCheck = async () => {
+    setChecking(true);
+    try {
+      setReport(await getStorageDiagnostics());
+    } catch (error) {
+      console.error("Failed to check stored data:", error);
+    } finally {
+      setChecking(false);
+    }
+  };
+
+  const handleDownloadQuarantine = () => {
+    const blob = new Blob([JSON.stringify(report.quarantine, null, 2)], {
+      type: "application/json",
+    });
+    const link = document.createElement("a");
+    link.href = URL.createObjectURL(blob);
+    link.download = "gcbc-quarantine.json";
+    link.click();
+    URL.revokeObjectURL(link.href);
+  };
+
+  const handleClearQuarantine = () => {
+    if (
+      !window.confirm(
+        `Permanently delete ${report.quarantine.length} quarantined record(s)?`
+      )
+    ) {
+      return;
+    }
+    clearQuarantine();
+    setReport({ ...report, quarantine: [] });
+  };
+
+  const problems = report
+    ? [
+        ...report.storage.map((problem) => ({
+          source: problem.key,
+          detail:
+            problem.errors.length > 0
+              ? problem.errors.join("; ")
+              : `${problem.invalidRecords} invalid record(s)`,
+        })),
+        ...report.reviewCaches.map((problem) => ({
+          source: `Review cache ${problem.cacheKey}`,
+          detail:
+            problem.invalidReviews > 0
+              ? `${problem.invalidReviews} invalid review(s)`
+              : problem.errors.join("; "),
+        })),
+      ]
+    : [];
+
+  return (
+    <div className="mt-4 p-4 border border-gray-200 rounded-md">
+      <h4 className="font-semibold mb-2">Check your data</h4>
+      <p className="text-sm text-gray-600 mb-3">
+        gc/bc checks saved data as it reads it and moves anything it can't use
+        to a quarantine instead of failing. Run a full check to see what's
+        invalid.
+      </p>
+      <button
+        type="button"
+        onClick={handleCheck}
+        disabled={checking}
+        className="flex items-center gap-1 bg-gray-100 hover:bg-gray-200 text-gray-800 py-2 px-4 rounded disabled:opacity-50"
+      >
+        {checking ? (
+          <Loader2 className="w-4 h-4 animate-spin" />
+        ) : (
+          <ShieldCheck className="w-4 h-4" />
+        )}
+        Check stored data
+      </button>
+
+      {report && (
+        <div className="mt-3 text-sm space-y-3">
+          {problems.length === 0 ? (
+            <p className="text-green-600">All stored data is valid.</p>
+          ) : (
+            <ul className="list-disc ml-5 text-red-600 space-y-1">
+              {problems.map((problem) => (
+                <li key={problem.source}>
+                  <span className="font-medium">{problem.source}:</span>{" "}
+                  {problem.detail}
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {report.quarantine.length > 0 && (
+            <div>
+              <p className="text-gray-700 mb-1">
+                {report.quarantine.length} record(s) in quarantine:
+              </p>
+              <ul className="list-disc ml-5 text-xs text-gray-600 space-y-1 max-h-40 overflow-y-auto">
+                {report.quarantine.map((entry, i) => (
+                  <li key={i}>
+                    {entry.source} (
+                    {new Date(entry.quarantinedAt).toLocaleString()}):{" "}
+                    {entry.errors.join("; ")}
+                  </li>
+                ))}
+              </ul>
+              <div className="flex gap-2 mt-2">
+                <button
+                  type="button"
+                  onClick={handleDownloadQuarantine}
+                  className="text-xs text-blue-600 hover:underline"
+                >
+                  Download quarantine
+                </button>
+                <button
+                  type="button"
+                  onClick={handleClearQuarantine}
+                  className="flex items-center gap-1 text-xs text-red-600 hover:underline"
+                >
+                  <Trash2 className="w-3 h-3" />
+                  Clear quarantine
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
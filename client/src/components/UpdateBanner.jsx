@@ -0,0 +1,105 @@
+import React, { useEffect, useState } from "react";
+import { RefreshCw, X } from "lucide-react";
+import { versionApi } from "../utils/api";
+import { isOnline } from "../utils/connectivity";
+import { APP_VERSION, compareVersions } from "../utils/version";
+
+// How often to ask the server which version is deployed
+const UPDATE_CHECK_INTERVAL_MS = 5 * 60 * 1000;
+
+// Whether a version from the manifest is newer than this build
+const isNewerVersion = (version) => {
+  try {
+    return compareVersions(version, APP_VERSION) > 0;
+  } catch (e) {
+    return false;
+  }
+};
+
+/**
+ * Banner shown when a newer build has been deployed. Reloading loads it, and
+ * its migrations run as the app starts.
+ */
+export function UpdateBanner() {
+  const [manifest, setManifest] = useState(null);
+  const [dismissedVersion, setDismissedVersion] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const checkForUpdate = async () => {
+      // Background tabs check when they're shown again
+      if (document.visibilityState === "hidden" || !isOnline()) return;
+      try {
+        const latest = await versionApi.getManifest();
+        if (!cancelled) setManifest(latest);
+      } catch (error) {
+        console.warn("Failed to check for a new version:", error.message);
+      }
+    };
+
+    checkForUpdate();
+    const interval = setInterval(checkForUpdate, UPDATE_CHECK_INTERVAL_MS);
+    document.addEventListener("visibilitychange", checkForUpdate);
+
+    return () => {
+      cancelled = true;
+      clearInterval(interval);
+      document.removeEventListener("visibilitychange", checkForUpdate);
+    };
+  }, []);
+
+  if (
+    !manifest ||
+    !isNewerVersion(manifest.version) ||
+    dismissedVersion === manifest.version
+  ) {
+    return null;
+  }
+
+  // Changes in every version between this build and the deployed one
+  const newVersions = (manifest.history || []).filter(
+    (v) =>
+      isNewerVersion(v.version) &&
+      compareVersions(v.version, manifest.version) <= 0
+  );
+  const changes = newVersions.flatMap((v) => v.changes || []);
+  const updatesData = newVersions.some((v) => v.requiresMigration);
+
+  return (
+    <div className="flex items-start gap-3 p-3 mb-4 bg-green-50 border border-green-200 rounded-md text-sm text-green-800">
+      <RefreshCw className="w-5 h-5 flex-shrink-0 mt-0.5" />
+      <div className="flex-1">
+        <p className="font-medium">gc/bc v{manifest.version} is available</p>
+        {changes.length > 0 && (
+          <ul className="list-disc ml-4 mt-1 text-xs space-y-0.5">
+            {changes.slice(0, 3).map((change, i) => (
+              <li key={i}>{change}</li>
+            ))}
+            {changes.length > 3 && <li>and {changes.length - 3} more</li>}
+          </ul>
+        )}
+        {updatesData && (
+          <p className="text-xs mt-1">
+            Your saved data will be updated when it loads.
+          </p>
+        )}
+      </div>
+      <button
+        type="button"
+        onClick={() => window.location.reload()}
+        className="px-3 py-1 text-sm text-green-800 bg-white border border-green-300 rounded-md hover:bg-green-100"
+      >
+        Reload
+      </button>
+      <button
+        type="button"
+        onClick={() => setDismissedVersion(manifest.version)}
+        className="p-1 text-green-700 hover:text-green-900"
+        aria-label="Dismiss"
+      >
+        <X className="w-4 h-4" />
+      </button>
+    </div>
+  );
+}
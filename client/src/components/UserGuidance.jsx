@@ -1,16 +1,26 @@
 import React from "react";
 import { reviewCacheHelpers } from "../utils/migrations";
+import { pruneMigrationSnapshots } from "../utils/migrationSnapshots";
 import { LOCAL_STORAGE_KEYS } from "../utils/localStorageService";
 import { VERSION_HISTORY } from "../utils/version";
+import { WorkspaceTransfer } from "./WorkspaceTransfer";
+import { StorageDiagnostics } from "./StorageDiagnostics";
 
 export function UserGuidance() {
-  const handleDeleteData = () => {
+  const handleDeleteData = async () => {
     if (
       window.confirm(
         "Are you sure you want to clear all your local data? This will remove all saved companies, reviews, and settings. This action cannot be undone."
       )
     ) {
-      // Clear all localStorage
+      // Clear cached reviews and migration snapshots in IndexedDB, then all
+      // localStorage
+      try {
+        await reviewCacheHelpers.clearAllCache();
+        await pruneMigrationSnapshots(0);
+      } catch (error) {
+        console.error("Failed to clear IndexedDB data:", error);
+      }
       localStorage.clear();
       alert("All data has been cleared. The page will now reload.");
       window.location.reload();
@@ -46,7 +56,8 @@ export function UserGuidance() {
           <h3 className="text-xl font-semibold mb-2">Data storage</h3>
           <p className="mb-2">
             gc/bc is a client-side application that stores all data in your
-            browser's localStorage:
+            browser: companies and settings in localStorage, review caches in
+            IndexedDB:
           </p>
           <ul className="list-disc pl-5 space-y-2 mb-4">
             <li>
@@ -65,6 +76,8 @@ export function UserGuidance() {
               in data loss
             </li>
           </ul>
+          <WorkspaceTransfer />
+          <StorageDiagnostics />
           <div className="mt-4 text-center">
             <button
               onClick={handleDeleteData}
@@ -1,5 +1,7 @@
 import React, { useState } from "react";
 import { APP_VERSION, VERSION_HISTORY } from "../utils/version";
+import { restoreMigrationSnapshot } from "../utils/migrationSnapshots";
+import { describeStorageChange } from "../utils/migrationDryRun";
 
 /**
  * Component that displays a notice about the app version and recent changes
@@ -7,12 +9,62 @@ import { APP_VERSION, VERSION_HISTORY } from "../utils/version";
  * @param {Object} props - Component props
  * @param {Object} props.versionStatus - Version status information
  * @param {Function} props.onClose - Function called when the notice is dismissed
+ * @param {Function} props.onConfirmMigration - Function called when the user
+ *   agrees to run migrations that were held back because they delete data
  */
-export function VersionNotice({ versionStatus, onClose }) {
+export function VersionNotice({ versionStatus, onClose, onConfirmMigration }) {
   if (!versionStatus) return null;
 
-  const { firstRun, updated, fromVersion, migrationResult } = versionStatus;
+  const {
+    firstRun,
+    updated,
+    isOlder,
+    fromVersion,
+    migrationResult,
+    migrationPreview,
+    awaitingConfirmation,
+  } = versionStatus;
   const [showChanges, setShowChanges] = useState(false);
+  const [confirming, setConfirming] = useState(false);
+  const [restoring, setRestoring] = useState(false);
+  const [restoreError, setRestoreError] = useState(null);
+
+  // Put back the data from before this update; the migration runs again on
+  // reload, so this is mostly useful after a fix has shipped
+  const handleRestore = async () => {
+    if (
+      !window.confirm(
+        `Restore your companies and settings as they were before updating from v${fromVersion}? Changes made since the update will be lost, and the update will run again when the page reloads.`
+      )
+    ) {
+      return;
+    }
+
+    setRestoring(true);
+    setRestoreError(null);
+    try {
+      const result = await restoreMigrationSnapshot(migrationResult.snapshotId);
+      if (!result.success) {
+        setRestoreError(result.message);
+        return;
+      }
+      window.location.reload();
+    } catch (error) {
+      console.error("Failed to restore migration snapshot:", error);
+      setRestoreError("Failed to restore previous data");
+    } finally {
+      setRestoring(false);
+    }
+  };
+
+  const handleConfirmMigration = async () => {
+    setConfirming(true);
+    try {
+      await onConfirmMigration();
+    } finally {
+      setConfirming(false);
+    }
+  };
 
   // Get the current version info
   const currentVersionInfo = VERSION_HISTORY.find(
@@ -44,9 +96,12 @@ export function VersionNotice({ versionStatus, onClose }) {
               <h3 className="text-sm font-medium text-blue-800">
                 {firstRun
                   ? `Welcome to gc/bc v${APP_VERSION}`
+                  : isOlder
+                  ? `Switched back to v${APP_VERSION}`
                   : `Updated to v${APP_VERSION}`}
               </h3>
               {updated &&
+                !isOlder &&
                 currentVersionInfo.changes &&
                 currentVersionInfo.changes.length > 0 && (
                   <button
@@ -62,13 +117,74 @@ export function VersionNotice({ versionStatus, onClose }) {
                 <p>You deserve a good company; gc/bc will help you find it</p>
               ) : updated ? (
                 <div>
-                  <p>
-                    gc/bc has been updated from v{fromVersion} to v{APP_VERSION}
-                    .
-                  </p>
+                  {isOlder ? (
+                    <p>
+                      gc/bc has gone back from v{fromVersion} to the older v
+                      {APP_VERSION}.
+                    </p>
+                  ) : (
+                    <p>
+                      gc/bc has been updated from v{fromVersion} to v
+                      {APP_VERSION}.
+                    </p>
+                  )}
+                  {awaitingConfirmation && migrationPreview && (
+                    <div className="mt-1">
+                      <p>
+                        This update needs to change your saved data, and some of
+                        it will be deleted. Nothing has changed yet.
+                      </p>
+                      <ul className="text-xs list-disc ml-4 mt-1 space-y-1">
+                        {migrationPreview.operations.map((operation, i) => (
+                          <li
+                            key={`operation-${i}`}
+                            className={
+                              operation.destructive
+                                ? "text-red-600 font-medium"
+                                : undefined
+                            }
+                          >
+                            {operation.description}
+                          </li>
+                        ))}
+                        {migrationPreview.changes.map((change) => (
+                          <li key={change.key}>
+                            {describeStorageChange(change)}
+                          </li>
+                        ))}
+                      </ul>
+                      <p className="text-xs mt-1">
+                        You can export your workspace from the User Guide first
+                        to keep a copy.
+                      </p>
+                      {onConfirmMigration && (
+                        <button
+                          type="button"
+                          className="mt-2 rounded-md bg-red-600 px-3 py-1 text-xs font-medium text-white hover:bg-red-700 disabled:opacity-50"
+                          onClick={handleConfirmMigration}
+                          disabled={confirming}
+                        >
+                          {confirming ? "Updating..." : "Update my data"}
+                        </button>
+                      )}
+                    </div>
+                  )}
                   {migrationResult && (
                     <div className="mt-1">
-                      {migrationResult.success ? (
+                      {migrationResult.success && isOlder ? (
+                        <p>
+                          {migrationResult.reversed
+                            ? `Your data was converted back to the format v${APP_VERSION} uses.`
+                            : `v${APP_VERSION} can't convert data saved by v${fromVersion}, so your data was kept as it is.`}
+                          {migrationResult.validation?.length > 0 && (
+                            <span className="block text-xs mt-1">
+                              Data this version can't read was moved to the
+                              quarantine. You can download it from "Check your
+                              data" in the User Guide.
+                            </span>
+                          )}
+                        </p>
+                      ) : migrationResult.success ? (
                         <>
                           <p>
                             All your data has been successfully migrated to the
@@ -83,11 +199,32 @@ export function VersionNotice({ versionStatus, onClose }) {
                                 {migrationResult.affectedKeys.join(", ")}
                               </p>
                             )}
+                          {migrationResult.snapshotId != null && (
+                            <p className="text-xs mt-1">
+                              Something look wrong?{" "}
+                              <button
+                                type="button"
+                                className="text-blue-600 hover:underline disabled:opacity-50"
+                                onClick={handleRestore}
+                                disabled={restoring}
+                              >
+                                {restoring
+                                  ? "Restoring..."
+                                  : "Restore previous data"}
+                              </button>
+                            </p>
+                          )}
+                          {restoreError && (
+                            <p className="text-xs mt-1 text-red-600">
+                              {restoreError}
+                            </p>
+                          )}
                         </>
                       ) : (
                         <p className="text-red-600">
-                          There was an issue migrating your data. Some features
-                          may not work correctly.
+                          {migrationResult.rolledBack
+                            ? "There was an issue migrating your data, so it was restored to how it was before the update. The update will be tried again next time gc/bc loads."
+                            : "There was an issue migrating your data. Some features may not work correctly."}
                           {migrationResult.message && (
                             <span className="block text-xs mt-1">
                               {migrationResult.message}
@@ -0,0 +1,141 @@
+import React, { useRef, useState } from "react";
+import { Download, Upload } from "lucide-react";
+import {
+  downloadWorkspace,
+  exportWorkspace,
+  importWorkspace,
+} from "../utils/workspaceService";
+
+/**
+ * Export the workspace to a JSON file, or replace it with one from another
+ * machine
+ */
+export function WorkspaceTransfer() {
+  const [includeReviewCaches, setIncludeReviewCaches] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const handleExport = async () => {
+    setBusy(true);
+    setMessage(null);
+    try {
+      downloadWorkspace(await exportWorkspace({ includeReviewCaches }));
+    } catch (error) {
+      console.error("Failed to export workspace:", error);
+      setMessage({ type: "error", text: "Failed to export workspace" });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+
+    if (
+      !window.confirm(
+        "Importing a workspace replaces your companies and settings (and review caches, if the file has them). Continue?"
+      )
+    ) {
+      return;
+    }
+
+    setBusy(true);
+    setMessage(null);
+    try {
+      let bundle;
+      try {
+        bundle = JSON.parse(await file.text());
+      } catch (parseError) {
+        setMessage({ type: "error", text: "File is not valid JSON" });
+        return;
+      }
+
+      let result = await importWorkspace(bundle);
+      if (result.awaitingConfirmation) {
+        // Migrating the workspace deletes data; list what and ask first
+        const operations = result.migrationPreview.operations
+          .filter((operation) => operation.destructive)
+          .map((operation) => `- ${operation.description}`)
+          .join("\n");
+        if (
+          !window.confirm(
+            `${result.message}:\n${operations}\n\nImport it anyway?`
+          )
+        ) {
+          return;
+        }
+        result = await importWorkspace(bundle, { confirmDestructive: true });
+      }
+      if (!result.success && !result.migrationResult) {
+        // Nothing was changed
+        setMessage({ type: "error", text: result.message });
+        return;
+      }
+
+      alert(`${result.message}. The page will now reload.`);
+      window.location.reload();
+    } catch (error) {
+      console.error("Failed to import workspace:", error);
+      setMessage({ type: "error", text: "Failed to import workspace" });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="mt-4 p-4 border border-gray-200 rounded-md">
+      <h4 className="font-semibold mb-2">Move your workspace</h4>
+      <p className="text-sm text-gray-600 mb-3">
+        Export your companies and settings to a file, then import it in another
+        browser or on another machine.
+      </p>
+      <label className="flex items-center gap-2 text-sm text-gray-700 mb-3">
+        <input
+          type="checkbox"
+          checked={includeReviewCaches}
+          onChange={(e) => setIncludeReviewCaches(e.target.checked)}
+        />
+        Include cached reviews (larger file, no refetching after import)
+      </label>
+      <div className="flex flex-wrap gap-2">
+        <button
+          type="button"
+          onClick={handleExport}
+          disabled={busy}
+          className="flex items-center gap-1 bg-blue-500 hover:bg-blue-600 text-white py-2 px-4 rounded disabled:opacity-50"
+        >
+          <Download className="w-4 h-4" />
+          Export workspace
+        </button>
+        <button
+          type="button"
+          onClick={() => fileInputRef.current?.click()}
+          disabled={busy}
+          className="flex items-center gap-1 bg-gray-100 hover:bg-gray-200 text-gray-800 py-2 px-4 rounded disabled:opacity-50"
+        >
+          <Upload className="w-4 h-4" />
+          Import workspace
+        </button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept="application/json,.json"
+          onChange={handleImport}
+          className="hidden"
+        />
+      </div>
+      {message && (
+        <p
+          className={`text-sm mt-2 ${
+            message.type === "error" ? "text-red-600" : "text-green-600"
+          }`}
+        >
+          {message.text}
+        </p>
+      )}
+    </div>
+  );
+}
@@ -7,4 +7,14 @@ ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
     <App />
   </React.StrictMode>,
-) 
\ No newline at end of file
+) 
+
+// Cache the app shell and review data for offline use. Only production
+// builds register it, so the dev server's hot reloading isn't cached.
+if (import.meta.env.PROD && 'serviceWorker' in navigator) {
+  window.addEventListener('load', () => {
+    navigator.serviceWorker
+      .register('/sw.js')
+      .catch((error) => console.error('Failed to register service worker:', error))
+  })
+}
@@ -6,6 +6,13 @@ import {
   deleteCompany as deleteCompanyFromStorage,
   getCompanyById,
 } from "./localStorageService";
+import { reviewCacheHelpers } from "./migrations";
+import {
+  isDefaultReviewFilters,
+  normalizeReviewFilters,
+} from "./reviewFilters";
+import { getReviewCacheTtlMs, isReviewCacheFresh } from "./reviewCacheSettings";
+import { isOnline, runWhenOnline } from "./connectivity";
 
 const api = axios.create({
   baseURL: import.meta.env.VITE_API_URL
@@ -15,6 +22,124 @@ const api = axios.create({
 
 export default api;
 
+// How many times a rate-limited page request is retried; the server has
+// already retried upstream, so the browser only tries once more
+const RATE_LIMIT_MAX_RETRIES = 1;
+
+// Wait used when a 429 doesn't say how long to back off
+const DEFAULT_RETRY_AFTER_MS = 30000;
+
+// Review pages requested at once when paging from the browser
+const PAGE_FETCH_CONCURRENCY = 4;
+
+/**
+ * Whether an error comes from a cancelled request
+ * @param {Error} error - The error
+ * @returns {boolean} Whether the request was aborted
+ */
+export const isAbortError = (error) =>
+  axios.isCancel(error) ||
+  error?.name === "AbortError" ||
+  error?.code === "ERR_CANCELED";
+
+const createAbortError = () =>
+  new DOMException("Review fetch cancelled", "AbortError");
+
+/**
+ * Parse a Retry-After header value
+ * @param {string|undefined} value - Seconds or an HTTP date
+ * @returns {number} Delay in milliseconds, DEFAULT_RETRY_AFTER_MS if absent
+ *   or invalid
+ */
+export const parseRetryAfter = (value) => {
+  if (value === undefined || value === null || value === "") {
+    return DEFAULT_RETRY_AFTER_MS;
+  }
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value);
+  return Number.isNaN(date)
+    ? DEFAULT_RETRY_AFTER_MS
+    : Math.max(0, date - Date.now());
+};
+
+// Wait before retrying, giving up early if the fetch is cancelled
+const sleep = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(createAbortError());
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener(
+      "abort",
+      () => {
+        clearTimeout(timer);
+        reject(createAbortError());
+      },
+      { once: true }
+    );
+  });
+
+// Fill in fetch metadata missing from older review cache entries
+const toReviewDataset = (data) => ({
+  reviews: data.reviews,
+  timestamp: data.timestamp || null,
+  complete: data.complete !== false,
+  pagesFetched: data.pagesFetched ?? null,
+  numberOfPages: data.numberOfPages ?? null,
+  allReviewsCount: data.allReviewsCount ?? null,
+  error: data.error || null,
+});
+
+// Responses kept for revalidation with the server's ETag/Last-Modified
+const REVALIDATION_CACHE_MAX_ENTRIES = 200;
+const revalidationCache = new Map();
+
+/**
+ * POST to a cacheable API endpoint, revalidating any copy we already have.
+ * A 304 Not Modified answer reuses the earlier response body.
+ * @param {string} url - Endpoint URL
+ * @param {Object} body - Request body
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the request
+ * @returns {Promise<Object>} Axios-style response with status and data
+ */
+const postWithRevalidation = async (url, body, { signal } = {}) => {
+  const cacheKey = `${url} ${JSON.stringify(body)}`;
+  const cached = revalidationCache.get(cacheKey);
+  const headers = {};
+  if (cached?.etag) headers["If-None-Match"] = cached.etag;
+  else if (cached?.lastModified)
+    headers["If-Modified-Since"] = cached.lastModified;
+
+  const response = await axios.post(url, body, {
+    headers,
+    signal,
+    validateStatus: (status) =>
+      (status >= 200 && status < 300) || (status === 304 && !!cached),
+  });
+
+  if (response.status === 304) {
+    return { ...response, data: cached.data };
+  }
+
+  const etag = response.headers?.etag;
+  const lastModified = response.headers?.["last-modified"];
+  if (etag || lastModified) {
+    revalidationCache.delete(cacheKey);
+    revalidationCache.set(cacheKey, {
+      etag,
+      lastModified,
+      data: response.data,
+    });
+    while (revalidationCache.size > REVALIDATION_CACHE_MAX_ENTRIES) {
+      revalidationCache.delete(revalidationCache.keys().next().value);
+    }
+  }
+
+  return response;
+};
+
 export const companyApi = {
   getAll: async () => {
     // Get companies from local storage
@@ -31,13 +156,21 @@ export const companyApi = {
         company.location?.toLowerCase().includes(normalizedQuery)
     );
 
+    // Searching other companies needs the network; wait for it
+    if (!isOnline()) {
+      return runWhenOnline(`Search for "${query}"`, () =>
+        companyApi.search(query)
+      );
+    }
+
     try {
       // Then make a network request to search for external companies
       console.log("Searching for external companies:", query);
       const baseUrl = import.meta.env.VITE_API_URL || "http://localhost:3001";
-      const response = await axios.post(`${baseUrl}/api/companies/search`, {
-        query,
-      });
+      const response = await postWithRevalidation(
+        `${baseUrl}/api/companies/search`,
+        { query }
+      );
       console.log("External company search results:", response.data);
       return response.data || [];
     } catch (error) {
@@ -59,16 +192,20 @@ export const companyApi = {
     });
   },
 
-  update: async (id, name, logoUrl, website, size, location) => {
-    // Update in local storage
-    return updateCompanyInStorage(id, {
+  update: async (id, name, logoUrl, website, size, location, baseCompany) => {
+    // Update in local storage, merging with changes made in other tabs
+    return updateCompanyInStorage(
       id,
-      name,
-      logoUrl,
-      website,
-      size,
-      location,
-    });
+      {
+        id,
+        name,
+        logoUrl,
+        website,
+        size,
+        location,
+      },
+      baseCompany
+    );
   },
 
   delete: async (id) => {
@@ -77,7 +214,20 @@ export const companyApi = {
 };
 
 export const reviewApi = {
-  fetchReviews: async (employerId, page = 1) => {
+  /**
+   * Fetch one page of reviews, trying once more if the server is still rate
+   * limited
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the request
+   * @param {Function} [options.onRateLimited] - Called with the wait in
+   *   milliseconds before the retry
+   */
+  fetchReviews: async (
+    employerId,
+    page = 1,
+    filters,
+    { signal, onRateLimited } = {}
+  ) => {
     if (!employerId) {
       console.error("No employerId provided to fetchReviews");
       throw new Error("No employerId provided");
@@ -88,122 +238,597 @@ export const reviewApi = {
       `Fetching reviews for employerId: ${numericEmployerId} (original: ${employerId}), page: ${page}`
     );
 
+    const baseUrl = import.meta.env.VITE_API_URL || "http://localhost:3001";
+    const url = `${baseUrl}/api/reviews`;
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        console.log("Making API request to:", url);
+
+        const response = await postWithRevalidation(
+          url,
+          {
+            employerId: numericEmployerId,
+            page,
+            ...normalizeReviewFilters(filters),
+          },
+          { signal }
+        );
+        console.log("Reviews API response received:", response.status);
+        return response.data;
+      } catch (error) {
+        // The server already retried; if it is still rate limited, wait as
+        // long as it asks before trying again
+        if (
+          error.response?.status === 429 &&
+          attempt < RATE_LIMIT_MAX_RETRIES
+        ) {
+          const retryAfterMs = parseRetryAfter(
+            error.response.headers?.["retry-after"]
+          );
+          console.warn(
+            `Rate limited fetching page ${page}, retrying in ${retryAfterMs}ms`
+          );
+          onRateLimited?.(retryAfterMs);
+          await sleep(retryAfterMs, signal);
+          continue;
+        }
+
+        if (isAbortError(error)) throw error;
+
+        console.error("Error in fetchReviews:", error.message);
+        console.error("Error details:", error.response?.data);
+        throw error;
+      }
+    }
+  },
+
+  fetchStoredReviews: async (employerId, { signal } = {}) => {
     try {
       const baseUrl = import.meta.env.VITE_API_URL || "http://localhost:3001";
-      const url = `${baseUrl}/api/reviews`;
-      console.log("Making API request to:", url);
-
-      const response = await axios.post(url, {
-        employerId: numericEmployerId,
-        page,
-      });
-      console.log("Reviews API response received:", response.status);
+      const response = await axios.get(
+        `${baseUrl}/api/reviews/${parseInt(employerId, 10) || employerId}`,
+        { signal }
+      );
       return response.data;
     } catch (error) {
-      console.error("Error in fetchReviews:", error.message);
-      console.error("Error details:", error.response?.data);
-      throw error;
+      if (isAbortError(error)) throw error;
+      if (error.response?.status === 404) {
+        return null; // Nothing stored yet for this employer
+      }
+      console.error("Error in fetchStoredReviews:", error.message);
+      return null;
     }
   },
 
-  fetchAllReviews: async (employerId, onProgress) => {
-    const cacheKey = `reviews_${employerId}`;
-    const cacheRaw = localStorage.getItem(cacheKey);
-    if (cacheRaw) {
-      try {
-        const cache = JSON.parse(cacheRaw);
-        if (
-          cache.timestamp &&
-          Date.now() - cache.timestamp < 24 * 60 * 60 * 1000 &&
-          Array.isArray(cache.reviews)
-        ) {
-          return cache.reviews;
+  startReviewJob: async (
+    employerId,
+    filters,
+    startPage = 1,
+    { signal } = {}
+  ) => {
+    const baseUrl = import.meta.env.VITE_API_URL || "http://localhost:3001";
+    const response = await axios.post(
+      `${baseUrl}/api/reviews/jobs`,
+      {
+        employerId: parseInt(employerId, 10) || employerId,
+        startPage,
+        ...normalizeReviewFilters(filters),
+      },
+      { signal }
+    );
+    return response.data;
+  },
+
+  // Cancelling only stops following the job; the server keeps fetching, so
+  // the next request for the same reviews picks it up again
+  followReviewJob: (jobId, onProgress, { signal } = {}) => {
+    const baseUrl = import.meta.env.VITE_API_URL || "http://localhost:3001";
+
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) return reject(createAbortError());
+
+      const events = new EventSource(
+        `${baseUrl}/api/reviews/jobs/${jobId}/events`
+      );
+
+      const handleAbort = () => {
+        events.close();
+        reject(createAbortError());
+      };
+      signal?.addEventListener("abort", handleAbort, { once: true });
+
+      const handleProgress = (event) => {
+        const job = JSON.parse(event.data);
+        if (onProgress && job.total) {
+          onProgress({
+            current: job.current,
+            total: job.total,
+            reviewCount: job.reviewCount,
+            background: true,
+          });
+        }
+      };
+
+      // Both final events carry the reviews fetched, partial on failure
+      const handleFinished = (event) => {
+        events.close();
+        signal?.removeEventListener("abort", handleAbort);
+        resolve(JSON.parse(event.data));
+      };
+
+      events.addEventListener("progress", handleProgress);
+      events.addEventListener("complete", handleFinished);
+      events.addEventListener("failed", handleFinished);
+
+      // EventSource reconnects by itself after a dropped connection and the
+      // server replays the job's current state; give up only once it stops
+      events.onerror = () => {
+        if (events.readyState === EventSource.CLOSED) {
+          signal?.removeEventListener("abort", handleAbort);
+          reject(new Error(`Lost connection to review job ${jobId}`));
         }
-      } catch (e) {
-        // Ignore parse errors
+      };
+    });
+  },
+
+  // Fetch pages from startPage to the last one as a server job
+  fetchPagesWithJob: async (
+    employerId,
+    startPage,
+    onProgress,
+    filters,
+    { reviewCountBefore = 0, signal } = {}
+  ) => {
+    const { jobId } = await reviewApi.startReviewJob(
+      employerId,
+      filters,
+      startPage,
+      { signal }
+    );
+    console.log(`Following review job ${jobId} for employerId: ${employerId}`);
+
+    const job = await reviewApi.followReviewJob(
+      jobId,
+      onProgress &&
+        ((progress) =>
+          onProgress({
+            ...progress,
+            current: progress.current + startPage - 1,
+            reviewCount: progress.reviewCount + reviewCountBefore,
+          })),
+      { signal }
+    );
+
+    return {
+      reviews: job.reviews || [],
+      lastPage: job.lastPage ?? startPage - 1,
+      numberOfPages: job.total,
+      allReviewsCount: job.allReviewsCount,
+      error:
+        job.status === "failed"
+          ? { page: job.failedPage, message: job.error }
+          : null,
+    };
+  },
+
+  // Fetch pages from startPage to the last one from the browser, a few at a
+  // time. Only pages up to the first failure are kept, so a later attempt
+  // can resume from there.
+  fetchPagesFromBrowser: async (
+    employerId,
+    startPage,
+    onProgress,
+    filters,
+    { reviewCountBefore = 0, signal } = {}
+  ) => {
+    const pages = [];
+    let numberOfPages = null;
+    let allReviewsCount = null;
+    let pagesDone = 0;
+    let reviewCount = reviewCountBefore;
+    let failure = null;
+
+    const reportProgress = (extra) =>
+      onProgress?.({
+        current: startPage - 1 + pagesDone,
+        total: numberOfPages,
+        reviewCount,
+        ...extra,
+      });
+
+    const fetchPage = async (page) => {
+      const response = await reviewApi.fetchReviews(employerId, page, filters, {
+        signal,
+        onRateLimited: (retryAfterMs) => reportProgress({ retryAfterMs }),
+      });
+      const data = response.data?.employerReviews;
+      if (!data) {
+        throw new Error(`No review data returned for page ${page}`);
       }
+
+      numberOfPages = data.numberOfPages || 1;
+      allReviewsCount = data.allReviewsCount ?? allReviewsCount;
+      pages[page - startPage] = data.reviews || [];
+      pagesDone++;
+      reviewCount += pages[page - startPage].length;
+      reportProgress();
+    };
+
+    try {
+      // The first page tells us how many there are
+      await fetchPage(startPage);
+
+      let nextPage = startPage + 1;
+      const worker = async () => {
+        while (!failure && nextPage <= numberOfPages) {
+          const page = nextPage++;
+          try {
+            await fetchPage(page);
+          } catch (error) {
+            if (!failure || page < failure.page) failure = { page, error };
+          }
+        }
+      };
+      await Promise.all(
+        Array.from({ length: PAGE_FETCH_CONCURRENCY }, () => worker())
+      );
+    } catch (error) {
+      failure = { page: startPage, error };
+    }
+
+    const firstGap = pages.findIndex((page) => !page);
+    const goodPages = firstGap === -1 ? pages : pages.slice(0, firstGap);
+    const lastPage = startPage + goodPages.length - 1;
+
+    if (failure) {
+      if (!isAbortError(failure.error)) {
+        console.error(
+          `Error fetching page ${failure.page} of reviews:`,
+          failure.error
+        );
+      }
+      return {
+        reviews: goodPages.flat(),
+        lastPage,
+        numberOfPages,
+        allReviewsCount,
+        error: {
+          page: lastPage + 1,
+          message: isAbortError(failure.error)
+            ? "Cancelled"
+            : failure.error.message,
+        },
+      };
     }
 
-    // Make real API calls to fetch all reviews
-    let allReviews = [];
+    return {
+      reviews: goodPages.flat(),
+      lastPage,
+      numberOfPages,
+      allReviewsCount,
+      error: null,
+    };
+  },
+
+  // Fetch reviews newer than the ones already known, page by page until a
+  // page overlaps them. Resolves to { reviews, numberOfPages,
+  // allReviewsCount }: the known reviews with the new ones first, and the
+  // counts from the latest page fetched.
+  syncReviews: async (
+    employerId,
+    knownReviews,
+    onProgress,
+    filters,
+    { signal } = {}
+  ) => {
+    const knownIds = new Set(knownReviews.map((review) => review.reviewId));
+    const newestKnown = knownReviews.reduce(
+      (newest, review) =>
+        review.reviewDateTime && review.reviewDateTime > newest
+          ? review.reviewDateTime
+          : newest,
+      ""
+    );
+
+    let newReviews = [];
     let currentPage = 1;
     let totalPages = 1;
+    let allReviewsCount = null;
+    let reachedKnown = false;
 
-    console.log(`Starting to fetch reviews for employerId: ${employerId}`);
+    console.log(
+      `Syncing reviews for employerId: ${employerId} newer than ${
+        newestKnown || "(none)"
+      }`
+    );
 
-    // Fetch all pages of reviews
-    try {
-      // First request to get the initial page and determine total pages
-      console.log(`Fetching page ${currentPage} of reviews`);
-      const firstResponse = await reviewApi.fetchReviews(
+    // Reviews are sorted by DATE, so stop paging at the first page that
+    // overlaps what we already have
+    while (!reachedKnown && currentPage <= totalPages) {
+      const response = await reviewApi.fetchReviews(
         employerId,
-        currentPage
+        currentPage,
+        filters,
+        {
+          signal,
+          onRateLimited: (retryAfterMs) =>
+            onProgress?.({
+              current: currentPage,
+              total: totalPages,
+              reviewCount: knownReviews.length + newReviews.length,
+              incremental: true,
+              retryAfterMs,
+            }),
+        }
       );
-      console.log("API response for first page:", firstResponse);
-
-      const firstData = firstResponse.data?.employerReviews;
-      if (firstData) {
-        console.log(
-          `Found ${
-            firstData.reviews?.length || 0
-          } reviews on page ${currentPage}`
-        );
-        allReviews = [...allReviews, ...(firstData.reviews || [])];
-        totalPages = firstData.numberOfPages || 1;
-        console.log(`Total pages: ${totalPages}`);
+      const data = response.data?.employerReviews;
 
-        if (onProgress) {
-          onProgress({
-            current: currentPage,
-            total: totalPages,
-            reviewCount: allReviews.length,
-          });
-        }
+      if (!data) {
+        throw new Error(`No review data returned for page ${currentPage}`);
+      }
 
-        // Fetch remaining pages if there are more
-        currentPage++;
-        while (currentPage <= totalPages) {
-          console.log(`Fetching page ${currentPage} of ${totalPages}`);
-          const response = await reviewApi.fetchReviews(
-            employerId,
-            currentPage
-          );
-          const data = response.data?.employerReviews;
-
-          if (data && data.reviews) {
-            console.log(
-              `Found ${data.reviews.length || 0} reviews on page ${currentPage}`
-            );
-            allReviews = [...allReviews, ...(data.reviews || [])];
-
-            if (onProgress) {
-              onProgress({
-                current: currentPage,
-                total: totalPages,
-                reviewCount: allReviews.length,
-              });
-            }
-          }
+      totalPages = data.numberOfPages || 1;
+      allReviewsCount = data.allReviewsCount ?? allReviewsCount;
 
-          currentPage++;
+      for (const review of data.reviews || []) {
+        if (
+          knownIds.has(review.reviewId) ||
+          (newestKnown && review.reviewDateTime < newestKnown)
+        ) {
+          reachedKnown = true;
+        }
+        if (!knownIds.has(review.reviewId)) {
+          knownIds.add(review.reviewId);
+          newReviews.push(review);
         }
+      }
+
+      if (onProgress) {
+        onProgress({
+          current: currentPage,
+          total: totalPages,
+          reviewCount: knownReviews.length + newReviews.length,
+          incremental: true,
+        });
+      }
+
+      currentPage++;
+    }
+
+    console.log(
+      `Found ${newReviews.length} new reviews in ${currentPage - 1} page(s)`
+    );
+
+    return {
+      reviews: [...newReviews, ...knownReviews],
+      numberOfPages: totalPages,
+      allReviewsCount,
+    };
+  },
+
+  /**
+   * Get every review for a company along with how complete the set is.
+   * Incomplete datasets are resumed from the page after the last good one.
+   * Offline, any cached copy is used however old it is. Forced refreshes, and
+   * companies with nothing cached, wait until the connection is back.
+   * @param {Object} [options]
+   * @param {boolean} [options.force=false] - Check for new reviews even if the
+   *   cached copy is still fresh or pinned
+   * @param {AbortSignal} [options.signal] - Cancels the fetch. A server job
+   *   keeps fetching and the next request picks it up again; pages fetched
+   *   from the browser are cached as an incomplete dataset to resume later
+   * @returns {Promise<Object>} { reviews, timestamp, complete, pagesFetched,
+   *   numberOfPages, allReviewsCount, error }
+   */
+  fetchReviewDataset: async (
+    employerId,
+    onProgress,
+    filters,
+    { force = false, signal } = {}
+  ) => {
+    if (force && !isOnline()) {
+      return runWhenOnline(
+        `Refresh reviews for ${getCompanyById(employerId)?.name || employerId}`,
+        () =>
+          reviewApi.fetchReviewDataset(employerId, onProgress, filters, {
+            force,
+            signal,
+          }),
+        { signal }
+      );
+    }
+
+    const cache = await reviewCacheHelpers.getReviews(employerId, filters);
+    if (!isOnline()) {
+      if (Array.isArray(cache?.reviews)) return toReviewDataset(cache);
+
+      // Nothing cached to show: fetch once the connection is back rather than
+      // failing now and caching the failure
+      return runWhenOnline(
+        `Load reviews for ${getCompanyById(employerId)?.name || employerId}`,
+        () =>
+          reviewApi.fetchReviewDataset(employerId, onProgress, filters, {
+            force,
+            signal,
+          }),
+        { signal }
+      );
+    }
+    let cachedReviews = null;
+    let partial = null;
+    if (Array.isArray(cache?.reviews)) {
+      const isFresh = isReviewCacheFresh(cache);
+
+      // Entries written before completeness was tracked count as complete
+      if (cache.complete === false) {
+        if (isFresh && cache.pagesFetched > 0) partial = cache;
+      } else if (isFresh && !force) {
+        return toReviewDataset(cache);
       } else {
-        console.error("No data or reviews in API response");
+        cachedReviews = cache.reviews;
       }
-    } catch (error) {
-      console.error(`Error fetching reviews:`, error);
     }
 
-    // Store in cache
-    try {
-      localStorage.setItem(
-        cacheKey,
-        JSON.stringify({ reviews: allReviews, timestamp: Date.now() })
+    // Use the server's review store if it holds a complete, fresh copy. The
+    // store only keeps the default, unfiltered view of each company.
+    const stored =
+      !partial && !force && isDefaultReviewFilters(filters)
+        ? await reviewApi.fetchStoredReviews(employerId, { signal })
+        : null;
+    if (
+      stored?.complete &&
+      stored.fetchedAt &&
+      Date.now() - new Date(stored.fetchedAt).getTime() <
+        getReviewCacheTtlMs() &&
+      Array.isArray(stored.reviews)
+    ) {
+      console.log(
+        `Loaded ${stored.reviews.length} stored reviews for employerId: ${employerId}`
+      );
+      const dataset = toReviewDataset({
+        reviews: stored.reviews,
+        timestamp: new Date(stored.fetchedAt).getTime(),
+        complete: true,
+        pagesFetched: stored.pagesFetched,
+        numberOfPages: stored.numberOfPages,
+        allReviewsCount: stored.allReviewsCount,
+      });
+      await reviewCacheHelpers.saveReviews(employerId, filters, dataset);
+      return dataset;
+    }
+
+    // With an older complete copy on hand, only fetch what is new since then
+    const known =
+      cachedReviews?.length > 0
+        ? cache
+        : stored?.complete && stored.reviews?.length > 0
+        ? { ...stored, timestamp: new Date(stored.fetchedAt).getTime() }
+        : null;
+    if (known) {
+      try {
+        const synced = await reviewApi.syncReviews(
+          employerId,
+          known.reviews,
+          onProgress,
+          filters,
+          { signal }
+        );
+        // The known reviews covered every page, so with the new ones added
+        // the set covers every page there is now
+        const dataset = toReviewDataset({
+          ...known,
+          reviews: synced.reviews,
+          timestamp: Date.now(),
+          complete: true,
+          pagesFetched: synced.numberOfPages,
+          numberOfPages: synced.numberOfPages,
+          allReviewsCount: synced.allReviewsCount ?? known.allReviewsCount,
+        });
+        await reviewCacheHelpers.saveReviews(employerId, filters, dataset);
+        return dataset;
+      } catch (error) {
+        if (isAbortError(error)) throw error;
+        console.error(
+          "Incremental sync failed, falling back to a full fetch:",
+          error
+        );
+      }
+    }
+
+    // Fetch everything, or only the pages a partial fetch didn't get to
+    const previousReviews = partial ? partial.reviews : [];
+    const startPage = partial ? partial.pagesFetched + 1 : 1;
+    console.log(
+      `Fetching reviews for employerId: ${employerId} from page ${startPage}`
+    );
+
+    let result = null;
+
+    // Let the server fetch the pages as a background job, which keeps going
+    // if this tab is closed and is picked up again on the next request
+    if (typeof EventSource !== "undefined") {
+      try {
+        result = await reviewApi.fetchPagesWithJob(
+          employerId,
+          startPage,
+          onProgress,
+          filters,
+          { reviewCountBefore: previousReviews.length, signal }
+        );
+      } catch (error) {
+        if (isAbortError(error)) throw error;
+        console.error(
+          "Review job unavailable, fetching pages from the browser:",
+          error
+        );
+      }
+    }
+
+    if (!result) {
+      result = await reviewApi.fetchPagesFromBrowser(
+        employerId,
+        startPage,
+        onProgress,
+        filters,
+        { reviewCountBefore: previousReviews.length, signal }
       );
-    } catch (e) {
-      // Ignore quota errors
     }
 
-    return allReviews;
+    // New reviews can shift others onto later pages between attempts
+    const previousIds = new Set(
+      previousReviews.map((review) => review.reviewId)
+    );
+    const dataset = toReviewDataset({
+      reviews: [
+        ...previousReviews,
+        ...result.reviews.filter((review) => !previousIds.has(review.reviewId)),
+      ],
+      timestamp: Date.now(),
+      complete: !result.error,
+      pagesFetched: result.lastPage,
+      numberOfPages: result.numberOfPages ?? partial?.numberOfPages,
+      allReviewsCount: result.allReviewsCount ?? partial?.allReviewsCount,
+      error: result.error && {
+        ...result.error,
+        failedAt: new Date().toISOString(),
+      },
+    });
+
+    if (!dataset.complete) {
+      console.warn(
+        `Fetched ${dataset.pagesFetched} of ${
+          dataset.numberOfPages || "?"
+        } pages for employerId: ${employerId}; page ${
+          dataset.error.page
+        } failed: ${dataset.error.message}`
+      );
+    }
+
+    await reviewCacheHelpers.saveReviews(employerId, filters, dataset);
+
+    // Partial results are kept for resuming, but a cancelled caller gets none
+    if (signal?.aborted) throw createAbortError();
+
+    return dataset;
+  },
+
+  fetchAllReviews: async (employerId, onProgress, filters, { signal } = {}) => {
+    const dataset = await reviewApi.fetchReviewDataset(
+      employerId,
+      onProgress,
+      filters,
+      { signal }
+    );
+    return dataset.reviews;
+  },
+};
+
+export const versionApi = {
+  // Version and changelog of the build currently deployed
+  getManifest: async () => {
+    const baseUrl = import.meta.env.VITE_API_URL || "http://localhost:3001";
+    const response = await axios.get(`${baseUrl}/api/version`);
+    return response.data;
   },
 };
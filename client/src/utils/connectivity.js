@@ -0,0 +1,107 @@
+/**
+ * Connectivity tracking for gc/bc
+ * Follows the browser's online and offline events. Work that needs the
+ * network, like company searches and review refreshes, is queued while
+ * offline and runs in order once the connection is back.
+ */
+
+// Tasks waiting for the connection: { description, run, resolve, reject }
+const queue = [];
+const listeners = new Set();
+let listening = false;
+
+/**
+ * Whether the browser thinks it is online
+ * @returns {boolean} False only when the browser reports being offline
+ */
+export function isOnline() {
+  return typeof navigator === "undefined" || navigator.onLine !== false;
+}
+
+// Tell subscribers the current connectivity and what is queued
+const notify = () => {
+  const status = getConnectivityStatus();
+  listeners.forEach((listener) => listener(status));
+};
+
+// Run everything queued, oldest first, stopping if the connection drops
+const flushQueue = async () => {
+  while (queue.length > 0 && isOnline()) {
+    const task = queue.shift();
+    notify();
+    try {
+      task.resolve(await task.run());
+    } catch (error) {
+      task.reject(error);
+    }
+  }
+};
+
+// Listen for connectivity changes once, the first time anyone needs them
+const listen = () => {
+  if (listening || typeof window === "undefined") return;
+  listening = true;
+  window.addEventListener("online", () => {
+    notify();
+    flushQueue();
+  });
+  window.addEventListener("offline", notify);
+};
+
+/**
+ * Get the current connectivity
+ * @returns {Object} { online, queued }: whether the browser is online and
+ *   the descriptions of queued tasks, oldest first
+ */
+export function getConnectivityStatus() {
+  return {
+    online: isOnline(),
+    queued: queue.map((task) => task.description),
+  };
+}
+
+/**
+ * Listen for connectivity changes and changes to the queue
+ * @param {Function} listener - Called with getConnectivityStatus()
+ * @returns {Function} Call to stop listening
+ */
+export function subscribeToConnectivity(listener) {
+  listen();
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Run a task now if online, or once the connection is back
+ * @param {string} description - What the task does, for the offline notice
+ * @param {Function} run - Performs the task, returning a promise
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Removes the task from the queue
+ * @returns {Promise<any>} The task's result
+ */
+export function runWhenOnline(description, run, { signal } = {}) {
+  if (isOnline()) return run();
+
+  listen();
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      return reject(new DOMException("Queued task cancelled", "AbortError"));
+    }
+
+    const task = { description, run, resolve, reject };
+    queue.push(task);
+    signal?.addEventListener(
+      "abort",
+      () => {
+        const index = queue.indexOf(task);
+        if (index === -1) return;
+        queue.splice(index, 1);
+        notify();
+        reject(new DOMException("Queued task cancelled", "AbortError"));
+      },
+      { once: true }
+    );
+    console.log(`Offline; queued until the connection is back: ${description}`);
+    notify();
+  });
+}
@@ -0,0 +1,77 @@
+/**
+ * Cross-tab synchronization for gc/bc
+ * localStorage writes already reach other tabs as `storage` events. Review
+ * caches live in IndexedDB, which has no change events, so their writes are
+ * announced on a BroadcastChannel instead. Subscribers see both the same way.
+ */
+
+const CHANNEL_NAME = "gcbc-sync";
+
+/**
+ * Change topics that are not localStorage keys
+ */
+export const SYNC_TOPICS = {
+  // A review set was saved, updated or deleted: { action, cacheKey, employerId }
+  REVIEW_CACHE: "reviewCache",
+};
+
+let channel = null;
+
+// One channel per tab: a channel never receives its own messages, so this
+// tab's changes are only delivered to other tabs
+const getChannel = () => {
+  if (!channel && typeof BroadcastChannel !== "undefined") {
+    channel = new BroadcastChannel(CHANNEL_NAME);
+  }
+  return channel;
+};
+
+/**
+ * Tell other tabs that something outside localStorage changed
+ * @param {string} topic - One of SYNC_TOPICS
+ * @param {Object} [detail] - What changed; must be structured-cloneable
+ */
+export function broadcastChange(topic, detail = {}) {
+  try {
+    getChannel()?.postMessage({ topic, detail });
+  } catch (e) {
+    // Other tabs will see the change the next time they read it
+    console.warn(`Failed to broadcast ${topic} change:`, e);
+  }
+}
+
+/**
+ * Listen for changes other tabs make
+ * @param {Array<string>} topics - localStorage keys and/or SYNC_TOPICS values
+ * @param {Function} callback - Called with (topic, detail). For localStorage
+ *   keys detail is { newValue }, or { cleared: true } if storage was cleared.
+ * @returns {Function} Call to stop listening
+ */
+export function subscribeToChanges(topics, callback) {
+  const handleStorage = (event) => {
+    if (event.storageArea !== localStorage) return;
+
+    // A null key means another tab cleared localStorage
+    if (event.key === null) {
+      topics.forEach((topic) => callback(topic, { cleared: true }));
+    } else if (topics.includes(event.key)) {
+      callback(event.key, { newValue: event.newValue });
+    }
+  };
+
+  const handleMessage = (event) => {
+    const { topic, detail } = event.data || {};
+    if (topics.includes(topic)) {
+      callback(topic, detail || {});
+    }
+  };
+
+  window.addEventListener("storage", handleStorage);
+  const syncChannel = getChannel();
+  syncChannel?.addEventListener("message", handleMessage);
+
+  return () => {
+    window.removeEventListener("storage", handleStorage);
+    syncChannel?.removeEventListener("message", handleMessage);
+  };
+}
@@ -1,5 +1,7 @@
 // Local storage service for managing companies
 
+import { readStoredValue } from "./storageSchemas";
+
 const COMPANIES_KEY = "companies";
 
 // Get all used localStorage keys in the application
@@ -8,6 +10,12 @@ export const LOCAL_STORAGE_KEYS = {
   COMPANIES: COMPANIES_KEY,
   APP_VERSION: "app_version",
 
+  // Version tracking - changelog and migration history (migrationHistory.js)
+  LAST_SEEN_VERSION: "lastSeenVersion",
+  MIGRATION_HISTORY: "migrationHistory",
+  // Records each declarative addField filled in (migrationOperations.js)
+  MIGRATION_ADDED_FIELDS: "migrationAddedFields",
+
   // UI Settings - ReviewsTable component
   REVIEWS_TABLE_COLUMN_ORDER: "reviewsTableColumnOrder",
   REVIEWS_TABLE_COLUMN_VISIBILITY: "reviewsTableColumnVisibility",
@@ -15,11 +23,20 @@ export const LOCAL_STORAGE_KEYS = {
   REVIEWS_TABLE_COLUMN_VISIBILITY_COMPARE:
     "reviewsTableColumnVisibilityCompare",
 
+  // UI Settings - Review filters
+  REVIEW_FILTERS: "reviewFilters",
+
+  // UI Settings - Review cache manager
+  REVIEW_CACHE_SETTINGS: "reviewCacheSettings",
+
   // UI Settings - SentimentCharts component
   SENTIMENT_CHARTS_ORDER: "sentimentChartsOrder",
   SENTIMENT_CHARTS_HIDDEN: "sentimentChartsHidden",
   SENTIMENT_CHARTS_ORDER_COMPARE: "sentimentChartsOrderCompare",
   SENTIMENT_CHARTS_HIDDEN_COMPARE: "sentimentChartsHiddenCompare",
+
+  // Diagnostics - records that failed schema validation (storageSchemas.js)
+  STORAGE_QUARANTINE: "storageQuarantine",
 };
 
 // Initialize local storage with default companies if empty
@@ -32,60 +49,88 @@ const initializeLocalStorage = () => {
 // Get all companies from local storage
 export const getAllCompanies = () => {
   initializeLocalStorage();
-  const companies = JSON.parse(localStorage.getItem(COMPANIES_KEY)) || [];
+  // Invalid company records are quarantined rather than breaking the list
+  const companies = readStoredValue(COMPANIES_KEY) || [];
   // Sort companies alphabetically by name
   return companies.sort((a, b) => a.name.localeCompare(b.name));
 };
 
-// Add a new company to local storage
-export const addCompany = (company) => {
+// Apply a change to the stored company list. The list is re-read immediately
+// before writing, so companies another tab added, edited or deleted since this
+// tab last loaded them are kept rather than overwritten.
+const modifyCompanies = (modify) => {
   const companies = getAllCompanies();
-  if (companies.some((c) => c.id === company.id)) {
-    return null; // Company already exists
+  const result = modify(companies);
+  if (result.changed) {
+    localStorage.setItem(COMPANIES_KEY, JSON.stringify(result.companies));
   }
-
-  const companyToStore = {
-    ...company,
-    id: company.id,
-  };
-
-  companies.push(companyToStore);
-  localStorage.setItem(COMPANIES_KEY, JSON.stringify(companies));
-  return companyToStore;
+  return result.value;
 };
 
-// Update an existing company
-export const updateCompany = (id, companyData) => {
-  const companies = getAllCompanies();
-  const index = companies.findIndex((c) => c.id === id);
-
-  if (index === -1) {
-    return null; // Company not found
-  }
-
-  const updatedCompany = {
-    ...companies[index],
-    ...companyData,
-    id, // Ensure ID remains the same
-  };
-
-  companies[index] = updatedCompany;
-  localStorage.setItem(COMPANIES_KEY, JSON.stringify(companies));
-  return updatedCompany;
-};
+// Add a new company to local storage
+export const addCompany = (company) =>
+  modifyCompanies((companies) => {
+    if (companies.some((c) => c.id === company.id)) {
+      return { changed: false, value: null }; // Company already exists
+    }
+
+    const companyToStore = {
+      ...company,
+      id: company.id,
+    };
+
+    return {
+      changed: true,
+      companies: [...companies, companyToStore],
+      value: companyToStore,
+    };
+  });
+
+// Update an existing company. When baseCompany (the company as it was when
+// the edit started) is given, only fields that differ from it are written, so
+// another tab's edits to the other fields survive.
+export const updateCompany = (id, companyData, baseCompany = null) =>
+  modifyCompanies((companies) => {
+    const index = companies.findIndex((c) => c.id === id);
+
+    if (index === -1) {
+      return { changed: false, value: null }; // Company not found
+    }
+
+    const changes = baseCompany
+      ? Object.fromEntries(
+          Object.entries(companyData).filter(
+            ([field, value]) => (value ?? "") !== (baseCompany[field] ?? "")
+          )
+        )
+      : companyData;
+
+    const updatedCompany = {
+      ...companies[index],
+      ...changes,
+      id, // Ensure ID remains the same
+    };
+
+    const updatedCompanies = [...companies];
+    updatedCompanies[index] = updatedCompany;
+    return {
+      changed: true,
+      companies: updatedCompanies,
+      value: updatedCompany,
+    };
+  });
 
 // Delete a company by ID
-export const deleteCompany = (id) => {
-  const companies = getAllCompanies();
-  const filteredCompanies = companies.filter((c) => c.id !== id);
+export const deleteCompany = (id) =>
+  modifyCompanies((companies) => {
+    const filteredCompanies = companies.filter((c) => c.id !== id);
 
-  if (filteredCompanies.length === companies.length) {
-    return false; // No company was deleted
-  }
+    if (filteredCompanies.length === companies.length) {
+      return { changed: false, value: false }; // No company was deleted
+    }
 
-  localStorage.setItem(COMPANIES_KEY, JSON.stringify(filteredCompanies));
-  return true;
-};
+    return { changed: true, companies: filteredCompanies, value: true };
+  });
 
 // Get a company by ID
 export const getCompanyById = (id) => {
@@ -0,0 +1,280 @@
+/**
+ * Dry runs for data migrations
+ * Migrations and the strategies in migrationStrategies.js read and write
+ * through getMigrationStorage(). A dry run swaps in an in-memory copy of
+ * localStorage, runs the migrations against it, and diffs the copy against
+ * the real data to preview what the migrations would change.
+ */
+
+let activeContext = null;
+
+// Dry runs swap the storage every migration sees for as long as they run, so
+// dry runs and real runs take turns through this chain
+let migrationQueue = Promise.resolve();
+
+/**
+ * Run migrations once no other migration run, dry or real, is in progress
+ * @param {Function} fn - Async function that runs the migrations
+ * @returns {Promise<any>} What fn returned
+ */
+export function runMigrationsExclusively(fn) {
+  const run = migrationQueue.then(fn);
+  migrationQueue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Create an in-memory Storage with a copy of another storage's contents
+ * @param {Storage} [source=localStorage] - Storage to copy
+ * @returns {Object} Object implementing the Storage interface
+ */
+export function createMemoryStorage(source = localStorage) {
+  const items = new Map();
+  for (let i = 0; i < source.length; i++) {
+    const key = source.key(i);
+    items.set(key, source.getItem(key));
+  }
+
+  return {
+    get length() {
+      return items.size;
+    },
+    key: (index) => Array.from(items.keys())[index] ?? null,
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key),
+    clear: () => items.clear(),
+  };
+}
+
+/**
+ * The storage migrations should use: localStorage, or the in-memory copy
+ * during a dry run
+ * @returns {Storage} Storage to read and write
+ */
+export function getMigrationStorage() {
+  return activeContext?.storage || localStorage;
+}
+
+/**
+ * Whether migrations are currently being previewed. Strategies that write
+ * outside localStorage (e.g. IndexedDB) must skip those writes when true.
+ * @returns {boolean} Whether a dry run is in progress
+ */
+export function isMigrationDryRun() {
+  return !!activeContext;
+}
+
+/**
+ * Note an operation a strategy would perform. Only recorded during dry runs;
+ * destructive operations need the user's confirmation before they run for
+ * real.
+ * @param {string} description - What the operation does, for the user
+ * @param {Object} [options]
+ * @param {boolean} [options.destructive=false] - Whether data is lost
+ */
+export function recordMigrationOperation(
+  description,
+  { destructive = false } = {}
+) {
+  activeContext?.operations.push({ description, destructive });
+}
+
+/**
+ * Run a function with migrations pointed at an in-memory copy of localStorage.
+ * Waits for any migration run in progress, and real runs started meanwhile
+ * wait for it (see runMigrationsExclusively).
+ * @param {Function} fn - Async function that runs the migrations
+ * @param {Storage} [source=localStorage] - Storage to copy
+ * @returns {Promise<Object>} { value, storage, operations }: what fn
+ *   returned, the copy after it ran, and the operations strategies recorded
+ */
+export function runMigrationDryRun(fn, source = localStorage) {
+  return runMigrationsExclusively(async () => {
+    const context = { storage: createMemoryStorage(source), operations: [] };
+    activeContext = context;
+
+    try {
+      const value = await fn();
+      return {
+        value,
+        storage: context.storage,
+        operations: context.operations,
+      };
+    } finally {
+      activeContext = null;
+    }
+  });
+}
+
+// Parse a stored value, keeping it as a string if it isn't JSON
+const parseStoredValue = (value) => {
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return value;
+  }
+};
+
+const isRecordList = (value) =>
+  Array.isArray(value) &&
+  value.every((item) => item && typeof item === "object");
+
+const isPlainObject = (value) =>
+  !!value && typeof value === "object" && !Array.isArray(value);
+
+// Every field name used by any record
+const collectFields = (records) =>
+  new Set(records.flatMap((record) => Object.keys(record)));
+
+/**
+ * Describe how a list of records changed: records added or removed (matched
+ * by id where records have one), and fields added, removed or renamed
+ * @param {Array<Object>} before - Records before
+ * @param {Array<Object>} after - Records after
+ * @returns {Object} { recordsAdded, recordsRemoved, fieldsAdded,
+ *   fieldsRemoved, fieldsRenamed }
+ */
+function diffRecords(before, after) {
+  const hasIds = [...before, ...after].every((record) => "id" in record);
+  const beforeById = new Map(before.map((record) => [record.id, record]));
+  const afterById = new Map(after.map((record) => [record.id, record]));
+
+  const recordsAdded = hasIds
+    ? after.filter((record) => !beforeById.has(record.id)).length
+    : Math.max(after.length - before.length, 0);
+  const recordsRemoved = hasIds
+    ? before.filter((record) => !afterById.has(record.id)).length
+    : Math.max(before.length - after.length, 0);
+
+  const beforeFields = collectFields(before);
+  const afterFields = collectFields(after);
+  let fieldsAdded = [...afterFields].filter((f) => !beforeFields.has(f));
+  let fieldsRemoved = [...beforeFields].filter((f) => !afterFields.has(f));
+
+  // A field that disappeared while another appeared holding the same values
+  // in the same records was renamed
+  const fieldsRenamed = [];
+  const pairs = hasIds
+    ? before
+        .filter((record) => afterById.has(record.id))
+        .map((record) => [record, afterById.get(record.id)])
+    : before.slice(0, after.length).map((record, i) => [record, after[i]]);
+
+  fieldsRemoved.forEach((from) => {
+    const to = fieldsAdded.find(
+      (candidate) =>
+        pairs.length > 0 &&
+        pairs.every(
+          ([oldRecord, newRecord]) =>
+            JSON.stringify(oldRecord[from]) ===
+            JSON.stringify(newRecord[candidate])
+        )
+    );
+    if (to) {
+      fieldsRenamed.push({ from, to });
+      fieldsAdded = fieldsAdded.filter((field) => field !== to);
+    }
+  });
+  fieldsRemoved = fieldsRemoved.filter(
+    (field) => !fieldsRenamed.some((rename) => rename.from === field)
+  );
+
+  return {
+    recordsAdded,
+    recordsRemoved,
+    fieldsAdded,
+    fieldsRemoved,
+    fieldsRenamed,
+  };
+}
+
+/**
+ * Compare two storages key by key
+ * @param {Storage} before - Storage before the migrations
+ * @param {Storage} after - Storage after the migrations
+ * @returns {Array<Object>} One entry per changed key: { key, type } where
+ *   type is "added", "removed" or "changed", plus the diffRecords fields for
+ *   lists of records and fieldsAdded/fieldsRemoved for objects
+ */
+export function diffStorage(before, after) {
+  const keys = new Set();
+  [before, after].forEach((storage) => {
+    for (let i = 0; i < storage.length; i++) keys.add(storage.key(i));
+  });
+
+  const changes = [];
+  Array.from(keys)
+    .sort()
+    .forEach((key) => {
+      const oldValue = before.getItem(key);
+      const newValue = after.getItem(key);
+      if (oldValue === newValue) return;
+
+      if (oldValue === null) {
+        changes.push({ key, type: "added" });
+        return;
+      }
+      if (newValue === null) {
+        changes.push({ key, type: "removed" });
+        return;
+      }
+
+      const oldData = parseStoredValue(oldValue);
+      const newData = parseStoredValue(newValue);
+      if (isRecordList(oldData) && isRecordList(newData)) {
+        changes.push({
+          key,
+          type: "changed",
+          ...diffRecords(oldData, newData),
+        });
+      } else if (isPlainObject(oldData) && isPlainObject(newData)) {
+        const { fieldsAdded, fieldsRemoved, fieldsRenamed } = diffRecords(
+          [oldData],
+          [newData]
+        );
+        changes.push({
+          key,
+          type: "changed",
+          fieldsAdded,
+          fieldsRemoved,
+          fieldsRenamed,
+        });
+      } else {
+        changes.push({ key, type: "changed" });
+      }
+    });
+
+  return changes;
+}
+
+/**
+ * Summarize a diffStorage entry for display
+ * @param {Object} change - Entry from diffStorage
+ * @returns {string} e.g. "companies: renamed industry → sector"
+ */
+export function describeStorageChange(change) {
+  if (change.type === "added") return `${change.key}: added`;
+  if (change.type === "removed") return `${change.key}: removed`;
+
+  const parts = [];
+  if (change.recordsAdded) parts.push(`${change.recordsAdded} records added`);
+  if (change.recordsRemoved) {
+    parts.push(`${change.recordsRemoved} records removed`);
+  }
+  if (change.fieldsRenamed?.length) {
+    parts.push(
+      `renamed ${change.fieldsRenamed
+        .map(({ from, to }) => `${from} → ${to}`)
+        .join(", ")}`
+    );
+  }
+  if (change.fieldsAdded?.length) {
+    parts.push(`added ${change.fieldsAdded.join(", ")}`);
+  }
+  if (change.fieldsRemoved?.length) {
+    parts.push(`removed ${change.fieldsRemoved.join(", ")}`);
+  }
+
+  return `${change.key}: ${parts.length > 0 ? parts.join("; ") : "changed"}`;
+}
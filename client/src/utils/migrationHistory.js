@@ -0,0 +1,75 @@
+/**
+ * History of the migrations run in this browser
+ * executeMigrations records a summary of every migration it runs, so the
+ * changelog can show what each release did to the user's data. Only the
+ * most recent runs are kept; snapshots (migrationSnapshots.js) hold the data.
+ */
+
+import { APP_VERSION } from "./version";
+import { LOCAL_STORAGE_KEYS } from "./localStorageService";
+import { readStoredValue } from "./storageSchemas";
+
+/**
+ * Most migration runs kept; the oldest are dropped first
+ */
+export const MIGRATION_HISTORY_LIMIT = 20;
+
+/**
+ * Get recorded migration runs, oldest first
+ * @returns {Array<Object>} Runs as recorded by recordMigrationRun
+ */
+export function getMigrationHistory() {
+  return readStoredValue(LOCAL_STORAGE_KEYS.MIGRATION_HISTORY) || [];
+}
+
+/**
+ * Record a migration run, keeping the most recent MIGRATION_HISTORY_LIMIT
+ * @param {string} fromVersion - Version the data was saved by; it was
+ *   migrated to APP_VERSION
+ * @param {Array<string>} versions - Versions migrated through, in the order
+ *   their migrations ran
+ * @param {Object} result - executeMigrations' result
+ * @returns {Object|null} The recorded run, or null if it couldn't be saved
+ */
+export function recordMigrationRun(fromVersion, versions, result) {
+  const run = {
+    fromVersion,
+    toVersion: APP_VERSION,
+    ranAt: new Date().toISOString(),
+    success: !!result.success,
+    downgrade: !!result.downgrade,
+    rolledBack: !!result.rolledBack,
+    versions,
+    affectedKeys: result.affectedKeys || [],
+    quarantined: result.validation?.length || 0,
+    snapshotId: result.snapshotId ?? undefined,
+    message: result.message,
+  };
+
+  try {
+    localStorage.setItem(
+      LOCAL_STORAGE_KEYS.MIGRATION_HISTORY,
+      JSON.stringify(
+        [...getMigrationHistory(), run].slice(-MIGRATION_HISTORY_LIMIT)
+      )
+    );
+    return run;
+  } catch (error) {
+    // Out of space; the history is only informational
+    console.error("Failed to record migration run:", error);
+    return null;
+  }
+}
+
+/**
+ * Find the recorded runs that migrated through a version
+ * @param {string} version - A version listed in VERSION_HISTORY
+ * @param {Array<Object>} [history] - Runs from getMigrationHistory
+ * @returns {Array<Object>} Matching runs, newest first
+ */
+export function getMigrationRunsForVersion(
+  version,
+  history = getMigrationHistory()
+) {
+  return history.filter((run) => run.versions.includes(version)).reverse();
+}
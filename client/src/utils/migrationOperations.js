@@ -0,0 +1,461 @@
+/**
+ * Declarative data migrations
+ * A version can list `operations` in VERSION_OPERATIONS (version.js) instead
+ * of having a hand-written migration in migrations.js. Each operation is a
+ * plain object whose `op` names one of OPERATION_TYPES. The engine here runs
+ * them in order through getMigrationStorage(), so they log, dry-run and roll
+ * back like any other migration, and reverses them for downgrades.
+ * Operations on the IndexedDB review cache mark their migration
+ * `reviewCaches`, so the cache is snapshotted and restored with localStorage
+ * if a step fails.
+ */
+
+import {
+  getMigrationStorage,
+  isMigrationDryRun,
+  recordMigrationOperation,
+} from "./migrationDryRun";
+import {
+  deleteReviewSet,
+  getReviewSet,
+  listReviewSets,
+  putReviewSet,
+} from "./reviewDb";
+import { LOCAL_STORAGE_KEYS } from "./localStorageService";
+
+const isRecord = (value) =>
+  !!value && typeof value === "object" && !Array.isArray(value);
+
+/**
+ * Update the records stored under a key: every record in a list, or the
+ * stored object itself
+ * @param {string} key - localStorage key
+ * @param {Function} update - Called with each record and its ID (see
+ *   getRecordId), returns the new record
+ * @param {Object} logger - Migration logger
+ * @returns {number} Number of records updated
+ */
+function updateRecords(key, update, logger) {
+  const storage = getMigrationStorage();
+  const raw = storage.getItem(key);
+  if (raw === null) {
+    logger.warn(`No ${key} found in storage`);
+    return 0;
+  }
+
+  const value = JSON.parse(raw);
+  if (Array.isArray(value)) {
+    storage.setItem(
+      key,
+      JSON.stringify(
+        value.map((record, index) =>
+          isRecord(record) ? update(record, getRecordId(record, index)) : record
+        )
+      )
+    );
+    return value.length;
+  }
+  if (isRecord(value)) {
+    storage.setItem(key, JSON.stringify(update(value, getRecordId(value))));
+    return 1;
+  }
+  throw new Error(`${key} doesn't hold records`);
+}
+
+/**
+ * Identify a record for the added-fields ledger: its `id`, or its position
+ * in the list for records without one; a stored object is "*"
+ * @param {Object} record - Record
+ * @param {number} [index] - Position in the list, if the key holds one
+ * @returns {number|string} Record ID
+ */
+function getRecordId(record, index) {
+  if (index === undefined) return "*";
+  return record.id ?? `#${index}`;
+}
+
+/**
+ * Read the added-fields ledger: which records each addField filled in, by
+ * key and field, so reversing it removes only those
+ * @returns {Object} { [key]: { [field]: [recordId, ...] } }
+ */
+function readAddedFields() {
+  const raw = getMigrationStorage().getItem(
+    LOCAL_STORAGE_KEYS.MIGRATION_ADDED_FIELDS
+  );
+  try {
+    return (raw && JSON.parse(raw)) || {};
+  } catch (e) {
+    return {};
+  }
+}
+
+/**
+ * Write the added-fields ledger, removing the key once it is empty
+ * @param {Object} ledger - Ledger from readAddedFields
+ */
+function writeAddedFields(ledger) {
+  const storage = getMigrationStorage();
+  Object.keys(ledger).forEach((key) => {
+    if (Object.keys(ledger[key]).length === 0) delete ledger[key];
+  });
+  if (Object.keys(ledger).length === 0) {
+    storage.removeItem(LOCAL_STORAGE_KEYS.MIGRATION_ADDED_FIELDS);
+  } else {
+    storage.setItem(
+      LOCAL_STORAGE_KEYS.MIGRATION_ADDED_FIELDS,
+      JSON.stringify(ledger)
+    );
+  }
+}
+
+/**
+ * Find the localStorage keys an operation's key matches; a key ending in `*`
+ * matches every key with that prefix
+ * @param {string} pattern - Key or key pattern
+ * @returns {Array<string>} Matching keys that are set
+ */
+function matchKeys(pattern) {
+  const storage = getMigrationStorage();
+  const keys = [];
+  for (let i = 0; i < storage.length; i++) {
+    const key = storage.key(i);
+    if (
+      pattern.endsWith("*")
+        ? key.startsWith(pattern.slice(0, -1))
+        : key === pattern
+    ) {
+      keys.push(key);
+    }
+  }
+  return keys;
+}
+
+/**
+ * Supported operations. Each has:
+ * - describe(operation): what it does, for logs and the dry-run preview
+ * - affects(operation): localStorage keys it may write, for snapshots
+ * - reviewCaches: whether it writes the IndexedDB review cache
+ * - run(operation, logger): performs it, returning a result object
+ * - reverse(operation): the operation that undoes it, or null if it can't be
+ *   undone
+ * - destructive: whether it deletes data the user can't get back, or a
+ *   function of the operation deciding that
+ */
+export const OPERATION_TYPES = {
+  // { op, key, field, value }: value may be a function of the record.
+  // Records that already have the field keep it; the ones filled in are
+  // noted in the added-fields ledger so reversing leaves the others alone.
+  addField: {
+    describe: ({ key, field }) => `Add ${field} to ${key}`,
+    affects: ({ key }) => [key, LOCAL_STORAGE_KEYS.MIGRATION_ADDED_FIELDS],
+    run: ({ key, field, value }, logger) => {
+      const added = [];
+      const updated = updateRecords(
+        key,
+        (record, recordId) => {
+          if (record[field] != null) return record;
+          added.push(recordId);
+          return {
+            ...record,
+            [field]: typeof value === "function" ? value(record) : value,
+          };
+        },
+        logger
+      );
+
+      const ledger = readAddedFields();
+      const fieldsAdded = (ledger[key] = ledger[key] || {});
+      fieldsAdded[field] = [
+        ...new Set([...(fieldsAdded[field] || []), ...added]),
+      ];
+      writeAddedFields(ledger);
+
+      return { updated, added: added.length, fieldAdded: field };
+    },
+    reverse: ({ key, field }) => ({
+      op: "removeField",
+      key,
+      field,
+      onlyAdded: true,
+    }),
+  },
+
+  // { op, key, from, to }
+  renameField: {
+    describe: ({ key, from, to }) => `Rename ${from} to ${to} in ${key}`,
+    affects: ({ key }) => [key],
+    run: ({ key, from, to }, logger) => ({
+      updated: updateRecords(
+        key,
+        (record) => {
+          if (!(from in record)) return record;
+          const { [from]: value, ...rest } = record;
+          return { ...rest, [to]: value };
+        },
+        logger
+      ),
+      fieldRenamed: { from, to },
+    }),
+    reverse: ({ key, from, to }) => ({
+      op: "renameField",
+      key,
+      from: to,
+      to: from,
+    }),
+  },
+
+  // { op, key, field, value?, onlyAdded? }: value is what reversing puts
+  // back; onlyAdded removes the field only from records an addField filled
+  // in (see the added-fields ledger)
+  removeField: {
+    describe: ({ key, field, onlyAdded }) =>
+      onlyAdded
+        ? `Remove ${field} from ${key} where it was added`
+        : `Remove ${field} from ${key}`,
+    affects: ({ key }) => [key, LOCAL_STORAGE_KEYS.MIGRATION_ADDED_FIELDS],
+    destructive: ({ onlyAdded }) => !onlyAdded,
+    run: ({ key, field, onlyAdded }, logger) => {
+      const ledger = readAddedFields();
+      const added = ledger[key]?.[field];
+      if (onlyAdded && !added) {
+        logger.warn(`No record of ${field} being added to ${key}; keeping it`);
+      }
+
+      const updated = updateRecords(
+        key,
+        (record, recordId) => {
+          if (onlyAdded && !added?.includes(recordId)) return record;
+          const { [field]: removed, ...rest } = record;
+          return rest;
+        },
+        logger
+      );
+
+      if (ledger[key]) {
+        delete ledger[key][field];
+        writeAddedFields(ledger);
+      }
+      return { updated, fieldRemoved: field };
+    },
+    reverse: (operation) =>
+      "value" in operation
+        ? {
+            op: "addField",
+            key: operation.key,
+            field: operation.field,
+            value: operation.value,
+          }
+        : null,
+  },
+
+  // { op, key, up, down? }: up and down map a record to its new shape
+  transform: {
+    describe: ({ key }) => `Update the structure of ${key}`,
+    affects: ({ key }) => [key],
+    run: ({ key, up }, logger) => ({
+      updated: updateRecords(key, up, logger),
+    }),
+    reverse: ({ key, up, down }) =>
+      down ? { op: "transform", key, up: down, down: up } : null,
+  },
+
+  // { op, key }: key may end in `*` to drop every key with that prefix
+  dropKey: {
+    describe: ({ key }) => `Delete ${key}`,
+    affects: ({ key }) => [key],
+    destructive: true,
+    run: ({ key }) => {
+      const keys = matchKeys(key);
+      keys.forEach((matched) => getMigrationStorage().removeItem(matched));
+      return { removed: keys.length };
+    },
+    reverse: () => null,
+  },
+
+  // { op, from, to }: moves a localStorage value to a new key
+  renameKey: {
+    describe: ({ from, to }) => `Move ${from} to ${to}`,
+    affects: ({ from, to }) => [from, to],
+    run: ({ from, to }, logger) => {
+      const storage = getMigrationStorage();
+      const value = storage.getItem(from);
+      if (value === null) {
+        logger.warn(`No ${from} found in storage`);
+        return { renamed: false };
+      }
+      if (storage.getItem(to) !== null) {
+        logger.warn(`Replacing existing ${to}`);
+      }
+      storage.setItem(to, value);
+      storage.removeItem(from);
+      return { renamed: true };
+    },
+    reverse: ({ from, to }) => ({ op: "renameKey", from: to, to: from }),
+  },
+
+  // { op, rekey, unrekey? }: rekey maps a review cache key to its new key,
+  // or null to leave it; unrekey maps it back
+  rekeyCaches: {
+    describe: () => "Change the keys of cached review sets",
+    affects: () => [],
+    reviewCaches: true,
+    run: async ({ rekey }, logger) => {
+      let rekeyed = 0;
+      for (const { cacheKey } of await listReviewSets()) {
+        const newKey = rekey(cacheKey);
+        if (!newKey || newKey === cacheKey) continue;
+
+        // IndexedDB isn't copied for dry runs; count what would change
+        if (!isMigrationDryRun()) {
+          const set = await getReviewSet(cacheKey);
+          await putReviewSet(newKey, set.employerId, set);
+          await deleteReviewSet(cacheKey);
+        }
+        rekeyed++;
+      }
+      logger.info(`Re-keyed ${rekeyed} review caches`);
+      return { rekeyed };
+    },
+    reverse: ({ rekey, unrekey }) =>
+      unrekey ? { op: "rekeyCaches", rekey: unrekey, unrekey: rekey } : null,
+  },
+
+  // { op, up, down? }: up and down map a cached review to its new shape
+  transformReviews: {
+    describe: () => "Update the structure of cached reviews",
+    affects: () => [],
+    reviewCaches: true,
+    run: async ({ up }, logger) => {
+      const sets = await listReviewSets();
+      if (isMigrationDryRun()) {
+        return { processed: sets.length, updated: 0, failed: 0 };
+      }
+
+      let updated = 0;
+      let failed = 0;
+      for (const { cacheKey } of sets) {
+        try {
+          const set = await getReviewSet(cacheKey);
+          await putReviewSet(cacheKey, set.employerId, {
+            ...set,
+            reviews: set.reviews.map(up),
+            lastMigrated: new Date().toISOString(),
+          });
+          updated++;
+        } catch (e) {
+          logger.warn(`Failed to transform review cache: ${cacheKey}`);
+          failed++;
+        }
+      }
+
+      // A partly transformed cache mixes review shapes; failing the
+      // migration restores the whole cache from its snapshot
+      if (failed > 0) {
+        throw new Error(
+          `Failed to transform ${failed} of ${sets.length} review caches`
+        );
+      }
+      return { processed: sets.length, updated, failed };
+    },
+    reverse: ({ up, down }) =>
+      down ? { op: "transformReviews", up: down, down: up } : null,
+  },
+};
+
+/**
+ * Look up an operation's type
+ * @param {Object} operation - Operation from a spec
+ * @returns {Object} Its entry in OPERATION_TYPES
+ * @throws {Error} If the operation type isn't supported
+ */
+function getOperationType(operation) {
+  const type = OPERATION_TYPES[operation?.op];
+  if (!type) {
+    throw new Error(`Unknown migration operation: ${operation?.op}`);
+  }
+  return type;
+}
+
+/**
+ * Describe an operation for the user; `description` on the operation
+ * replaces the default
+ * @param {Object} operation - Operation from a spec
+ * @returns {string} Description
+ */
+export function describeOperation(operation) {
+  return (
+    operation.description || getOperationType(operation).describe(operation)
+  );
+}
+
+/**
+ * Collect the localStorage keys a spec may write
+ * @param {Array<Object>} operations - Migration spec
+ * @returns {Array<string>} Keys and key patterns, for createMigration's
+ *   `affects`
+ */
+export function getOperationsAffects(operations) {
+  return [
+    ...new Set(
+      operations.flatMap((operation) =>
+        getOperationType(operation).affects(operation)
+      )
+    ),
+  ];
+}
+
+/**
+ * Check whether a spec writes the IndexedDB review cache
+ * @param {Array<Object>} operations - Migration spec
+ * @returns {boolean} Whether any operation does, for createMigration's
+ *   `reviewCaches`
+ */
+export function operationsAffectReviewCaches(operations) {
+  return operations.some(
+    (operation) => !!getOperationType(operation).reviewCaches
+  );
+}
+
+/**
+ * Build the spec that undoes another
+ * @param {Array<Object>} operations - Migration spec
+ * @returns {Array<Object>|null} Reverse operations in reverse order, or null
+ *   if any operation can't be undone
+ */
+export function reverseOperations(operations) {
+  const reversed = [];
+  for (const operation of [...operations].reverse()) {
+    const inverse = getOperationType(operation).reverse(operation);
+    if (!inverse) return null;
+    reversed.push(inverse);
+  }
+  return reversed;
+}
+
+/**
+ * Run a spec's operations in order, stopping at the first that throws
+ * @param {Array<Object>} operations - Migration spec
+ * @param {Object} logger - Migration logger
+ * @returns {Promise<Object>} { operations }: each operation's result, with
+ *   its `op`
+ */
+export async function runOperations(operations, logger) {
+  const results = [];
+
+  for (const operation of operations) {
+    const type = getOperationType(operation);
+    const description = describeOperation(operation);
+    logger.info(description);
+    recordMigrationOperation(description, {
+      destructive:
+        typeof type.destructive === "function"
+          ? type.destructive(operation)
+          : !!type.destructive,
+    });
+
+    results.push({ op: operation.op, ...(await type.run(operation, logger)) });
+  }
+
+  return { operations: results };
+}
@@ -0,0 +1,188 @@
+/**
+ * Snapshots of localStorage taken before migrations run
+ * executeMigrations captures every key its migrations declare in `affects`,
+ * plus the review cache when a migration declares `reviewCaches`, restores
+ * them if a migration fails, and keeps the most recent snapshots in
+ * IndexedDB so the user can go back to their pre-update data later.
+ */
+
+import { LOCAL_STORAGE_KEYS } from "./localStorageService";
+import {
+  addMigrationSnapshot,
+  clearReviewSets,
+  deleteMigrationSnapshots,
+  getMigrationSnapshot,
+  getReviewSet,
+  listMigrationSnapshots,
+  listReviewSets,
+  putReviewSet,
+} from "./reviewDb";
+
+/**
+ * How many snapshots to keep by default
+ */
+export const MIGRATION_SNAPSHOT_LIMIT = 3;
+
+/**
+ * Expand `affects` entries into the localStorage keys they cover.
+ * An entry ending in `*` matches every key starting with the text before it.
+ * @param {Array<string>} affects - Keys and key patterns
+ * @returns {Array<string>} Matching keys, including exact keys not yet set
+ */
+export function expandAffectedKeys(affects) {
+  const keys = new Set();
+  const storedKeys = Object.keys(localStorage);
+
+  affects.forEach((entry) => {
+    if (entry.endsWith("*")) {
+      const prefix = entry.slice(0, -1);
+      storedKeys
+        .filter((key) => key.startsWith(prefix))
+        .forEach((key) => keys.add(key));
+    } else {
+      keys.add(entry);
+    }
+  });
+
+  return Array.from(keys);
+}
+
+/**
+ * Capture the current values of localStorage keys
+ * @param {Array<string>} affects - Keys and key patterns to capture
+ * @returns {Object} Map of key to value; null for keys that aren't set
+ */
+export function captureStorage(affects) {
+  return Object.fromEntries(
+    expandAffectedKeys(affects).map((key) => [key, localStorage.getItem(key)])
+  );
+}
+
+/**
+ * Put captured values back, removing keys that weren't set at capture time.
+ * Keys matching a pattern that were created after the capture are removed
+ * too, so pass the same `affects` used for the capture.
+ * @param {Object} data - Values from captureStorage
+ * @param {Array<string>} [affects] - Keys and key patterns that were captured
+ */
+export function restoreStorage(data, affects = []) {
+  expandAffectedKeys(affects)
+    .filter((key) => !(key in data))
+    .forEach((key) => localStorage.removeItem(key));
+
+  Object.entries(data).forEach(([key, value]) => {
+    if (value === null) {
+      localStorage.removeItem(key);
+    } else {
+      localStorage.setItem(key, value);
+    }
+  });
+}
+
+/**
+ * Capture every review set in the review cache, with its reviews
+ * @returns {Promise<Array<Object>>} Review sets as from getReviewSet
+ */
+export async function captureReviewSets() {
+  const sets = await listReviewSets();
+  const captured = await Promise.all(
+    sets.map(({ cacheKey }) => getReviewSet(cacheKey))
+  );
+  return captured.filter(Boolean);
+}
+
+/**
+ * Replace the review cache with captured review sets, removing sets created
+ * since they were captured
+ * @param {Array<Object>} sets - Review sets from captureReviewSets
+ * @returns {Promise<void>} Resolves once every set is written
+ */
+export async function restoreReviewSets(sets) {
+  await clearReviewSets();
+  for (const set of sets) {
+    await putReviewSet(set.cacheKey, set.employerId, set);
+  }
+}
+
+/**
+ * Save a snapshot and drop all but the most recent ones
+ * @param {Object} snapshot - { fromVersion, toVersion, affects, data,
+ *   reviewSets? }
+ * @param {number} [keep=MIGRATION_SNAPSHOT_LIMIT] - Snapshots to keep
+ * @returns {Promise<number|null>} The snapshot ID, or null if it couldn't be
+ *   saved (the in-memory copy still covers automatic rollback)
+ */
+export async function saveMigrationSnapshot(
+  snapshot,
+  keep = MIGRATION_SNAPSHOT_LIMIT
+) {
+  try {
+    const id = await addMigrationSnapshot({
+      ...snapshot,
+      createdAt: new Date().toISOString(),
+    });
+    await pruneMigrationSnapshots(keep);
+    return id;
+  } catch (error) {
+    console.error("Failed to save migration snapshot:", error);
+    return null;
+  }
+}
+
+/**
+ * Keep only the most recent snapshots
+ * @param {number} [keep=MIGRATION_SNAPSHOT_LIMIT] - Snapshots to keep
+ * @returns {Promise<number>} Number of snapshots deleted
+ */
+export async function pruneMigrationSnapshots(keep = MIGRATION_SNAPSHOT_LIMIT) {
+  const snapshots = await listMigrationSnapshots();
+  const expired = snapshots.slice(Math.max(keep, 0));
+  if (expired.length > 0) {
+    await deleteMigrationSnapshots(expired.map((snapshot) => snapshot.id));
+  }
+  return expired.length;
+}
+
+/**
+ * List saved snapshots, newest first, without their data
+ * @returns {Promise<Array<Object>>} Snapshot summaries with the captured
+ *   `keys` and `reviewSetCount` (null if the review cache wasn't captured)
+ */
+export async function getMigrationSnapshots() {
+  try {
+    const snapshots = await listMigrationSnapshots();
+    return snapshots.map(({ data, reviewSets, ...summary }) => ({
+      ...summary,
+      keys: Object.keys(data || {}),
+      reviewSetCount: reviewSets ? reviewSets.length : null,
+    }));
+  } catch (error) {
+    console.error("Failed to list migration snapshots:", error);
+    return [];
+  }
+}
+
+/**
+ * Put a snapshot's data back and record its source version as the stored
+ * version, so the migrations run again from there on the next load
+ * @param {number} id - Snapshot ID
+ * @returns {Promise<Object>} { success, message, snapshot }
+ */
+export async function restoreMigrationSnapshot(id) {
+  const snapshot = await getMigrationSnapshot(id);
+  if (!snapshot) {
+    return { success: false, message: "Snapshot not found" };
+  }
+
+  restoreStorage(snapshot.data, snapshot.affects);
+  if (snapshot.reviewSets) {
+    await restoreReviewSets(snapshot.reviewSets);
+  }
+  localStorage.setItem(LOCAL_STORAGE_KEYS.APP_VERSION, snapshot.fromVersion);
+
+  return {
+    success: true,
+    message: `Restored data from before the update from v${snapshot.fromVersion}`,
+    snapshot,
+  };
+}
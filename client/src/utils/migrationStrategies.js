@@ -1,10 +1,30 @@
 /**
  * Migration strategies for different data structures and versions
- * This module contains implementation details for different migration tasks
+ * This module contains implementation details for different migration tasks.
+ * Strategies use getMigrationStorage() rather than localStorage, and skip
+ * IndexedDB writes during dry runs, so migrations can be previewed. Company
+ * strategies and transformReviews run declarative operations from
+ * migrationOperations.js.
  */
 
 import { LOCAL_STORAGE_KEYS } from "./localStorageService";
 import { reviewCacheHelpers } from "./migrations";
+import { clearReviewSets, getReviewSet, putReviewSet } from "./reviewDb";
+import {
+  getMigrationStorage,
+  isMigrationDryRun,
+  recordMigrationOperation,
+} from "./migrationDryRun";
+import { runOperations } from "./migrationOperations";
+
+// Run one declarative operation (see migrationOperations.js) and return its
+// result
+const runOperation = async (operation, logger) => {
+  const {
+    operations: [{ op, ...result }],
+  } = await runOperations([operation], logger);
+  return result;
+};
 
 /**
  * Company data migration strategies
@@ -16,8 +36,14 @@ export const companyMigrations = {
    * @returns {Promise<Object>} Result of migration
    */
   clearAll: async (logger) => {
-    logger.info("Clearing all company data");
-    localStorage.removeItem(LOCAL_STORAGE_KEYS.COMPANIES);
+    await runOperation(
+      {
+        op: "dropKey",
+        key: LOCAL_STORAGE_KEYS.COMPANIES,
+        description: "Delete all saved companies",
+      },
+      logger
+    );
     return { cleared: true };
   },
 
@@ -29,31 +55,16 @@ export const companyMigrations = {
    * @returns {Promise<Object>} Result of migration with updated company count
    */
   addField: async (fieldName, defaultValue, logger) => {
-    const companiesJson = localStorage.getItem(LOCAL_STORAGE_KEYS.COMPANIES);
-    if (!companiesJson) {
-      logger.warn("No companies found in storage");
-      return { updated: 0 };
-    }
-
     try {
-      const companies = JSON.parse(companiesJson);
-
-      // Add the new field to each company
-      const updatedCompanies = companies.map((company) => ({
-        ...company,
-        [fieldName]: company[fieldName] ?? defaultValue,
-      }));
-
-      // Save back to localStorage
-      localStorage.setItem(
-        LOCAL_STORAGE_KEYS.COMPANIES,
-        JSON.stringify(updatedCompanies)
+      return await runOperation(
+        {
+          op: "addField",
+          key: LOCAL_STORAGE_KEYS.COMPANIES,
+          field: fieldName,
+          value: defaultValue,
+        },
+        logger
       );
-
-      return {
-        updated: updatedCompanies.length,
-        fieldAdded: fieldName,
-      };
     } catch (error) {
       logger.error("Failed to add field to companies", error);
       throw error;
@@ -68,35 +79,16 @@ export const companyMigrations = {
    * @returns {Promise<Object>} Result of migration
    */
   renameField: async (oldName, newName, logger) => {
-    const companiesJson = localStorage.getItem(LOCAL_STORAGE_KEYS.COMPANIES);
-    if (!companiesJson) {
-      logger.warn("No companies found in storage");
-      return { updated: 0 };
-    }
-
     try {
-      const companies = JSON.parse(companiesJson);
-
-      // Rename the field in each company
-      const updatedCompanies = companies.map((company) => {
-        const result = { ...company };
-        if (oldName in result) {
-          result[newName] = result[oldName];
-          delete result[oldName];
-        }
-        return result;
-      });
-
-      // Save back to localStorage
-      localStorage.setItem(
-        LOCAL_STORAGE_KEYS.COMPANIES,
-        JSON.stringify(updatedCompanies)
+      return await runOperation(
+        {
+          op: "renameField",
+          key: LOCAL_STORAGE_KEYS.COMPANIES,
+          from: oldName,
+          to: newName,
+        },
+        logger
       );
-
-      return {
-        updated: updatedCompanies.length,
-        fieldRenamed: { from: oldName, to: newName },
-      };
     } catch (error) {
       logger.error("Failed to rename field in companies", error);
       throw error;
@@ -116,7 +108,19 @@ export const reviewMigrations = {
   clearAllCache: async (logger) => {
     try {
       logger.info("Clearing all review caches");
-      const count = reviewCacheHelpers.clearAllCache();
+      recordMigrationOperation("Delete all cached reviews", {
+        destructive: true,
+      });
+      if (isMigrationDryRun()) {
+        const storage = getMigrationStorage();
+        const legacyKeys = reviewCacheHelpers.findLegacyKeys(storage);
+        legacyKeys.forEach((key) => storage.removeItem(key));
+        const count =
+          (await reviewCacheHelpers.findAllKeys()).length + legacyKeys.length;
+        return { clearedCount: count };
+      }
+
+      const count = await reviewCacheHelpers.clearAllCache();
       logger.success(`Cleared ${count} review cache entries`);
       return { clearedCount: count };
     } catch (error) {
@@ -126,52 +130,117 @@ export const reviewMigrations = {
   },
 
   /**
-   * Update the structure of cached reviews
+   * Update the structure of cached reviews. Fails if any review set can't be
+   * transformed; migrations using this must declare `reviewCaches` so the
+   * cache is restored.
    * @param {Function} transformer - Function that transforms each review
    * @param {Object} logger - Migration logger
    * @returns {Promise<Object>} Result of migration
    */
   transformReviews: async (transformer, logger) => {
     try {
-      const cacheKeys = reviewCacheHelpers.findAllKeys();
-      logger.info(`Found ${cacheKeys.length} review cache entries to update`);
+      return await runOperation(
+        { op: "transformReviews", up: transformer },
+        logger
+      );
+    } catch (error) {
+      logger.error("Failed to transform review caches", error);
+      throw error;
+    }
+  },
 
-      let updatedCount = 0;
-      let failedCount = 0;
+  /**
+   * Move review caches from localStorage into IndexedDB. Entries that can't
+   * be parsed are dropped; they would only ever be refetched.
+   * @param {Object} logger - Migration logger
+   * @returns {Promise<Object>} Result of migration
+   */
+  moveToIndexedDb: async (logger) => {
+    const storage = getMigrationStorage();
+    const legacyKeys = reviewCacheHelpers.findLegacyKeys(storage);
+    logger.info(`Found ${legacyKeys.length} review caches in localStorage`);
+    recordMigrationOperation(
+      `Move ${legacyKeys.length} cached review sets to IndexedDB`
+    );
+
+    let movedCount = 0;
+    let droppedCount = 0;
+
+    for (const key of legacyKeys) {
+      const employerId = key.match(/^reviews_([^_]+)/)?.[1];
+      let cache = null;
+      try {
+        cache = JSON.parse(storage.getItem(key));
+      } catch (e) {
+        // Handled below as an unusable entry
+      }
 
-      for (const key of cacheKeys) {
-        try {
-          const cacheData = localStorage.getItem(key);
-          if (!cacheData) continue;
+      if (employerId && Array.isArray(cache?.reviews)) {
+        // Let a failed write abort the migration so nothing is lost
+        if (!isMigrationDryRun()) {
+          await putReviewSet(key, employerId, cache);
+        }
+        movedCount++;
+      } else {
+        logger.warn(`Dropping unreadable review cache: ${key}`);
+        droppedCount++;
+      }
 
-          const cache = JSON.parse(cacheData);
+      storage.removeItem(key);
+    }
 
-          if (cache && Array.isArray(cache.reviews)) {
-            // Transform each review in the cache
-            const transformedReviews = cache.reviews.map(transformer);
+    logger.success(`Moved ${movedCount} review caches to IndexedDB`);
+    return { moved: movedCount, dropped: droppedCount };
+  },
 
-            // Update the cache with transformed reviews
-            cache.reviews = transformedReviews;
-            cache.lastMigrated = new Date().toISOString();
+  /**
+   * Move review caches from IndexedDB back into localStorage, for going back
+   * to a version that kept them there. Caches that don't fit in localStorage
+   * are dropped; they would only ever be refetched.
+   * @param {Object} logger - Migration logger
+   * @returns {Promise<Object>} Result of migration
+   */
+  moveToLocalStorage: async (logger) => {
+    const storage = getMigrationStorage();
+    const cacheKeys = await reviewCacheHelpers.findAllKeys();
+    logger.info(`Found ${cacheKeys.length} review caches in IndexedDB`);
+    recordMigrationOperation(
+      `Move ${cacheKeys.length} cached review sets back to localStorage`
+    );
+
+    let movedCount = 0;
+    let droppedCount = 0;
+
+    for (const key of cacheKeys) {
+      const set = await getReviewSet(key);
+      if (!set) continue;
+
+      // Drop the bookkeeping only the IndexedDB cache keeps
+      const cache = { ...set };
+      [
+        "cacheKey",
+        "employerId",
+        "reviewCount",
+        "bytes",
+        "savedAt",
+        "pinned",
+      ].forEach((field) => delete cache[field]);
 
-            localStorage.setItem(key, JSON.stringify(cache));
-            updatedCount++;
-          }
-        } catch (e) {
-          logger.warn(`Failed to transform review cache: ${key}`);
-          failedCount++;
-        }
+      try {
+        storage.setItem(key, JSON.stringify(cache));
+        movedCount++;
+      } catch (e) {
+        logger.warn(`Dropping review cache that doesn't fit: ${key}`);
+        droppedCount++;
       }
+    }
 
-      return {
-        processed: cacheKeys.length,
-        updated: updatedCount,
-        failed: failedCount,
-      };
-    } catch (error) {
-      logger.error("Failed to transform review caches", error);
-      throw error;
+    if (!isMigrationDryRun()) {
+      await clearReviewSets();
     }
+
+    logger.success(`Moved ${movedCount} review caches to localStorage`);
+    return { moved: movedCount, dropped: droppedCount };
   },
 };
 
@@ -182,14 +251,16 @@ export const generalMigrations = {
   /**
    * Execute a function for each localStorage key that matches a pattern
    * @param {RegExp} pattern - Pattern to match keys against
-   * @param {Function} handler - Handler function for each matching item
+   * @param {Function} handler - Handler called with (key, value, storage);
+   *   write through the storage it is given
    * @param {Object} logger - Migration logger
    * @returns {Promise<Object>} Result with processed, succeeded and failed counts
    */
   forEachMatchingKey: async (pattern, handler, logger) => {
+    const storage = getMigrationStorage();
     const keys = [];
-    for (let i = 0; i < localStorage.length; i++) {
-      const key = localStorage.key(i);
+    for (let i = 0; i < storage.length; i++) {
+      const key = storage.key(i);
       if (key && pattern.test(key)) {
         keys.push(key);
       }
@@ -202,7 +273,7 @@ export const generalMigrations = {
 
     for (const key of keys) {
       try {
-        await handler(key, localStorage.getItem(key));
+        await handler(key, storage.getItem(key), storage);
         succeeded++;
       } catch (error) {
         logger.error(`Error processing key: ${key}`, error);
@@ -226,6 +297,13 @@ export const generalMigrations = {
   clearAllStorage: async (exceptKeys = [], logger) => {
     try {
       logger.info("Clearing all localStorage");
+      recordMigrationOperation(
+        `Delete all stored data${
+          exceptKeys.length > 0 ? ` except ${exceptKeys.join(", ")}` : ""
+        }`,
+        { destructive: true }
+      );
+      const storage = getMigrationStorage();
 
       const preserveData = {};
 
@@ -233,18 +311,18 @@ export const generalMigrations = {
       if (exceptKeys.length > 0) {
         logger.info(`Preserving ${exceptKeys.length} keys`);
         exceptKeys.forEach((key) => {
-          preserveData[key] = localStorage.getItem(key);
+          preserveData[key] = storage.getItem(key);
         });
       }
 
       // Clear storage
-      const itemCount = localStorage.length;
-      localStorage.clear();
+      const itemCount = storage.length;
+      storage.clear();
 
       // Restore preserved keys
       Object.keys(preserveData).forEach((key) => {
         if (preserveData[key] !== null) {
-          localStorage.setItem(key, preserveData[key]);
+          storage.setItem(key, preserveData[key]);
         }
       });
 
@@ -3,13 +3,58 @@
  * This module provides functions to execute migrations between app versions
  */
 
-import { APP_VERSION, compareVersions, getMigrationPath } from "./version";
+import {
+  APP_VERSION,
+  compareVersions,
+  findVersionInfo,
+  getDowngradePath,
+  getMigrationPath,
+} from "./version";
 import { LOCAL_STORAGE_KEYS } from "./localStorageService";
+import {
+  getReviewFiltersKey,
+  isDefaultReviewFilters,
+  normalizeReviewFilters,
+} from "./reviewFilters";
+import {
+  clearReviewSets,
+  deleteReviewSet,
+  getReviewSet,
+  listReviewSets,
+  putReviewSet,
+  updateReviewSetMeta,
+} from "./reviewDb";
 import {
   companyMigrations,
   reviewMigrations,
   generalMigrations,
 } from "./migrationStrategies";
+import {
+  captureReviewSets,
+  captureStorage,
+  restoreReviewSets,
+  restoreStorage,
+  saveMigrationSnapshot,
+} from "./migrationSnapshots";
+import {
+  diffStorage,
+  getMigrationStorage,
+  recordMigrationOperation,
+  runMigrationDryRun,
+  runMigrationsExclusively,
+} from "./migrationDryRun";
+import {
+  validateReviewCaches,
+  validateReviewSet,
+  validateStorage,
+} from "./storageSchemas";
+import {
+  getOperationsAffects,
+  operationsAffectReviewCaches,
+  reverseOperations,
+  runOperations,
+} from "./migrationOperations";
+import { recordMigrationRun } from "./migrationHistory";
 
 /**
  * Migration logger - handles consistent logging of migration operations
@@ -55,20 +100,42 @@ export const migrationLogger = {
  *
  * @param {Object} options - Migration options
  * @param {Array<string>} options.affects - Array of localStorage keys affected
- * @param {Function} options.migrate - The actual migration function
- * @returns {Function} Properly structured migration function
+ * @param {boolean} [options.reviewCaches=false] - Whether the migration
+ *   writes the IndexedDB review cache; the whole cache is then snapshotted
+ *   and restored if any migration fails
+ * @param {Function} options.migrate - The actual migration function, called
+ *   with (fromVersion, toVersion, logger, storage)
+ * @param {Function} [options.down] - Reverse migration, called the same way
+ *   when going back to a version before this one; it should put the data
+ *   back in the shape the previous version expects
+ * @returns {Function} Properly structured migration function, with the
+ *   `affects` list, the `reviewCaches` flag and the structured reverse
+ *   migration (`down`, or null) attached
  */
-export function createMigration({ affects = [], migrate }) {
-  return async (fromVersion, toVersion) => {
-    const logger = migrationLogger.forVersion(toVersion);
+export function createMigration({
+  affects = [],
+  reviewCaches = false,
+  migrate,
+  down = null,
+}) {
+  const wrap = (migrateFn, reverse) => async (fromVersion, toVersion) => {
+    const logger = migrationLogger.forVersion(
+      reverse ? `${toVersion} (reverse)` : toVersion
+    );
 
     try {
       logger.info(
         `Starting migration for keys: ${affects.join(", ") || "none"}`
       );
 
-      // Run the migration function
-      const result = await migrate(fromVersion, toVersion, logger);
+      // Run the migration function; it should read and write through the
+      // storage it is given so it can be previewed in a dry run
+      const result = await migrateFn(
+        fromVersion,
+        toVersion,
+        logger,
+        getMigrationStorage()
+      );
 
       logger.success("Migration completed successfully");
       return {
@@ -88,22 +155,42 @@ export function createMigration({ affects = [], migrate }) {
       };
     }
   };
+
+  const migration = wrap(migrate, false);
+  // Read by executeMigrations to snapshot these keys before running
+  migration.affects = affects;
+  migration.reviewCaches = reviewCaches;
+  migration.down = down && wrap(down, true);
+  return migration;
 }
 
 /**
  * Registry of migration functions
  * Each key is a version string, and the value is a function that performs the migration
  * Migration functions should return a Promise that resolves when migration is complete
+ * Versions whose changes fit the declarative operations in
+ * migrationOperations.js list them in VERSION_OPERATIONS (version.js)
+ * instead; a migration here takes precedence over those.
  */
 export const migrations = {
+  // Review caches move from localStorage to IndexedDB
+  "1.0.0-beta2": createMigration({
+    affects: ["reviews_*"],
+    reviewCaches: true,
+    migrate: async (fromVersion, toVersion, logger) =>
+      reviewMigrations.moveToIndexedDb(logger),
+    down: async (fromVersion, toVersion, logger) =>
+      reviewMigrations.moveToLocalStorage(logger),
+  }),
+
   // Example migration function for a hypothetical future version:
   // '1.1.0': createMigration({
   //   affects: [LOCAL_STORAGE_KEYS.COMPANIES],
-  //   migrate: async (fromVersion, toVersion, logger) => {
+  //   migrate: async (fromVersion, toVersion, logger, storage) => {
   //     logger.info('Updating company schema...');
   //
   //     // Example: Update the structure of companies in localStorage
-  //     const companies = JSON.parse(localStorage.getItem(LOCAL_STORAGE_KEYS.COMPANIES) || '[]');
+  //     const companies = JSON.parse(storage.getItem(LOCAL_STORAGE_KEYS.COMPANIES) || '[]');
   //
   //     // Apply transformation to companies data
   //     const updatedCompanies = companies.map(company => ({
@@ -114,7 +201,7 @@ export const migrations = {
   //     }));
   //
   //     // Save back to localStorage
-  //     localStorage.setItem(LOCAL_STORAGE_KEYS.COMPANIES, JSON.stringify(updatedCompanies));
+  //     storage.setItem(LOCAL_STORAGE_KEYS.COMPANIES, JSON.stringify(updatedCompanies));
   //
   //     return {
   //       companiesUpdated: updatedCompanies.length,
@@ -124,6 +211,47 @@ export const migrations = {
   // }),
 };
 
+/**
+ * Build a migration from a declarative spec (see migrationOperations.js).
+ * It reverses itself for downgrades when every operation can be undone.
+ * @param {Array<Object>} operations - Operations to run in order
+ * @returns {Function} Migration function, as from createMigration
+ */
+export function createOperationsMigration(operations) {
+  const reversed = reverseOperations(operations);
+
+  return createMigration({
+    affects: getOperationsAffects(operations),
+    reviewCaches: operationsAffectReviewCaches(operations),
+    migrate: async (fromVersion, toVersion, logger) =>
+      runOperations(operations, logger),
+    down:
+      reversed &&
+      (async (fromVersion, toVersion, logger) =>
+        runOperations(reversed, logger)),
+  });
+}
+
+const operationsMigrations = new Map();
+
+/**
+ * Get the migration for a version: its hand-written one in `migrations`, or
+ * else one built from the `operations` of its VERSION_HISTORY entry
+ * @param {string} version - Version to migrate to
+ * @returns {Function|undefined} Migration function, if the version has one
+ */
+export function getMigration(version) {
+  if (migrations[version]) return migrations[version];
+
+  const operations = findVersionInfo(version)?.operations;
+  if (!operations?.length) return undefined;
+
+  if (!operationsMigrations.has(version)) {
+    operationsMigrations.set(version, createOperationsMigration(operations));
+  }
+  return operationsMigrations.get(version);
+}
+
 /**
  * Check if the app needs to be migrated from stored version to current version
  * @param {string} storedVersion - The version stored in localStorage
@@ -137,101 +265,332 @@ export async function checkMigrationNeeded(storedVersion) {
   return compareVersions(storedVersion, APP_VERSION) !== 0;
 }
 
+/**
+ * Run each migration on a path in order, stopping at the first failure
+ * @param {string} storedVersion - The version migrating from
+ * @param {Array<Object>} migrationPath - Versions from getMigrationPath, or
+ *   from getDowngradePath when reversing
+ * @param {Object} [options]
+ * @param {boolean} [options.reverse=false] - Run each version's reverse
+ *   migration instead
+ * @returns {Promise<Object>} Result with success status, affected keys and
+ *   per-version results
+ */
+async function runMigrationPath(
+  storedVersion,
+  migrationPath,
+  { reverse = false } = {}
+) {
+  const results = [];
+  const affectedKeys = new Set();
+
+  // Execute each migration in sequence
+  for (const versionInfo of migrationPath) {
+    const version = versionInfo.version;
+    const migrationFn = reverse
+      ? getMigration(version)?.down
+      : getMigration(version);
+
+    if (migrationFn) {
+      try {
+        // Execute migration and track results
+        const result = await migrationFn(storedVersion, version);
+
+        // Add affected keys to the set
+        if (result.affectedKeys && Array.isArray(result.affectedKeys)) {
+          result.affectedKeys.forEach((key) => affectedKeys.add(key));
+        }
+
+        results.push({
+          version,
+          success: result.success,
+          affectedKeys: result.affectedKeys,
+          details: result,
+        });
+
+        // If a migration fails, stop the process
+        if (!result.success) {
+          migrationLogger.failed(storedVersion, version, result.error);
+          return {
+            success: false,
+            message: `Migration failed for version ${version}: ${
+              result.error?.message || "Unknown error"
+            }`,
+            affectedKeys: Array.from(affectedKeys),
+            error: result.error,
+            results,
+          };
+        }
+      } catch (error) {
+        migrationLogger.failed(storedVersion, version, error);
+
+        // Return failure with details about which migration failed
+        return {
+          success: false,
+          message: `Migration failed for version ${version}: ${error.message}`,
+          error,
+          affectedKeys: Array.from(affectedKeys),
+          results,
+        };
+      }
+    } else {
+      // No migration function found for this version
+      const logger = migrationLogger.forVersion(version);
+      logger.warn(`No migration function defined for this version`);
+    }
+  }
+
+  return {
+    success: true,
+    message: `Successfully migrated from ${storedVersion} to ${APP_VERSION}`,
+    affectedKeys: Array.from(affectedKeys),
+    results,
+  };
+}
+
+/**
+ * Keep what an older version can still read of data saved by a newer one
+ * that has no reverse migrations. Nothing is converted; the validation that
+ * follows every migration quarantines what doesn't match this version's
+ * schemas, in localStorage and in the review cache.
+ * @param {string} storedVersion - The newer version the data was saved by
+ * @returns {Promise<Object>} Result in the shape runMigrationPath returns
+ */
+async function keepReadableData(storedVersion) {
+  const logger = migrationLogger.forVersion(APP_VERSION);
+  logger.warn(
+    `No reverse migrations from v${storedVersion}; data this version can't read will be quarantined`
+  );
+  recordMigrationOperation(
+    `Move data saved by v${storedVersion} that v${APP_VERSION} can't read to the quarantine`
+  );
+
+  return {
+    success: true,
+    message: `Kept data from ${storedVersion} that ${APP_VERSION} can read`,
+    affectedKeys: [],
+    results: [],
+  };
+}
+
 /**
  * Execute migrations from stored version to current app version
+ * When the stored version is newer (the app was downgraded), the reverse
+ * migrations of every version in between run instead, newest first. If any
+ * of them has no reverse migration, or the stored version is unknown to this
+ * build, the data is left as it is apart from quarantining what this version
+ * can't read (see keepReadableData).
+ * Every key the migrations declare in `affects` (every declared key, for
+ * downgrades without reverse migrations) is snapshotted first, along with
+ * the review cache if any of them declares `reviewCaches` (always, for
+ * downgrades without reverse migrations); if any migration fails, all of
+ * them are restored so no migration is half-applied.
+ * A dry run instead runs the migrations against an in-memory copy of
+ * localStorage and reports what they would change, writing nothing.
+ * Every other run, successful or not, is recorded in the migration history
+ * (see migrationHistory.js).
  * @param {string} storedVersion - The version stored in localStorage
- * @returns {Object} Migration result with success status and details
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun=false] - Preview instead of migrating
+ * @param {Storage} [options.source=localStorage] - Data to preview the
+ *   migrations against, e.g. a workspace about to be imported; dry runs only
+ * @returns {Object} Migration result with success status and details,
+ *   whether this was a `downgrade` and whether it was `reversed` by reverse
+ *   migrations, the saved snapshot's ID, whether a failure was rolled back,
+ *   and the `validation` problems (see validateStorage) found afterwards,
+ *   including review caches (see validateReviewCaches) after downgrades
+ *   without reverse migrations.
+ *   Dry runs instead report `changes` (see diffStorage), the `validation`
+ *   problems the migrations would leave, the `operations` strategies would
+ *   perform, and whether any of them is `destructive`.
  */
-export async function executeMigrations(storedVersion) {
-  if (!storedVersion || storedVersion === APP_VERSION) {
-    return { success: true, message: "No migration needed" };
+export async function executeMigrations(
+  storedVersion,
+  { dryRun = false, source = localStorage } = {}
+) {
+  if (!storedVersion || compareVersions(storedVersion, APP_VERSION) === 0) {
+    return { success: true, dryRun, message: "No migration needed" };
   }
 
   try {
-    // Get all versions that need migration between stored and current
-    const migrationPath = getMigrationPath(storedVersion, APP_VERSION);
+    const downgrade = compareVersions(storedVersion, APP_VERSION) > 0;
 
-    if (migrationPath.length === 0) {
+    // Get all versions that need migration between stored and current; null
+    // when downgrading from a version this build doesn't know
+    const migrationPath = downgrade
+      ? getDowngradePath(storedVersion, APP_VERSION)
+      : getMigrationPath(storedVersion, APP_VERSION);
+
+    if (migrationPath?.length === 0) {
       return {
         success: true,
+        dryRun,
+        downgrade,
+        reversed: downgrade,
         message: `No migrations required from ${storedVersion} to ${APP_VERSION}`,
       };
     }
 
-    // Log the start of migration process
-    migrationLogger.start(storedVersion, APP_VERSION);
+    // Downgrades can only be reversed if every version has a reverse migration
+    const reversed =
+      downgrade &&
+      migrationPath !== null &&
+      migrationPath.every(
+        (versionInfo) => getMigration(versionInfo.version)?.down
+      );
+    const runMigrations =
+      downgrade && !reversed
+        ? () => keepReadableData(storedVersion)
+        : () =>
+            runMigrationPath(storedVersion, migrationPath, {
+              reverse: downgrade,
+            });
+
+    if (dryRun) {
+      console.log(
+        `🔍 Previewing migration from v${storedVersion} to v${APP_VERSION}`
+      );
+      const { value, storage, operations } = await runMigrationDryRun(
+        runMigrations,
+        source
+      );
 
-    const results = [];
-    const affectedKeys = new Set();
+      return {
+        ...value,
+        dryRun: true,
+        downgrade,
+        reversed,
+        message: value.success
+          ? `Previewed migration from ${storedVersion} to ${APP_VERSION}`
+          : value.message,
+        changes: diffStorage(source, storage),
+        validation: validateStorage({ storage }),
+        operations,
+        destructive: operations.some((operation) => operation.destructive),
+      };
+    }
 
-    // Execute each migration in sequence
-    for (const versionInfo of migrationPath) {
-      const version = versionInfo.version;
-      const migrationFn = migrations[version];
+    // Real runs wait for any dry run in progress, which would otherwise
+    // point them at its copy of localStorage
+    return await runMigrationsExclusively(async () => {
+      // Log the start of migration process
+      migrationLogger.start(storedVersion, APP_VERSION);
+
+      // Snapshot everything the migrations may touch; without reverse
+      // migrations, that is anything the validation may quarantine
+      const snapshotAffects =
+        downgrade && !reversed
+          ? Object.values(LOCAL_STORAGE_KEYS)
+          : [
+              ...new Set(
+                migrationPath.flatMap(
+                  (versionInfo) =>
+                    getMigration(versionInfo.version)?.affects || []
+                )
+              ),
+            ];
+      const snapshotData = captureStorage(snapshotAffects);
+
+      // Migrations that write the review cache get all of it captured too, as
+      // do downgrades without reverse migrations, which may quarantine it
+      const reviewSetsData =
+        (downgrade && !reversed) ||
+        migrationPath.some(
+          (versionInfo) => getMigration(versionInfo.version)?.reviewCaches
+        )
+          ? await captureReviewSets()
+          : null;
+
+      const snapshotId = await saveMigrationSnapshot({
+        fromVersion: storedVersion,
+        toVersion: APP_VERSION,
+        affects: snapshotAffects,
+        data: snapshotData,
+        ...(reviewSetsData && { reviewSets: reviewSetsData }),
+      });
+
+      const result = await runMigrations();
+      const migratedVersions = (migrationPath || []).map(
+        (versionInfo) => versionInfo.version
+      );
 
-      if (migrationFn) {
+      if (!result.success) {
+        // Undo every migration run so far
+        let rolledBack = false;
         try {
-          // Execute migration and track results
-          const result = await migrationFn(storedVersion, version);
-
-          // Add affected keys to the set
-          if (result.affectedKeys && Array.isArray(result.affectedKeys)) {
-            result.affectedKeys.forEach((key) => affectedKeys.add(key));
-          }
-
-          results.push({
-            version,
-            success: result.success,
-            affectedKeys: result.affectedKeys,
-            details: result,
-          });
-
-          // If a migration fails, stop the process
-          if (!result.success) {
-            migrationLogger.failed(storedVersion, version, result.error);
-            return {
-              success: false,
-              message: `Migration failed for version ${version}: ${
-                result.error?.message || "Unknown error"
-              }`,
-              affectedKeys: Array.from(affectedKeys),
-              error: result.error,
-              results,
-            };
-          }
+          restoreStorage(snapshotData, snapshotAffects);
+          if (reviewSetsData) await restoreReviewSets(reviewSetsData);
+          rolledBack = true;
+          console.warn(
+            `↩️ Restored ${Object.keys(snapshotData).length} key(s)${
+              reviewSetsData
+                ? ` and ${reviewSetsData.length} review cache(s)`
+                : ""
+            } from before the migration`
+          );
         } catch (error) {
-          migrationLogger.failed(storedVersion, version, error);
-
-          // Return failure with details about which migration failed
-          return {
-            success: false,
-            message: `Migration failed for version ${version}: ${error.message}`,
-            error,
-            affectedKeys: Array.from(affectedKeys),
-            results,
-          };
+          console.error(
+            "Failed to restore data after migration failure:",
+            error
+          );
         }
-      } else {
-        // No migration function found for this version
-        const logger = migrationLogger.forVersion(version);
-        logger.warn(`No migration function defined for this version`);
+
+        const failure = {
+          ...result,
+          downgrade,
+          reversed,
+          snapshotId,
+          rolledBack,
+        };
+        recordMigrationRun(storedVersion, migratedVersions, failure);
+        return failure;
       }
-    }
 
-    // Log successful completion
-    migrationLogger.complete(storedVersion, APP_VERSION);
+      // Log successful completion
+      migrationLogger.complete(storedVersion, APP_VERSION);
+
+      // Quarantine anything the migrations left that doesn't match its schema,
+      // and after a downgrade without reverse migrations, any review set a
+      // newer version wrote in a shape this one can't read
+      const validation = validateStorage({ repair: true });
+      if (downgrade && !reversed) {
+        const reviewCacheProblems = await validateReviewCaches({
+          repair: true,
+        });
+        validation.push(
+          ...reviewCacheProblems.map(
+            ({ cacheKey, errors, invalidReviews }) => ({
+              key: cacheKey,
+              errors,
+              invalidRecords: invalidReviews,
+            })
+          )
+        );
+      }
+      if (validation.length > 0) {
+        console.warn(
+          `Quarantined invalid data after migrating: ${validation
+            .map((problem) => problem.key)
+            .join(", ")}`
+        );
+      }
 
-    return {
-      success: true,
-      message: `Successfully migrated from ${storedVersion} to ${APP_VERSION}`,
-      affectedKeys: Array.from(affectedKeys),
-      results,
-    };
+      const migrated = {
+        ...result,
+        downgrade,
+        reversed,
+        snapshotId,
+        validation,
+      };
+      recordMigrationRun(storedVersion, migratedVersions, migrated);
+      return migrated;
+    });
   } catch (error) {
     migrationLogger.failed(storedVersion, APP_VERSION, error);
 
     return {
       success: false,
+      dryRun,
       message: `Migration failed: ${error.message}`,
       error,
     };
@@ -255,24 +614,91 @@ export function clearStorageItems(keys) {
 }
 
 /**
- * Helper functions for working with review cache keys
+ * Helper functions for working with the review cache
+ * Reviews live in IndexedDB (see reviewDb.js); every helper that touches them
+ * is async and degrades to a cache miss when IndexedDB is unavailable
  */
 export const reviewCacheHelpers = {
   /**
    * Get the cache key for reviews of a specific company
+   * Non-default review filters get their own key, suffixed with a filter hash
    * @param {string|number} id - The id of the company
-   * @returns {string} The localStorage key for the reviews cache
+   * @param {Object} [filters] - Review filters the reviews were fetched with
+   * @returns {string} The review cache key
+   */
+  getKey: (id, filters) =>
+    isDefaultReviewFilters(filters)
+      ? `reviews_${id}`
+      : `reviews_${id}_${getReviewFiltersKey(filters)}`,
+
+  /**
+   * Find all review cache keys
+   * @returns {Promise<Array<string>>} Array of review cache keys
+   */
+  findAllKeys: async () => {
+    try {
+      const sets = await listReviewSets();
+      return sets.map((set) => set.cacheKey);
+    } catch (e) {
+      console.error("Error listing review caches:", e);
+      return [];
+    }
+  },
+
+  /**
+   * List every review cache entry's metadata, without the reviews
+   * @returns {Promise<Array<Object>>} Entries with cacheKey, employerId,
+   *   filters, timestamp, complete, reviewCount, bytes and pinned
+   */
+  listEntries: async () => {
+    try {
+      return await listReviewSets();
+    } catch (e) {
+      console.error("Error listing review caches:", e);
+      return [];
+    }
+  },
+
+  /**
+   * Pin or unpin a review cache entry. Pinned entries never go stale.
+   * @param {string} key - Review cache key
+   * @param {boolean} pinned - Whether the entry should be pinned
+   * @returns {Promise<boolean>} Whether the entry was updated
+   */
+  setPinned: async (key, pinned) => {
+    try {
+      return await updateReviewSetMeta(key, { pinned });
+    } catch (e) {
+      console.error(`Error pinning review cache ${key}:`, e);
+      return false;
+    }
+  },
+
+  /**
+   * Remove a review cache entry by its key
+   * @param {string} key - Review cache key
+   * @returns {Promise<boolean>} Whether the entry was removed
    */
-  getKey: (id) => `reviews_${id}`,
+  deleteByKey: async (key) => {
+    try {
+      await deleteReviewSet(key);
+      return true;
+    } catch (e) {
+      console.error(`Error removing review cache ${key}:`, e);
+      return false;
+    }
+  },
 
   /**
-   * Find all review cache keys in localStorage
-   * @returns {Array<string>} Array of review cache keys
+   * Find review caches still kept in localStorage by versions before
+   * 1.0.0-beta2
+   * @param {Storage} [storage=localStorage] - Storage to search
+   * @returns {Array<string>} Array of localStorage keys
    */
-  findAllKeys: () => {
+  findLegacyKeys: (storage = localStorage) => {
     const keys = [];
-    for (let i = 0; i < localStorage.length; i++) {
-      const key = localStorage.key(i);
+    for (let i = 0; i < storage.length; i++) {
+      const key = storage.key(i);
       if (key && key.startsWith("reviews_")) {
         keys.push(key);
       }
@@ -281,31 +707,59 @@ export const reviewCacheHelpers = {
   },
 
   /**
-   * Clear all review cache from localStorage
-   * @returns {number} Number of cache items cleared
+   * Clear all review caches
+   * @returns {Promise<number>} Number of cache entries cleared
    */
-  clearAllCache: () => {
-    const keys = reviewCacheHelpers.findAllKeys();
-    clearStorageItems(keys);
-    return keys.length;
+  clearAllCache: async () => {
+    const legacyKeys = reviewCacheHelpers.findLegacyKeys();
+    clearStorageItems(legacyKeys);
+    return (await clearReviewSets()) + legacyKeys.length;
   },
 
   /**
    * Get reviews from cache for a specific company
    * @param {string|number} id - The id of the company
-   * @returns {Object|null} The cached reviews data or null if not found/valid
+   * @param {Object} [filters] - Review filters the reviews were fetched with
+   * @returns {Promise<Object|null>} The cached reviews data or null if not found/valid
    */
-  getReviews: (id) => {
-    const key = reviewCacheHelpers.getKey(id);
+  getReviews: async (id, filters) => {
+    const key = reviewCacheHelpers.getKey(id, filters);
     try {
-      const data = localStorage.getItem(key);
-      if (!data) return null;
-
-      const parsed = JSON.parse(data);
-      return parsed;
+      return await validateReviewSet(await getReviewSet(key));
     } catch (e) {
       console.error(`Error accessing review cache for ${id}:`, e);
       return null;
     }
   },
+
+  /**
+   * Save reviews for a specific company to the cache
+   * @param {string|number} id - The id of the company
+   * @param {Object} [filters] - Review filters the reviews were fetched with
+   * @param {Object} data - Reviews plus fetch metadata (timestamp, complete,
+   *   pagesFetched, numberOfPages, allReviewsCount, error)
+   * @returns {Promise<boolean>} Whether the cache was written
+   */
+  saveReviews: async (id, filters, data) => {
+    const key = reviewCacheHelpers.getKey(id, filters);
+    try {
+      await putReviewSet(key, id, {
+        ...data,
+        filters: normalizeReviewFilters(filters),
+      });
+      return true;
+    } catch (e) {
+      console.error(`Error writing review cache for ${id}:`, e);
+      return false;
+    }
+  },
+
+  /**
+   * Remove the cached reviews for a specific company
+   * @param {string|number} id - The id of the company
+   * @param {Object} [filters] - Review filters the reviews were fetched with
+   * @returns {Promise<boolean>} Whether the cache entry was removed
+   */
+  deleteReviews: async (id, filters) =>
+    reviewCacheHelpers.deleteByKey(reviewCacheHelpers.getKey(id, filters)),
 };
@@ -0,0 +1,72 @@
+/**
+ * User settings for the review cache
+ * Controls how long cached reviews are used before they are refreshed.
+ * Pinned review sets are always used, however old they are.
+ */
+
+import { LOCAL_STORAGE_KEYS } from "./localStorageService";
+import { readStoredValue } from "./storageSchemas";
+
+/**
+ * How long cached reviews stay fresh, in hours
+ */
+export const REVIEW_CACHE_TTL_OPTIONS = [
+  { value: 1, label: "1 hour" },
+  { value: 6, label: "6 hours" },
+  { value: 24, label: "1 day" },
+  { value: 72, label: "3 days" },
+  { value: 168, label: "1 week" },
+  { value: 720, label: "30 days" },
+];
+
+export const DEFAULT_REVIEW_CACHE_SETTINGS = {
+  ttlHours: 24,
+};
+
+/**
+ * Get the saved review cache settings, falling back to the defaults
+ * @returns {Object} Review cache settings
+ */
+export function getReviewCacheSettings() {
+  const saved = readStoredValue(LOCAL_STORAGE_KEYS.REVIEW_CACHE_SETTINGS);
+  const ttlHours = Number(saved?.ttlHours);
+  return {
+    ...DEFAULT_REVIEW_CACHE_SETTINGS,
+    ...(ttlHours > 0 ? { ttlHours } : {}),
+  };
+}
+
+/**
+ * Save review cache settings
+ * @param {Object} settings - Settings to merge into the saved ones
+ * @returns {Object} The saved settings
+ */
+export function saveReviewCacheSettings(settings) {
+  const updated = { ...getReviewCacheSettings(), ...settings };
+  localStorage.setItem(
+    LOCAL_STORAGE_KEYS.REVIEW_CACHE_SETTINGS,
+    JSON.stringify(updated)
+  );
+  return updated;
+}
+
+/**
+ * How long cached reviews stay fresh
+ * @returns {number} Time to live in milliseconds
+ */
+export function getReviewCacheTtlMs() {
+  return getReviewCacheSettings().ttlHours * 60 * 60 * 1000;
+}
+
+/**
+ * Whether a cached review set can be used without refetching
+ * @param {Object} entry - Review set metadata with timestamp and pinned
+ * @returns {boolean} Whether the entry is pinned or younger than the TTL
+ */
+export function isReviewCacheFresh(entry) {
+  if (!entry) return false;
+  if (entry.pinned) return true;
+  return (
+    !!entry.timestamp && Date.now() - entry.timestamp < getReviewCacheTtlMs()
+  );
+}
@@ -0,0 +1,30 @@
+/**
+ * Review dates for gc/bc
+ * reviewDateTime is optional on cached reviews (see REVIEW_SCHEMA), so views
+ * read it through these helpers rather than parsing it directly.
+ */
+
+import { format, isValid, parseISO } from "date-fns";
+
+/**
+ * Get when a review was posted
+ * @param {Object} review - Review
+ * @returns {Date|null} The review's date, or null if missing or invalid
+ */
+export function getReviewDate(review) {
+  if (!review?.reviewDateTime) return null;
+  const date = parseISO(review.reviewDateTime);
+  return isValid(date) ? date : null;
+}
+
+/**
+ * Format when a review was posted
+ * @param {Object} review - Review
+ * @param {string} pattern - date-fns format pattern
+ * @param {any} [fallback="-"] - Returned for reviews without a valid date
+ * @returns {string|any} The formatted date, or the fallback
+ */
+export function formatReviewDate(review, pattern, fallback = "-") {
+  const date = getReviewDate(review);
+  return date ? format(date, pattern) : fallback;
+}
@@ -0,0 +1,396 @@
+/**
+ * IndexedDB-backed review cache for gc/bc
+ * Each review is stored as its own record, grouped into review sets keyed by
+ * the same cache key the localStorage cache used (e.g. reviews_1651).
+ * The same database keeps the localStorage snapshots taken before migrations
+ * and the data moved to the storage quarantine.
+ */
+
+import { SYNC_TOPICS, broadcastChange } from "./crossTabSync";
+
+const DB_NAME = "gcbc";
+const DB_VERSION = 3;
+
+export const REVIEW_DB_STORES = {
+  // One record per review set: fetch metadata without the reviews
+  REVIEW_SETS: "reviewSets",
+  // One record per review: { cacheKey, employerId, reviewId, position, reviewDateTime, review }
+  REVIEWS: "reviews",
+  // One record per migration run: { id, createdAt, fromVersion, toVersion, data }
+  MIGRATION_SNAPSHOTS: "migrationSnapshots",
+  // One record per quarantined entry: { id, source, quarantinedAt, record?, raw? }
+  QUARANTINE: "quarantine",
+};
+
+let dbPromise = null;
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @param {IDBRequest} request - The request
+ * @returns {Promise<any>} The request's result
+ */
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Wait for a transaction to commit
+ * @param {IDBTransaction} transaction - The transaction
+ * @returns {Promise<void>} Resolves when the transaction completes
+ */
+function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () =>
+      reject(transaction.error || new Error("Transaction aborted"));
+  });
+}
+
+/**
+ * Open the review database, creating or upgrading its stores as needed
+ * @returns {Promise<IDBDatabase>} The open database
+ */
+export function openReviewDb() {
+  if (dbPromise) return dbPromise;
+
+  if (typeof indexedDB === "undefined") {
+    return Promise.reject(new Error("IndexedDB is not available"));
+  }
+
+  dbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+
+      if (!db.objectStoreNames.contains(REVIEW_DB_STORES.REVIEW_SETS)) {
+        const sets = db.createObjectStore(REVIEW_DB_STORES.REVIEW_SETS, {
+          keyPath: "cacheKey",
+        });
+        sets.createIndex("employerId", "employerId");
+      }
+
+      if (!db.objectStoreNames.contains(REVIEW_DB_STORES.REVIEWS)) {
+        const reviews = db.createObjectStore(REVIEW_DB_STORES.REVIEWS, {
+          keyPath: ["cacheKey", "reviewId"],
+        });
+        reviews.createIndex("cacheKey", "cacheKey");
+        reviews.createIndex("employerId", "employerId");
+        reviews.createIndex("employerDate", ["employerId", "reviewDateTime"]);
+      }
+
+      if (!db.objectStoreNames.contains(REVIEW_DB_STORES.MIGRATION_SNAPSHOTS)) {
+        db.createObjectStore(REVIEW_DB_STORES.MIGRATION_SNAPSHOTS, {
+          keyPath: "id",
+          autoIncrement: true,
+        });
+      }
+
+      if (!db.objectStoreNames.contains(REVIEW_DB_STORES.QUARANTINE)) {
+        db.createObjectStore(REVIEW_DB_STORES.QUARANTINE, { keyPath: "id" });
+      }
+    };
+
+    request.onsuccess = () => {
+      const db = request.result;
+      // Let a newer tab upgrade the schema instead of blocking it
+      db.onversionchange = () => {
+        db.close();
+        dbPromise = null;
+      };
+      resolve(db);
+    };
+    request.onerror = () => {
+      dbPromise = null;
+      reject(request.error);
+    };
+  });
+
+  return dbPromise;
+}
+
+// Every review in a set has a primary key starting with its cache key;
+// arrays sort after all other key types, so this bounds the whole set
+const reviewSetRange = (cacheKey) =>
+  IDBKeyRange.bound([cacheKey], [cacheKey, []]);
+
+/**
+ * Get a review set with its reviews, in the order they were saved
+ * @param {string} cacheKey - Review cache key
+ * @returns {Promise<Object|null>} Set metadata plus reviews, or null if absent
+ */
+export async function getReviewSet(cacheKey) {
+  const db = await openReviewDb();
+  const transaction = db.transaction(
+    [REVIEW_DB_STORES.REVIEW_SETS, REVIEW_DB_STORES.REVIEWS],
+    "readonly"
+  );
+
+  const [meta, records] = await Promise.all([
+    requestToPromise(
+      transaction.objectStore(REVIEW_DB_STORES.REVIEW_SETS).get(cacheKey)
+    ),
+    requestToPromise(
+      transaction
+        .objectStore(REVIEW_DB_STORES.REVIEWS)
+        .getAll(reviewSetRange(cacheKey))
+    ),
+  ]);
+
+  if (!meta) return null;
+
+  records.sort((a, b) => a.position - b.position);
+  return { ...meta, reviews: records.map((record) => record.review) };
+}
+
+/**
+ * Replace a review set and its reviews
+ * @param {string} cacheKey - Review cache key
+ * @param {number|string} employerId - Company the reviews belong to
+ * @param {Object} data - Reviews plus fetch metadata
+ * @returns {Promise<void>} Resolves once written
+ */
+export async function putReviewSet(cacheKey, employerId, data) {
+  const { reviews = [], ...meta } = data;
+  const numericEmployerId = parseInt(employerId, 10) || employerId;
+
+  const db = await openReviewDb();
+  const transaction = db.transaction(
+    [REVIEW_DB_STORES.REVIEW_SETS, REVIEW_DB_STORES.REVIEWS],
+    "readwrite"
+  );
+  const reviewStore = transaction.objectStore(REVIEW_DB_STORES.REVIEWS);
+
+  reviewStore.delete(reviewSetRange(cacheKey));
+  reviews.forEach((review, position) => {
+    reviewStore.put({
+      cacheKey,
+      employerId: numericEmployerId,
+      // Reviews without an ID still need a unique key within the set
+      reviewId: review.reviewId ?? `position-${position}`,
+      position,
+      reviewDateTime: review.reviewDateTime || "",
+      review,
+    });
+  });
+
+  // Keep the set pinned across refreshes unless told otherwise
+  const sets = transaction.objectStore(REVIEW_DB_STORES.REVIEW_SETS);
+  const existing = sets.get(cacheKey);
+  existing.onsuccess = () => {
+    sets.put({
+      pinned: existing.result?.pinned || false,
+      ...meta,
+      cacheKey,
+      employerId: numericEmployerId,
+      reviewCount: reviews.length,
+      bytes: new Blob([JSON.stringify(reviews)]).size,
+      savedAt: Date.now(),
+    });
+  };
+
+  await transactionDone(transaction);
+  broadcastChange(SYNC_TOPICS.REVIEW_CACHE, {
+    action: "put",
+    cacheKey,
+    employerId: numericEmployerId,
+  });
+}
+
+/**
+ * Change a review set's metadata without touching its reviews
+ * @param {string} cacheKey - Review cache key
+ * @param {Object} changes - Fields to update, e.g. { pinned: true }
+ * @returns {Promise<boolean>} Whether the set existed
+ */
+export async function updateReviewSetMeta(cacheKey, changes) {
+  const db = await openReviewDb();
+  const transaction = db.transaction(REVIEW_DB_STORES.REVIEW_SETS, "readwrite");
+  const sets = transaction.objectStore(REVIEW_DB_STORES.REVIEW_SETS);
+
+  let found = false;
+  const existing = sets.get(cacheKey);
+  existing.onsuccess = () => {
+    if (!existing.result) return;
+    found = true;
+    sets.put({ ...existing.result, ...changes, cacheKey });
+  };
+
+  await transactionDone(transaction);
+  if (found) {
+    broadcastChange(SYNC_TOPICS.REVIEW_CACHE, { action: "update", cacheKey });
+  }
+  return found;
+}
+
+/**
+ * Delete a review set and its reviews
+ * @param {string} cacheKey - Review cache key
+ * @returns {Promise<void>} Resolves once deleted
+ */
+export async function deleteReviewSet(cacheKey) {
+  const db = await openReviewDb();
+  const transaction = db.transaction(
+    [REVIEW_DB_STORES.REVIEW_SETS, REVIEW_DB_STORES.REVIEWS],
+    "readwrite"
+  );
+
+  transaction
+    .objectStore(REVIEW_DB_STORES.REVIEWS)
+    .delete(reviewSetRange(cacheKey));
+  transaction.objectStore(REVIEW_DB_STORES.REVIEW_SETS).delete(cacheKey);
+
+  await transactionDone(transaction);
+  broadcastChange(SYNC_TOPICS.REVIEW_CACHE, { action: "delete", cacheKey });
+}
+
+/**
+ * List the metadata of every stored review set, without the reviews
+ * @returns {Promise<Array<Object>>} Review set metadata
+ */
+export async function listReviewSets() {
+  const db = await openReviewDb();
+  const transaction = db.transaction(REVIEW_DB_STORES.REVIEW_SETS, "readonly");
+  return requestToPromise(
+    transaction.objectStore(REVIEW_DB_STORES.REVIEW_SETS).getAll()
+  );
+}
+
+/**
+ * Delete every review set
+ * @returns {Promise<number>} Number of review sets deleted
+ */
+export async function clearReviewSets() {
+  const db = await openReviewDb();
+  const transaction = db.transaction(
+    [REVIEW_DB_STORES.REVIEW_SETS, REVIEW_DB_STORES.REVIEWS],
+    "readwrite"
+  );
+  const sets = transaction.objectStore(REVIEW_DB_STORES.REVIEW_SETS);
+
+  // Requests run in order, so this counts the sets before they are cleared
+  const countRequest = sets.count();
+  sets.clear();
+  transaction.objectStore(REVIEW_DB_STORES.REVIEWS).clear();
+
+  await transactionDone(transaction);
+  broadcastChange(SYNC_TOPICS.REVIEW_CACHE, { action: "clear" });
+  return countRequest.result;
+}
+
+/**
+ * Save a migration snapshot
+ * @param {Object} snapshot - { createdAt, fromVersion, toVersion, data }
+ * @returns {Promise<number>} The new snapshot's ID
+ */
+export async function addMigrationSnapshot(snapshot) {
+  const db = await openReviewDb();
+  const transaction = db.transaction(
+    REVIEW_DB_STORES.MIGRATION_SNAPSHOTS,
+    "readwrite"
+  );
+  const request = transaction
+    .objectStore(REVIEW_DB_STORES.MIGRATION_SNAPSHOTS)
+    .add(snapshot);
+
+  await transactionDone(transaction);
+  return request.result;
+}
+
+/**
+ * Get a migration snapshot
+ * @param {number} id - Snapshot ID
+ * @returns {Promise<Object|null>} The snapshot, or null if absent
+ */
+export async function getMigrationSnapshot(id) {
+  const db = await openReviewDb();
+  const transaction = db.transaction(
+    REVIEW_DB_STORES.MIGRATION_SNAPSHOTS,
+    "readonly"
+  );
+  const snapshot = await requestToPromise(
+    transaction.objectStore(REVIEW_DB_STORES.MIGRATION_SNAPSHOTS).get(id)
+  );
+  return snapshot || null;
+}
+
+/**
+ * List every migration snapshot, newest first
+ * @returns {Promise<Array<Object>>} Snapshots
+ */
+export async function listMigrationSnapshots() {
+  const db = await openReviewDb();
+  const transaction = db.transaction(
+    REVIEW_DB_STORES.MIGRATION_SNAPSHOTS,
+    "readonly"
+  );
+  const snapshots = await requestToPromise(
+    transaction.objectStore(REVIEW_DB_STORES.MIGRATION_SNAPSHOTS).getAll()
+  );
+  return snapshots.reverse();
+}
+
+/**
+ * Delete migration snapshots
+ * @param {Array<number>} ids - Snapshot IDs
+ * @returns {Promise<void>} Resolves once deleted
+ */
+export async function deleteMigrationSnapshots(ids) {
+  const db = await openReviewDb();
+  const transaction = db.transaction(
+    REVIEW_DB_STORES.MIGRATION_SNAPSHOTS,
+    "readwrite"
+  );
+  const store = transaction.objectStore(REVIEW_DB_STORES.MIGRATION_SNAPSHOTS);
+  ids.forEach((id) => store.delete(id));
+
+  return transactionDone(transaction);
+}
+
+/**
+ * Save quarantined data and delete any not listed in keepIds
+ * @param {Array<Object>} records - { id, source, quarantinedAt, record?, raw? }
+ * @param {Array<string>} keepIds - IDs of every entry still in the quarantine
+ * @returns {Promise<void>} Resolves once written
+ */
+export async function putQuarantinedData(records, keepIds) {
+  const db = await openReviewDb();
+  const transaction = db.transaction(REVIEW_DB_STORES.QUARANTINE, "readwrite");
+  const store = transaction.objectStore(REVIEW_DB_STORES.QUARANTINE);
+
+  records.forEach((record) => store.put(record));
+  const keep = new Set(keepIds);
+  const keys = store.getAllKeys();
+  keys.onsuccess = () => {
+    keys.result.filter((id) => !keep.has(id)).forEach((id) => store.delete(id));
+  };
+
+  return transactionDone(transaction);
+}
+
+/**
+ * List every piece of quarantined data
+ * @returns {Promise<Array<Object>>} { id, source, quarantinedAt, record?, raw? }
+ */
+export async function listQuarantinedData() {
+  const db = await openReviewDb();
+  const transaction = db.transaction(REVIEW_DB_STORES.QUARANTINE, "readonly");
+  return requestToPromise(
+    transaction.objectStore(REVIEW_DB_STORES.QUARANTINE).getAll()
+  );
+}
+
+/**
+ * Delete all quarantined data
+ * @returns {Promise<void>} Resolves once deleted
+ */
+export async function clearQuarantinedData() {
+  const db = await openReviewDb();
+  const transaction = db.transaction(REVIEW_DB_STORES.QUARANTINE, "readwrite");
+  transaction.objectStore(REVIEW_DB_STORES.QUARANTINE).clear();
+  return transactionDone(transaction);
+}
@@ -0,0 +1,142 @@
+/**
+ * Review filter definitions for the reviews API
+ * Filters narrow which reviews are fetched for a company and are part of the
+ * review cache key, so each filter set is cached separately.
+ */
+
+/**
+ * Employment statuses that can be included in a review fetch
+ */
+export const EMPLOYMENT_STATUS_OPTIONS = [
+  { value: "REGULAR", label: "Full-time" },
+  { value: "PART_TIME", label: "Part-time" },
+  { value: "CONTRACT", label: "Contract" },
+  { value: "INTERN", label: "Intern" },
+  { value: "FREELANCE", label: "Freelance" },
+];
+
+/**
+ * Kinds of location a review fetch can be narrowed to
+ */
+export const LOCATION_TYPE_OPTIONS = [
+  { value: "CITY", label: "City" },
+  { value: "METRO", label: "Metro area" },
+  { value: "STATE", label: "State" },
+  { value: "COUNTRY", label: "Country" },
+];
+
+/**
+ * Review languages; "all" disables language filtering
+ */
+export const LANGUAGE_OPTIONS = [
+  { value: "eng", label: "English" },
+  { value: "fra", label: "French" },
+  { value: "deu", label: "German" },
+  { value: "spa", label: "Spanish" },
+  { value: "por", label: "Portuguese" },
+  { value: "ita", label: "Italian" },
+  { value: "nld", label: "Dutch" },
+  { value: "all", label: "All languages" },
+];
+
+/**
+ * Filters used when none are chosen, matching the server defaults
+ */
+export const DEFAULT_REVIEW_FILTERS = {
+  jobTitle: null,
+  locationId: null,
+  locationType: null,
+  language: "eng",
+  employmentStatuses: ["REGULAR", "PART_TIME"],
+};
+
+/**
+ * Fill in defaults and put a filter set into a canonical form
+ * @param {Object} [filters] - Partial review filters
+ * @returns {Object} Complete, normalized review filters
+ */
+export function normalizeReviewFilters(filters = {}) {
+  const merged = { ...DEFAULT_REVIEW_FILTERS, ...filters };
+  const jobTitle = merged.jobTitle?.trim() || null;
+  const locationId = parseInt(merged.locationId, 10) || null;
+
+  return {
+    jobTitle,
+    locationId,
+    locationType: locationId ? merged.locationType || null : null,
+    language: merged.language || DEFAULT_REVIEW_FILTERS.language,
+    employmentStatuses:
+      Array.isArray(merged.employmentStatuses) &&
+      merged.employmentStatuses.length > 0
+        ? EMPLOYMENT_STATUS_OPTIONS.map((o) => o.value).filter((status) =>
+            merged.employmentStatuses.includes(status)
+          )
+        : DEFAULT_REVIEW_FILTERS.employmentStatuses,
+  };
+}
+
+/**
+ * Check whether a filter set is the default one
+ * @param {Object} [filters] - Review filters
+ * @returns {boolean} Whether the filters match the defaults
+ */
+export function isDefaultReviewFilters(filters) {
+  return (
+    getReviewFiltersKey(filters) === getReviewFiltersKey(DEFAULT_REVIEW_FILTERS)
+  );
+}
+
+/**
+ * Build a short, stable identifier for a filter set
+ * @param {Object} [filters] - Review filters
+ * @returns {string} Hex hash of the normalized filters
+ */
+export function getReviewFiltersKey(filters) {
+  const normalized = JSON.stringify(normalizeReviewFilters(filters));
+
+  // djb2 string hash; only needs to be stable, not cryptographic
+  let hash = 5381;
+  for (let i = 0; i < normalized.length; i++) {
+    hash = ((hash << 5) + hash + normalized.charCodeAt(i)) >>> 0;
+  }
+  return hash.toString(16);
+}
+
+/**
+ * Describe the non-default parts of a filter set for display
+ * @param {Object} [filters] - Review filters
+ * @returns {Array<string>} Human-readable filter descriptions
+ */
+export function describeReviewFilters(filters) {
+  const normalized = normalizeReviewFilters(filters);
+  const parts = [];
+
+  if (normalized.jobTitle) parts.push(`Job title: ${normalized.jobTitle}`);
+  if (normalized.locationId) {
+    const type = LOCATION_TYPE_OPTIONS.find(
+      (o) => o.value === normalized.locationType
+    );
+    parts.push(`${type?.label || "Location"} ID: ${normalized.locationId}`);
+  }
+  if (normalized.language !== DEFAULT_REVIEW_FILTERS.language) {
+    const language = LANGUAGE_OPTIONS.find(
+      (o) => o.value === normalized.language
+    );
+    parts.push(language?.label || normalized.language);
+  }
+  if (
+    normalized.employmentStatuses.join(",") !==
+    DEFAULT_REVIEW_FILTERS.employmentStatuses.join(",")
+  ) {
+    parts.push(
+      normalized.employmentStatuses
+        .map(
+          (status) =>
+            EMPLOYMENT_STATUS_OPTIONS.find((o) => o.value === status)?.label
+        )
+        .join(", ")
+    );
+  }
+
+  return parts;
+}
@@ -0,0 +1,497 @@
+/**
+ * Schemas for the data gc/bc persists
+ * Every key in LOCAL_STORAGE_KEYS and every cached review set has a declared
+ * shape. Data is validated when it is read and after migrations; records
+ * that don't fit are moved to a quarantine instead of crashing the app, and
+ * getStorageDiagnostics reports everything found invalid.
+ */
+
+import { LOCAL_STORAGE_KEYS } from "./localStorageService";
+import { SEMVER_PATTERN } from "./version";
+import {
+  clearQuarantinedData,
+  deleteReviewSet,
+  getReviewSet,
+  listQuarantinedData,
+  listReviewSets,
+  putQuarantinedData,
+  putReviewSet,
+} from "./reviewDb";
+import { fields, validate } from "../../../shared/validation.js";
+
+/**
+ * Most quarantined records kept; the oldest are dropped first
+ */
+export const QUARANTINE_LIMIT = 50;
+
+// Check stored data against a schema; fields the schema doesn't mention are
+// kept, so data from newer versions isn't rejected for having them
+const checkShape = (schema, input, name) =>
+  validate(schema, input, { name, allowUnknown: true });
+
+const companySchema = {
+  id: fields.id(),
+  name: fields.string(),
+  logoUrl: fields.string({ required: false }),
+  website: fields.string({ required: false }),
+  location: fields.string({ required: false }),
+};
+
+const reviewFiltersSchema = {
+  jobTitle: fields.string({ required: false }),
+  locationId: fields.number({ required: false }),
+  locationType: fields.string({ required: false }),
+  language: fields.string({ required: false }),
+  employmentStatuses: fields.arrayOf(fields.string(), { required: false }),
+};
+
+const quarantineEntrySchema = {
+  id: fields.string({ required: false }),
+  source: fields.string(),
+  errors: fields.arrayOf(fields.string()),
+  quarantinedAt: fields.string(),
+};
+
+/**
+ * The shape of a review set's metadata in the review cache
+ */
+export const REVIEW_SET_SCHEMA = {
+  cacheKey: fields.string(),
+  employerId: fields.id(),
+  timestamp: fields.number({ required: false }),
+  complete: fields.boolean({ required: false }),
+  pagesFetched: fields.number({ required: false, min: 0 }),
+  numberOfPages: fields.number({ required: false, min: 0 }),
+  pinned: fields.boolean({ required: false }),
+  filters: fields.shape(reviewFiltersSchema, { required: false }),
+};
+
+/**
+ * The shape of a cached review. Reviews without a date are kept; they sort
+ * last and are left out of time-based charts.
+ */
+export const REVIEW_SCHEMA = {
+  reviewId: fields.id({ required: false }),
+  reviewDateTime: fields.string({ required: false }),
+  ratingOverall: fields.number({ required: false }),
+};
+
+const stringList = fields.arrayOf(fields.string());
+const booleanMap = fields.mapOf(fields.boolean());
+const version = fields.string({ pattern: SEMVER_PATTERN });
+
+const migrationRunSchema = {
+  fromVersion: version,
+  toVersion: version,
+  ranAt: fields.string(),
+  success: fields.boolean(),
+  downgrade: fields.boolean({ required: false }),
+  rolledBack: fields.boolean({ required: false }),
+  versions: fields.arrayOf(version),
+  affectedKeys: fields.arrayOf(fields.string(), { required: false }),
+  quarantined: fields.number({ required: false, min: 0 }),
+  snapshotId: fields.number({ required: false }),
+  message: fields.string({ required: false }),
+};
+
+let storageSchemas = null;
+
+/**
+ * Get the schema for a localStorage key. Schemas either validate the whole
+ * value (`value`) or, for lists, each record on its own (`records`), so one
+ * bad record doesn't take the rest with it. `json: false` marks keys stored
+ * as plain strings.
+ * @param {string} key - localStorage key
+ * @returns {Object|null} The key's schema, or null for undeclared keys
+ */
+export function getStorageSchema(key) {
+  // Built on first use: localStorageService imports this module, so
+  // LOCAL_STORAGE_KEYS isn't ready while it is being loaded
+  if (!storageSchemas) {
+    const K = LOCAL_STORAGE_KEYS;
+    storageSchemas = {
+      [K.COMPANIES]: { records: companySchema },
+      [K.APP_VERSION]: { json: false, value: version },
+      [K.LAST_SEEN_VERSION]: { json: false, value: version },
+      [K.MIGRATION_HISTORY]: { records: migrationRunSchema },
+      [K.MIGRATION_ADDED_FIELDS]: {
+        value: fields.mapOf(fields.mapOf(fields.arrayOf(fields.id()))),
+      },
+      [K.REVIEWS_TABLE_COLUMN_ORDER]: { value: stringList },
+      [K.REVIEWS_TABLE_COLUMN_VISIBILITY]: { value: booleanMap },
+      [K.REVIEWS_TABLE_COLUMN_ORDER_COMPARE]: { value: stringList },
+      [K.REVIEWS_TABLE_COLUMN_VISIBILITY_COMPARE]: { value: booleanMap },
+      [K.REVIEW_FILTERS]: { value: fields.shape(reviewFiltersSchema) },
+      [K.REVIEW_CACHE_SETTINGS]: {
+        value: fields.shape({ ttlHours: fields.number({ min: 0 }) }),
+      },
+      [K.SENTIMENT_CHARTS_ORDER]: { value: stringList },
+      [K.SENTIMENT_CHARTS_HIDDEN]: { value: booleanMap },
+      [K.SENTIMENT_CHARTS_ORDER_COMPARE]: { value: stringList },
+      [K.SENTIMENT_CHARTS_HIDDEN_COMPARE]: { value: booleanMap },
+      [K.STORAGE_QUARANTINE]: { records: quarantineEntrySchema },
+    };
+  }
+  return storageSchemas[key] || null;
+}
+
+/**
+ * Check a stored string against its key's schema, without changing anything
+ * @param {string} key - localStorage key
+ * @param {string|null} raw - Stored string
+ * @returns {Object} { value, errors, invalidRecords }: the usable value (null
+ *   if missing or unusable), problems with the value as a whole, and records
+ *   that failed on their own as { record, errors }
+ */
+export function checkStoredValue(key, raw) {
+  const schema = getStorageSchema(key);
+  if (raw === null || raw === undefined) {
+    return { value: null, errors: [], invalidRecords: [] };
+  }
+
+  let value = raw;
+  if (schema?.json !== false) {
+    try {
+      value = JSON.parse(raw);
+    } catch (e) {
+      return { value: null, errors: ["Not valid JSON"], invalidRecords: [] };
+    }
+  }
+  if (!schema) return { value, errors: [], invalidRecords: [] };
+
+  if (schema.records) {
+    if (!Array.isArray(value)) {
+      return { value: null, errors: ["Must be a list"], invalidRecords: [] };
+    }
+
+    const valid = [];
+    const invalidRecords = [];
+    value.forEach((record, i) => {
+      const { errors } = checkShape(schema.records, record, `[${i}]`);
+      if (errors.length > 0) {
+        invalidRecords.push({ record, errors });
+      } else {
+        valid.push(record);
+      }
+    });
+    return { value: valid, errors: [], invalidRecords };
+  }
+
+  const result = schema.value(value, key);
+  return result.error
+    ? { value: null, errors: [result.error], invalidRecords: [] }
+    : { value, errors: [], invalidRecords: [] };
+}
+
+// Writes of quarantined data to IndexedDB, in order, so readers can wait
+// for the ones still in flight
+let quarantineWrites = Promise.resolve();
+
+const createQuarantineId = () =>
+  `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+/**
+ * Add entries to the quarantine, keeping the most recent QUARANTINE_LIMIT.
+ * localStorage only holds a summary of each entry; the data itself, which
+ * can be large, is kept in IndexedDB.
+ * @param {Array<Object>} entries - { source, errors, record?, raw? }
+ * @param {Storage} [storage=localStorage] - Storage holding the quarantine
+ * @returns {Promise<void>} Resolves once the data is saved; callers that
+ *   only need the summaries don't have to wait
+ */
+export function quarantineRecords(entries, storage = localStorage) {
+  if (entries.length === 0) return quarantineWrites;
+
+  const quarantinedAt = new Date().toISOString();
+  const added = entries.map(({ source, errors, ...data }) => ({
+    id: createQuarantineId(),
+    source,
+    errors,
+    quarantinedAt,
+    data,
+  }));
+  const quarantine = [
+    ...getQuarantine(storage),
+    ...added.map(({ data, ...summary }) => summary),
+  ].slice(-QUARANTINE_LIMIT);
+
+  entries.forEach((entry) =>
+    console.warn(
+      `Quarantined invalid data from ${entry.source}:`,
+      entry.errors.join("; ")
+    )
+  );
+
+  try {
+    storage.setItem(
+      LOCAL_STORAGE_KEYS.STORAGE_QUARANTINE,
+      JSON.stringify(quarantine)
+    );
+  } catch (e) {
+    // Out of space; the bad data is still kept out of the app
+    console.error("Failed to save quarantined data:", e);
+  }
+
+  const records = added.map(({ id, source, quarantinedAt, data }) => ({
+    id,
+    source,
+    quarantinedAt,
+    ...data,
+  }));
+  const keepIds = quarantine.map((entry) => entry.id).filter(Boolean);
+  quarantineWrites = quarantineWrites
+    .then(() => putQuarantinedData(records, keepIds))
+    .catch((e) => console.error("Failed to save quarantined data:", e));
+  return quarantineWrites;
+}
+
+/**
+ * Get summaries of quarantined records, oldest first
+ * @param {Storage} [storage=localStorage] - Storage holding the quarantine
+ * @returns {Array<Object>} { id, source, errors, quarantinedAt }; entries
+ *   quarantined by older versions also carry their record or raw value
+ */
+export function getQuarantine(storage = localStorage) {
+  const { value } = checkStoredValue(
+    LOCAL_STORAGE_KEYS.STORAGE_QUARANTINE,
+    storage.getItem(LOCAL_STORAGE_KEYS.STORAGE_QUARANTINE)
+  );
+  return value || [];
+}
+
+/**
+ * Get quarantined records along with the data that was quarantined
+ * @param {Storage} [storage=localStorage] - Storage holding the quarantine
+ * @returns {Promise<Array<Object>>} { source, errors, quarantinedAt,
+ *   record?, raw? }, oldest first
+ */
+export async function getQuarantinedRecords(storage = localStorage) {
+  await quarantineWrites;
+  const summaries = getQuarantine(storage);
+
+  let dataById = new Map();
+  try {
+    dataById = new Map(
+      (await listQuarantinedData()).map(({ id, record, raw }) => [
+        id,
+        { record, raw },
+      ])
+    );
+  } catch (e) {
+    console.error("Failed to read quarantined data:", e);
+  }
+
+  return summaries.map((summary) => {
+    const data = dataById.get(summary.id);
+    if (!data) return summary;
+    return {
+      ...summary,
+      ...(data.record !== undefined && { record: data.record }),
+      ...(data.raw !== undefined && { raw: data.raw }),
+    };
+  });
+}
+
+/**
+ * Remove every quarantined record
+ * @param {Storage} [storage=localStorage] - Storage holding the quarantine
+ * @returns {Promise<void>} Resolves once the data is deleted too
+ */
+export function clearQuarantine(storage = localStorage) {
+  storage.removeItem(LOCAL_STORAGE_KEYS.STORAGE_QUARANTINE);
+  quarantineWrites = quarantineWrites
+    .then(() => clearQuarantinedData())
+    .catch((e) => console.error("Failed to delete quarantined data:", e));
+  return quarantineWrites;
+}
+
+/**
+ * Read a localStorage key, validating it against its schema. Invalid records
+ * are quarantined and removed from the key; an invalid value as a whole is
+ * quarantined and the key removed, so callers fall back to their defaults.
+ * @param {string} key - localStorage key
+ * @param {Storage} [storage=localStorage] - Storage to read
+ * @returns {any} The valid value, or null if missing or invalid
+ */
+export function readStoredValue(key, storage = localStorage) {
+  const raw = storage.getItem(key);
+  const { value, errors, invalidRecords } = checkStoredValue(key, raw);
+
+  if (key === LOCAL_STORAGE_KEYS.STORAGE_QUARANTINE) {
+    // Don't quarantine the quarantine; just drop what can't be read
+    if (errors.length > 0) storage.removeItem(key);
+    else if (invalidRecords.length > 0) {
+      storage.setItem(key, JSON.stringify(value));
+    }
+  } else if (errors.length > 0) {
+    quarantineRecords([{ source: key, errors, raw }], storage);
+    storage.removeItem(key);
+  } else if (invalidRecords.length > 0) {
+    quarantineRecords(
+      invalidRecords.map(({ record, errors: recordErrors }) => ({
+        source: key,
+        errors: recordErrors,
+        record,
+      })),
+      storage
+    );
+    storage.setItem(key, JSON.stringify(value));
+  }
+
+  return value;
+}
+
+/**
+ * Check every localStorage key with a schema
+ * @param {Object} [options]
+ * @param {Storage} [options.storage=localStorage] - Storage to check
+ * @param {boolean} [options.repair=false] - Quarantine invalid data as well
+ *   as reporting it
+ * @returns {Array<Object>} Keys with problems: { key, errors,
+ *   invalidRecords } where invalidRecords is a count
+ */
+export function validateStorage({
+  storage = localStorage,
+  repair = false,
+} = {}) {
+  const problems = [];
+
+  Object.values(LOCAL_STORAGE_KEYS).forEach((key) => {
+    const { errors, invalidRecords } = checkStoredValue(
+      key,
+      storage.getItem(key)
+    );
+    if (errors.length === 0 && invalidRecords.length === 0) return;
+
+    problems.push({ key, errors, invalidRecords: invalidRecords.length });
+    if (repair) readStoredValue(key, storage);
+  });
+
+  return problems;
+}
+
+/**
+ * Check a review set and its reviews against their schemas
+ * @param {Object} set - Review set from getReviewSet
+ * @returns {Object} { errors, invalidReviews, value }: problems with the
+ *   set's metadata, reviews that failed as { record, errors }, and the set
+ *   with only its valid reviews
+ */
+export function checkReviewSet(set) {
+  const { errors } = checkShape(REVIEW_SET_SCHEMA, set, "reviewSet");
+  if (!Array.isArray(set?.reviews)) {
+    errors.push("reviewSet.reviews must be an array");
+  }
+  if (errors.length > 0) return { errors, invalidReviews: [], value: null };
+
+  const reviews = [];
+  const invalidReviews = [];
+  set.reviews.forEach((review, i) => {
+    const result = checkShape(REVIEW_SCHEMA, review, `reviews[${i}]`);
+    if (result.errors.length > 0) {
+      invalidReviews.push({ record: review, errors: result.errors });
+    } else {
+      reviews.push(review);
+    }
+  });
+
+  return { errors, invalidReviews, value: { ...set, reviews } };
+}
+
+/**
+ * Validate a review set read from the cache. Invalid reviews are quarantined
+ * and the set is saved without them; a set whose metadata is invalid is
+ * treated as missing.
+ * @param {Object|null} set - Review set from getReviewSet
+ * @returns {Promise<Object|null>} The valid set, or null
+ */
+export async function validateReviewSet(set) {
+  if (!set) return null;
+
+  const { errors, invalidReviews, value } = checkReviewSet(set);
+  const source = `review cache ${set.cacheKey || "(unknown)"}`;
+
+  if (errors.length > 0) {
+    // Review sets can be large; keep only the metadata
+    const { reviews, ...meta } = set;
+    quarantineRecords([{ source, errors, record: meta }]);
+    return null;
+  }
+
+  if (invalidReviews.length > 0) {
+    quarantineRecords(
+      invalidReviews.map(({ record, errors: reviewErrors }) => ({
+        source,
+        errors: reviewErrors,
+        record,
+      }))
+    );
+    try {
+      await putReviewSet(value.cacheKey, value.employerId, value);
+    } catch (e) {
+      console.error(`Failed to save repaired review cache ${source}:`, e);
+    }
+  }
+
+  return value;
+}
+
+/**
+ * Check every cached review set
+ * @param {Object} [options]
+ * @param {boolean} [options.repair=false] - Quarantine invalid data as well
+ *   as reporting it: invalid reviews are removed from their set, and sets
+ *   whose metadata is invalid are deleted
+ * @returns {Promise<Array<Object>>} Sets with problems: { cacheKey, errors,
+ *   invalidReviews } where invalidReviews is a count
+ */
+export async function validateReviewCaches({ repair = false } = {}) {
+  const problems = [];
+
+  for (const meta of await listReviewSets()) {
+    const set = await getReviewSet(meta.cacheKey);
+    const { errors, invalidReviews } = checkReviewSet(set);
+    if (errors.length === 0 && invalidReviews.length === 0) continue;
+
+    problems.push({
+      cacheKey: meta.cacheKey,
+      errors: [...errors, ...invalidReviews.flatMap((review) => review.errors)],
+      invalidReviews: invalidReviews.length,
+    });
+    if (repair) {
+      const valid = await validateReviewSet(set);
+      if (!valid) await deleteReviewSet(meta.cacheKey);
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Report everything stored that doesn't match its schema, without changing
+ * anything
+ * @returns {Promise<Object>} { checkedAt, storage, reviewCaches, quarantine }
+ *   where storage comes from validateStorage, reviewCaches from
+ *   validateReviewCaches and quarantine from getQuarantinedRecords
+ */
+export async function getStorageDiagnostics() {
+  let reviewCaches;
+  try {
+    reviewCaches = await validateReviewCaches();
+  } catch (e) {
+    reviewCaches = [
+      {
+        cacheKey: "*",
+        errors: [`Review caches could not be read: ${e.message}`],
+        invalidReviews: 0,
+      },
+    ];
+  }
+
+  return {
+    checkedAt: new Date().toISOString(),
+    storage: validateStorage(),
+    reviewCaches,
+    quarantine: await getQuarantinedRecords(),
+  };
+}
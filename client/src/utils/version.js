@@ -3,129 +3,122 @@
  * This module handles version tracking, comparison, and migration requirements
  */
 
+import versionHistory from "../../../shared/versionHistory.json";
+
 /**
- * Current application version using semantic versioning
- * Format: MAJOR.MINOR.PATCH-LABEL
+ * Current application version using semantic versioning (SemVer 2.0)
+ * Format: MAJOR.MINOR.PATCH-LABEL+BUILD
  * - MAJOR: Breaking changes that require data migration
  * - MINOR: New features, backward compatible
  * - PATCH: Bug fixes, backward compatible
- * - LABEL: Optional label like 'alpha', 'beta', etc.
+ * - LABEL: Optional prerelease label like 'alpha', 'beta.2', etc.
+ * - BUILD: Optional build metadata like 'sha.5114f85'; ignored when comparing
+ *
+ * The version and its history live in shared/versionHistory.json, which the
+ * server also reads to publish the deployed version
  */
-export const APP_VERSION = "1.0.0-beta1";
+export const APP_VERSION = versionHistory.version;
 
 /**
- * History of versions with their migration requirements
+ * Declarative migration specs (see migrationOperations.js) by version, used
+ * when migrations.js has no migration for that version. They live here rather
+ * than in shared/versionHistory.json because operations such as `transform`
+ * and `rekeyCaches` take functions, which JSON can't hold.
+ * Example:
+ * '1.1.0': [
+ *   { op: 'renameField', key: 'companies', from: 'industry', to: 'sector' },
+ *   { op: 'addField', key: 'companies', field: 'tags', value: () => [] },
+ * ],
+ */
+export const VERSION_OPERATIONS = {};
+
+/**
+ * History of versions with their migration requirements, newest first
  * For each version that requires migration, specify:
  * - version: the version string
  * - requiresMigration: whether this version requires migration from previous versions
- * - migrateFrom: array of version strings that can be migrated from
- * - storageKeys: which localStorage keys need migration or deletion
+ * - migrateFrom: array of versions or ranges (see satisfiesRange) that can be
+ *   migrated from
+ * - storageKeys: which localStorage keys need migration or deletion, where
+ *   `reviews_*` covers every review cache
+ * - operations: declarative migration spec from VERSION_OPERATIONS, if the
+ *   version has one
+ * - notes: summary of the version
  * - changes: array of changes made in this version (for documentation)
  * - breaking: boolean indicating if this contains breaking changes
  */
-export const VERSION_HISTORY = [
-  {
-    version: "1.0.0-beta1",
-    requiresMigration: false, // First version doesn't migrate from anything
-    migrateFrom: [],
-    storageKeys: [
-      // Core data storage
-      "companies",
-      "app_version",
-      // UI Settings - ReviewsTable component
-      "reviewsTableColumnOrder",
-      "reviewsTableColumnVisibility",
-      "reviewsTableColumnOrderCompare",
-      "reviewsTableColumnVisibilityCompare",
-      // UI Settings - SentimentCharts component
-      "sentimentChartsOrder",
-      "sentimentChartsHidden",
-      "sentimentChartsOrderCompare",
-      "sentimentChartsHiddenCompare",
-    ],
-    // Any notes about this version
-    notes: "Polishes several aspects of the app, adds ability to create issues",
-    changes: [
-      "Added ability to report bugs and request features",
-      "Added manual refresh icon in company management modal",
-      "Added user guidance and ability to purge local storage",
-      "Completed rebranding",
-    ],
-    breaking: false,
-  },
-  {
-    version: "1.0.0-alpha",
-    requiresMigration: false, // First version doesn't migrate from anything
-    migrateFrom: [],
-    storageKeys: [
-      // Core data storage
-      "companies",
-      "app_version",
-      // Review cache keys for default companies
-      "reviews_1651", // Google
-      "reviews_1138", // Apple
-      "reviews_1651639", // Microsoft
-      "reviews_40772", // Meta
-      "reviews_6036", // Amazon
-      // UI Settings - ReviewsTable component
-      "reviewsTableColumnOrder",
-      "reviewsTableColumnVisibility",
-      "reviewsTableColumnOrderCompare",
-      "reviewsTableColumnVisibilityCompare",
-      // UI Settings - SentimentCharts component
-      "sentimentChartsOrder",
-      "sentimentChartsHidden",
-      "sentimentChartsOrderCompare",
-      "sentimentChartsHiddenCompare",
-    ],
-    // Any notes about this version
-    notes: "Initial version with version tracking capability",
-    changes: [
-      "Added version tracking system",
-      "Local storage migration framework",
-    ],
-    breaking: false,
-  },
-  // Example of how to add future versions:
-  // {
-  //   version: "1.1.0-alpha",
-  //   requiresMigration: true,
-  //   migrateFrom: ["1.0.0-alpha"],
-  //   storageKeys: ["companies"],
-  //   notes: "Updated company data schema",
-  //   changes: [
-  //     "Added industry categories to companies",
-  //     "Added timestamps to company records"
-  //   ],
-  //   breaking: false
-  // },
-  // Future versions will be added here as the app evolves
-];
+export const VERSION_HISTORY = versionHistory.history.map((entry) =>
+  VERSION_OPERATIONS[entry.version]
+    ? { ...entry, operations: VERSION_OPERATIONS[entry.version] }
+    : entry
+);
+
+/**
+ * A SemVer 2.0 version: MAJOR.MINOR.PATCH, an optional prerelease of
+ * dot-separated identifiers after `-`, and optional build metadata after `+`
+ */
+export const SEMVER_PATTERN =
+  /^(0|[1-9]\d*)\.(0|[1-9]\d*)\.(0|[1-9]\d*)(?:-((?:0|[1-9]\d*|\d*[a-zA-Z-][0-9a-zA-Z-]*)(?:\.(?:0|[1-9]\d*|\d*[a-zA-Z-][0-9a-zA-Z-]*))*))?(?:\+([0-9a-zA-Z-]+(?:\.[0-9a-zA-Z-]+)*))?$/;
 
 /**
  * Parse a version string into its components
- * @param {string} versionStr - Version string (e.g., '1.0.0-alpha')
- * @returns {Object} Parsed version object
+ * @param {string} versionStr - Version string (e.g., '1.0.0-alpha',
+ *   '1.2.0-rc.1+sha.5114f85')
+ * @returns {Object} Parsed version object: major, minor, patch, the
+ *   prerelease `label` (or null) and its `prerelease` identifiers (numeric
+ *   ones as numbers), `build` metadata (or null), and the raw string
  */
 export function parseVersion(versionStr) {
-  // Match format: MAJOR.MINOR.PATCH-LABEL
-  const match = versionStr.match(/^(\d+)\.(\d+)\.(\d+)(?:-(.+))?$/);
+  const match = String(versionStr).match(SEMVER_PATTERN);
 
   if (!match) {
     throw new Error(`Invalid version format: ${versionStr}`);
   }
 
+  const label = match[4] ?? null;
   return {
     major: parseInt(match[1], 10),
     minor: parseInt(match[2], 10),
     patch: parseInt(match[3], 10),
-    label: match[4] || null,
+    label,
+    prerelease: label
+      ? label.split(".").map((id) => (/^\d+$/.test(id) ? parseInt(id, 10) : id))
+      : [],
+    build: match[5] ?? null,
     raw: versionStr,
   };
 }
 
 /**
- * Compare two version strings
+ * Compare two prerelease identifiers
+ * Numeric identifiers compare numerically and sort before alphanumeric ones,
+ * which compare in ASCII order. Labels written before gc/bc followed SemVer
+ * run a number into a word (`beta2`); when two identifiers share the same
+ * word, their numbers are compared instead, so `beta2` < `beta10` as it
+ * would be for `beta.2` < `beta.10`.
+ * @param {number|string} a - First identifier
+ * @param {number|string} b - Second identifier
+ * @returns {number} -1, 0 or 1
+ */
+function compareIdentifiers(a, b) {
+  const aNumeric = typeof a === "number";
+  const bNumeric = typeof b === "number";
+  if (aNumeric && bNumeric) return a === b ? 0 : a > b ? 1 : -1;
+  if (aNumeric) return -1;
+  if (bNumeric) return 1;
+
+  const aParts = a.match(/^(\D+)(\d+)$/);
+  const bParts = b.match(/^(\D+)(\d+)$/);
+  if (aParts && bParts && aParts[1] === bParts[1]) {
+    return compareIdentifiers(parseInt(aParts[2], 10), parseInt(bParts[2], 10));
+  }
+
+  return a === b ? 0 : a > b ? 1 : -1;
+}
+
+/**
+ * Compare two version strings by SemVer 2.0 precedence. Build metadata is
+ * ignored, so 1.0.0+a and 1.0.0+b are equal.
  * @param {string} versionA - First version to compare
  * @param {string} versionB - Second version to compare
  * @returns {number} -1 if versionA < versionB, 0 if equal, 1 if versionA > versionB
@@ -139,14 +132,79 @@ export function compareVersions(versionA, versionB) {
   if (a.minor !== b.minor) return a.minor > b.minor ? 1 : -1;
   if (a.patch !== b.patch) return a.patch > b.patch ? 1 : -1;
 
-  // If we get here, the numeric parts are equal, so compare labels
-  // No label > any label (e.g., 1.0.0 > 1.0.0-alpha)
+  // If we get here, the numeric parts are equal, so compare prereleases
+  // No prerelease > any prerelease (e.g., 1.0.0 > 1.0.0-alpha)
   if (a.label === null && b.label !== null) return 1;
   if (a.label !== null && b.label === null) return -1;
-  if (a.label === b.label) return 0;
 
-  // Both have labels, compare them alphabetically
-  return a.label > b.label ? 1 : -1;
+  // Compare identifier by identifier; when one runs out first, the shorter
+  // prerelease is lower (e.g., 1.0.0-alpha < 1.0.0-alpha.1)
+  const length = Math.max(a.prerelease.length, b.prerelease.length);
+  for (let i = 0; i < length; i++) {
+    if (i >= a.prerelease.length) return -1;
+    if (i >= b.prerelease.length) return 1;
+    const result = compareIdentifiers(a.prerelease[i], b.prerelease[i]);
+    if (result !== 0) return result;
+  }
+
+  return 0;
+}
+
+/**
+ * Check whether a version is in a range. A range is one or more comparator
+ * sets separated by `||`; a set matches when every comparator in it does.
+ * Comparators are a version optionally preceded by `>`, `>=`, `<`, `<=` or
+ * `=`, e.g. `>=1.0.0-alpha <1.1.0 || 2.0.0`. Comparison is by precedence
+ * alone, so unlike npm ranges, `<1.1.0` includes `1.1.0-alpha`.
+ * @param {string} version - Version to check
+ * @param {string} range - Range to check it against
+ * @returns {boolean} Whether the version is in the range
+ */
+export function satisfiesRange(version, range) {
+  return range.split("||").some((set) => {
+    const comparators = set.trim().split(/\s+/).filter(Boolean);
+    if (comparators.length === 0) {
+      throw new Error(`Invalid version range: ${range}`);
+    }
+
+    return comparators.every((comparator) => {
+      const [, operator, target] = comparator.match(/^(>=|<=|>|<|=)?(.+)$/);
+      const result = compareVersions(version, target);
+      switch (operator) {
+        case ">":
+          return result > 0;
+        case ">=":
+          return result >= 0;
+        case "<":
+          return result < 0;
+        case "<=":
+          return result <= 0;
+        default:
+          return result === 0;
+      }
+    });
+  });
+}
+
+/**
+ * Check whether a version can be migrated from, according to a version's
+ * `migrateFrom` list of versions and ranges
+ * @param {string} version - Version migrating from
+ * @param {Array<string>} migrateFrom - Versions and ranges
+ * @returns {boolean} Whether any entry matches
+ */
+export function matchesMigrateFrom(version, migrateFrom = []) {
+  return migrateFrom.some((entry) => satisfiesRange(version, entry));
+}
+
+/**
+ * Find a version in VERSION_HISTORY by precedence, so build metadata doesn't
+ * matter
+ * @param {string} version - Version to find
+ * @returns {Object|undefined} The version's entry, if there is one
+ */
+export function findVersionInfo(version) {
+  return VERSION_HISTORY.find((v) => compareVersions(v.version, version) === 0);
 }
 
 /**
@@ -157,24 +215,23 @@ export function compareVersions(versionA, versionB) {
  */
 export function needsMigration(fromVersion, toVersion) {
   // If versions are the same, no migration is needed
-  if (fromVersion === toVersion) return false;
+  if (compareVersions(fromVersion, toVersion) === 0) return false;
 
   // If moving to a higher version, check if migration is required
   if (compareVersions(fromVersion, toVersion) < 0) {
     // Find the target version in history
-    const targetVersionInfo = VERSION_HISTORY.find(
-      (v) => v.version === toVersion
-    );
+    const targetVersionInfo = findVersionInfo(toVersion);
     if (!targetVersionInfo) return false; // Unknown version
 
     // Check if this version requires migration
     return (
       targetVersionInfo.requiresMigration &&
-      targetVersionInfo.migrateFrom.includes(fromVersion)
+      matchesMigrateFrom(fromVersion, targetVersionInfo.migrateFrom)
     );
   }
 
-  // Downgrading is not officially supported, but we'll assume it needs migration
+  // Downgrades always need handling: reverse migrations, or quarantining data
+  // this version can't read (see executeMigrations)
   return true;
 }
 
@@ -186,7 +243,7 @@ export function needsMigration(fromVersion, toVersion) {
  */
 export function getMigrationPath(fromVersion, toVersion) {
   // If the versions are the same, no migration path is needed
-  if (fromVersion === toVersion) return [];
+  if (compareVersions(fromVersion, toVersion) === 0) return [];
 
   // Sort version history by version (oldest first)
   const sortedVersions = [...VERSION_HISTORY].sort((a, b) =>
@@ -194,8 +251,12 @@ export function getMigrationPath(fromVersion, toVersion) {
   );
 
   // Find indices of the from and to versions
-  const fromIndex = sortedVersions.findIndex((v) => v.version === fromVersion);
-  const toIndex = sortedVersions.findIndex((v) => v.version === toVersion);
+  const fromIndex = sortedVersions.findIndex(
+    (v) => compareVersions(v.version, fromVersion) === 0
+  );
+  const toIndex = sortedVersions.findIndex(
+    (v) => compareVersions(v.version, toVersion) === 0
+  );
 
   // If either version is not found in history, we can't determine a path
   if (fromIndex === -1 || toIndex === -1) {
@@ -203,10 +264,27 @@ export function getMigrationPath(fromVersion, toVersion) {
     return [];
   }
 
-  // Return all versions that require migration between from and to
+  // Return the versions between from and to whose migrations apply to data
+  // saved by fromVersion
   return sortedVersions
     .slice(fromIndex + 1, toIndex + 1)
-    .filter((v) => v.requiresMigration);
+    .filter(
+      (v) =>
+        v.requiresMigration && matchesMigrateFrom(fromVersion, v.migrateFrom)
+    );
+}
+
+/**
+ * Get the versions whose migrations must be undone to go back from a newer
+ * version to an older one
+ * @param {string} fromVersion - Newer version the data was saved by
+ * @param {string} toVersion - Older version to go back to
+ * @returns {Array|null} Array of version objects to undo, newest first, or
+ *   null if fromVersion isn't in the history (it was saved by a newer build)
+ */
+export function getDowngradePath(fromVersion, toVersion) {
+  if (!findVersionInfo(fromVersion)) return null;
+  return getMigrationPath(toVersion, fromVersion).reverse();
 }
 
 /**
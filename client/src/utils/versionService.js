@@ -3,19 +3,20 @@
  * This module provides functions to track and update app version in local storage
  */
 
-import { APP_VERSION, compareVersions } from "./version";
+import { APP_VERSION, VERSION_HISTORY, compareVersions } from "./version";
 import { checkMigrationNeeded, executeMigrations } from "./migrations";
 import { LOCAL_STORAGE_KEYS } from "./localStorageService";
+import { readStoredValue } from "./storageSchemas";
 
 // Key for storing app version in localStorage
 export const VERSION_STORAGE_KEY = LOCAL_STORAGE_KEYS.APP_VERSION;
 
 /**
  * Get the stored app version from localStorage
- * @returns {string|null} Stored version or null if not set
+ * @returns {string|null} Stored version or null if not set or malformed
  */
 export const getStoredVersion = () => {
-  return localStorage.getItem(VERSION_STORAGE_KEY);
+  return readStoredValue(VERSION_STORAGE_KEY);
 };
 
 /**
@@ -27,6 +28,39 @@ export const saveCurrentVersion = () => {
   return APP_VERSION;
 };
 
+/**
+ * Get the version whose changes the user has last seen in the changelog
+ * @returns {string|null} Last seen version or null if not set or malformed
+ */
+export const getLastSeenVersion = () => {
+  return readStoredValue(LOCAL_STORAGE_KEYS.LAST_SEEN_VERSION);
+};
+
+/**
+ * Record that the user has seen the changes up to the current version
+ * @returns {string} The saved version
+ */
+export const markVersionSeen = () => {
+  localStorage.setItem(LOCAL_STORAGE_KEYS.LAST_SEEN_VERSION, APP_VERSION);
+  return APP_VERSION;
+};
+
+/**
+ * Get the versions released since the user last saw the changelog, up to
+ * the current version
+ * @returns {Array} Version objects from VERSION_HISTORY, newest first
+ */
+export const getUnseenVersions = () => {
+  const lastSeenVersion = getLastSeenVersion();
+  if (!lastSeenVersion) return [];
+
+  return VERSION_HISTORY.filter(
+    (v) =>
+      compareVersions(v.version, lastSeenVersion) > 0 &&
+      compareVersions(v.version, APP_VERSION) <= 0
+  );
+};
+
 /**
  * Check if app is running for the first time or has been updated
  * @returns {Object} Status object with:
@@ -64,19 +98,63 @@ export const checkVersionStatus = () => {
 
 /**
  * Initialize version tracking and run migrations if needed
+ * Downgrades (a stored version newer than this one) go through the same
+ * path: reverse migrations run if there are any, and otherwise data this
+ * version can't read is quarantined before the older version is saved.
+ * Migrations are previewed with a dry run first. If the preview shows a
+ * destructive operation, nothing runs until this is called again with
+ * confirmDestructive; the status then has awaitingConfirmation set.
+ * @param {Object} [options]
+ * @param {boolean} [options.confirmDestructive=false] - The user has seen
+ *   the preview and agreed to run destructive migrations
  * @returns {Promise<Object>} Result of initialization with migration status
+ *   and the dry-run migrationPreview
  */
-export const initializeVersioning = async () => {
+export const initializeVersioning = async ({
+  confirmDestructive = false,
+} = {}) => {
   const status = checkVersionStatus();
 
-  // If this is an update, check and run migrations
-  if (status.updated && status.isNewer) {
+  // Versions released since the last visit count as unseen; new users have
+  // nothing to catch up on
+  if (!getLastSeenVersion()) {
+    localStorage.setItem(
+      LOCAL_STORAGE_KEYS.LAST_SEEN_VERSION,
+      status.fromVersion || APP_VERSION
+    );
+  }
+
+  // If this is an update or a downgrade, check and run migrations
+  if (status.updated) {
     const migrationNeeded = await checkMigrationNeeded(status.fromVersion);
 
     if (migrationNeeded) {
-      console.log(
-        `Migration needed from v${status.fromVersion} to v${APP_VERSION}`
-      );
+      if (status.isOlder) {
+        console.warn(
+          `Downgrading from v${status.fromVersion} to v${APP_VERSION}`
+        );
+      } else {
+        console.log(
+          `Migration needed from v${status.fromVersion} to v${APP_VERSION}`
+        );
+      }
+
+      // Preview the migrations and hold back any that would delete data
+      const migrationPreview = await executeMigrations(status.fromVersion, {
+        dryRun: true,
+      });
+      if (migrationPreview.destructive && !confirmDestructive) {
+        console.warn(
+          `Migration to v${APP_VERSION} deletes data; waiting for the user to confirm`
+        );
+        return {
+          ...status,
+          migrationNeeded,
+          migrationPreview,
+          awaitingConfirmation: true,
+          migrationResult: null,
+        };
+      }
 
       // Execute migrations from the old version to the current version
       const migrationResult = await executeMigrations(status.fromVersion);
@@ -89,11 +167,17 @@ export const initializeVersioning = async () => {
         saveCurrentVersion();
       } else {
         console.error(`Migration failed:`, migrationResult.message);
+        if (migrationResult.rolledBack) {
+          console.warn(
+            `Data restored to its v${status.fromVersion} state; the migration will be retried on the next load`
+          );
+        }
       }
 
       return {
         ...status,
         migrationNeeded,
+        migrationPreview,
         migrationResult,
       };
     } else {
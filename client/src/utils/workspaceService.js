@@ -0,0 +1,212 @@
+/**
+ * Workspace export and import for gc/bc
+ * A workspace bundle is a single JSON file holding every localStorage key in
+ * LOCAL_STORAGE_KEYS, the APP_VERSION it was exported from and, optionally,
+ * the review caches. Bundles from older versions are migrated on import.
+ */
+
+import { APP_VERSION, compareVersions, parseVersion } from "./version";
+import { LOCAL_STORAGE_KEYS } from "./localStorageService";
+import { executeMigrations, reviewCacheHelpers } from "./migrations";
+import { saveCurrentVersion } from "./versionService";
+import { getReviewSet, putReviewSet } from "./reviewDb";
+import { createMemoryStorage } from "./migrationDryRun";
+
+export const WORKSPACE_BUNDLE_FORMAT = "gcbc-workspace";
+export const WORKSPACE_BUNDLE_FORMAT_VERSION = 1;
+
+// Keys that describe this installation rather than the workspace
+const EXCLUDED_KEYS = [
+  LOCAL_STORAGE_KEYS.APP_VERSION,
+  LOCAL_STORAGE_KEYS.LAST_SEEN_VERSION,
+  LOCAL_STORAGE_KEYS.MIGRATION_HISTORY,
+  LOCAL_STORAGE_KEYS.MIGRATION_ADDED_FIELDS,
+  LOCAL_STORAGE_KEYS.STORAGE_QUARANTINE,
+];
+
+const getWorkspaceKeys = () =>
+  Object.values(LOCAL_STORAGE_KEYS).filter(
+    (key) => !EXCLUDED_KEYS.includes(key)
+  );
+
+/**
+ * Build a workspace bundle from the current browser's data
+ * @param {Object} [options]
+ * @param {boolean} [options.includeReviewCaches=false] - Include cached reviews
+ * @returns {Promise<Object>} The workspace bundle
+ */
+export async function exportWorkspace({ includeReviewCaches = false } = {}) {
+  const storage = {};
+  getWorkspaceKeys().forEach((key) => {
+    const value = localStorage.getItem(key);
+    if (value !== null) storage[key] = value;
+  });
+
+  const bundle = {
+    format: WORKSPACE_BUNDLE_FORMAT,
+    formatVersion: WORKSPACE_BUNDLE_FORMAT_VERSION,
+    appVersion: APP_VERSION,
+    exportedAt: new Date().toISOString(),
+    storage,
+  };
+
+  if (includeReviewCaches) {
+    bundle.reviewCaches = [];
+    for (const key of await reviewCacheHelpers.findAllKeys()) {
+      const set = await getReviewSet(key);
+      if (set) bundle.reviewCaches.push(set);
+    }
+  }
+
+  return bundle;
+}
+
+/**
+ * Save a workspace bundle as a JSON file download
+ * @param {Object} bundle - Bundle from exportWorkspace
+ */
+export function downloadWorkspace(bundle) {
+  const date = bundle.exportedAt.slice(0, 10);
+  const blob = new Blob([JSON.stringify(bundle)], {
+    type: "application/json",
+  });
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(blob);
+  link.download = `gcbc-workspace-${date}.json`;
+  link.click();
+  URL.revokeObjectURL(link.href);
+}
+
+/**
+ * Check that a parsed file is a workspace bundle this version can import
+ * @param {any} bundle - Parsed bundle
+ * @returns {Array<string>} Problems found; empty if the bundle is usable
+ */
+export function validateWorkspaceBundle(bundle) {
+  if (!bundle || typeof bundle !== "object" || Array.isArray(bundle)) {
+    return ["File is not a gc/bc workspace"];
+  }
+
+  const errors = [];
+  if (bundle.format !== WORKSPACE_BUNDLE_FORMAT) {
+    errors.push("File is not a gc/bc workspace");
+  }
+  if (bundle.formatVersion > WORKSPACE_BUNDLE_FORMAT_VERSION) {
+    errors.push("Workspace was exported by a newer version of gc/bc");
+  }
+
+  try {
+    parseVersion(bundle.appVersion);
+    if (compareVersions(bundle.appVersion, APP_VERSION) > 0) {
+      errors.push(
+        `Workspace is from v${bundle.appVersion}, newer than this app (v${APP_VERSION})`
+      );
+    }
+  } catch (e) {
+    errors.push("Workspace has an invalid app version");
+  }
+
+  if (!bundle.storage || typeof bundle.storage !== "object") {
+    errors.push("Workspace has no stored data");
+  } else if (
+    Object.values(bundle.storage).some((value) => typeof value !== "string")
+  ) {
+    errors.push("Workspace stored data is malformed");
+  }
+
+  if (
+    bundle.reviewCaches !== undefined &&
+    !Array.isArray(bundle.reviewCaches)
+  ) {
+    errors.push("Workspace review caches are malformed");
+  }
+
+  return errors;
+}
+
+/**
+ * Write a bundle's workspace keys over a storage's, as importing it would;
+ * keys missing from the bundle go back to their defaults
+ * @param {Object} bundle - Validated workspace bundle
+ * @param {Storage} storage - Storage to write to
+ * @returns {Array<string>} Keys taken from the bundle
+ */
+function writeWorkspaceKeys(bundle, storage) {
+  const workspaceKeys = getWorkspaceKeys();
+  workspaceKeys.forEach((key) => storage.removeItem(key));
+  const importedKeys = Object.keys(bundle.storage).filter((key) =>
+    workspaceKeys.includes(key)
+  );
+  importedKeys.forEach((key) => storage.setItem(key, bundle.storage[key]));
+  storage.setItem(LOCAL_STORAGE_KEYS.APP_VERSION, bundle.appVersion);
+  return importedKeys;
+}
+
+/**
+ * Replace this browser's workspace with a bundle's contents. Bundles from
+ * older versions are run through the migration pipeline afterwards. Their
+ * migrations are previewed first, as on load, and if they would delete data
+ * nothing is imported until the user confirms.
+ * @param {Object} bundle - Parsed workspace bundle
+ * @param {Object} [options]
+ * @param {boolean} [options.confirmDestructive=false] - Import even if the
+ *   migrations delete data
+ * @returns {Promise<Object>} { success, message, importedKeys, reviewCaches,
+ *   migrationPreview, migrationResult }, or { awaitingConfirmation,
+ *   migrationPreview } when destructive migrations need confirming
+ */
+export async function importWorkspace(
+  bundle,
+  { confirmDestructive = false } = {}
+) {
+  const errors = validateWorkspaceBundle(bundle);
+  if (errors.length > 0) {
+    return { success: false, message: errors[0], errors };
+  }
+
+  // Preview the migrations against the imported data before touching the
+  // real workspace
+  const previewStorage = createMemoryStorage();
+  writeWorkspaceKeys(bundle, previewStorage);
+  const migrationPreview = await executeMigrations(bundle.appVersion, {
+    dryRun: true,
+    source: previewStorage,
+  });
+  if (migrationPreview.destructive && !confirmDestructive) {
+    return {
+      success: false,
+      awaitingConfirmation: true,
+      message: `Migrating this workspace from v${bundle.appVersion} would delete data`,
+      migrationPreview,
+    };
+  }
+
+  const importedKeys = writeWorkspaceKeys(bundle, localStorage);
+
+  let reviewCaches = 0;
+  if (bundle.reviewCaches) {
+    await reviewCacheHelpers.clearAllCache();
+    for (const set of bundle.reviewCaches) {
+      if (!set?.cacheKey || !Array.isArray(set.reviews)) continue;
+      await putReviewSet(set.cacheKey, set.employerId, set);
+      reviewCaches++;
+    }
+  }
+
+  // The data now matches the bundle's version; migrate it up to this one
+  const migrationResult = await executeMigrations(bundle.appVersion);
+  if (migrationResult.success) {
+    saveCurrentVersion();
+  }
+
+  return {
+    success: migrationResult.success,
+    message: migrationResult.success
+      ? `Imported workspace from v${bundle.appVersion}`
+      : `Imported workspace, but migrating it failed: ${migrationResult.message}`,
+    importedKeys,
+    reviewCaches,
+    migrationPreview,
+    migrationResult,
+  };
+}
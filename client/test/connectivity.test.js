@@ -0,0 +1,69 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import {
+  getConnectivityStatus,
+  runWhenOnline,
+  subscribeToConnectivity,
+} from "../src/utils/connectivity";
+
+const goOnline = () => {
+  navigator.onLine = true;
+  window.dispatchEvent(new Event("online"));
+};
+
+describe("runWhenOnline", () => {
+  beforeEach(() => {
+    vi.stubGlobal("window", new EventTarget());
+    vi.stubGlobal("navigator", { onLine: false });
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it("runs tasks straight away when online", async () => {
+    navigator.onLine = true;
+
+    await expect(runWhenOnline("Search", async () => "results")).resolves.toBe(
+      "results"
+    );
+  });
+
+  it("queues tasks while offline and runs them in order once online", async () => {
+    const statuses = [];
+    const unsubscribe = subscribeToConnectivity((status) =>
+      statuses.push(status)
+    );
+    const ran = [];
+    const first = runWhenOnline("First", async () => ran.push("first"));
+    const second = runWhenOnline("Second", async () => ran.push("second"));
+
+    expect(getConnectivityStatus()).toEqual({
+      online: false,
+      queued: ["First", "Second"],
+    });
+    expect(ran).toEqual([]);
+
+    goOnline();
+    await Promise.all([first, second]);
+
+    expect(ran).toEqual(["first", "second"]);
+    expect(getConnectivityStatus()).toEqual({ online: true, queued: [] });
+    expect(statuses.at(-1).queued).toEqual([]);
+    unsubscribe();
+  });
+
+  it("drops queued tasks that are cancelled", async () => {
+    const controller = new AbortController();
+    const task = vi.fn();
+    const queued = runWhenOnline("Refresh", task, {
+      signal: controller.signal,
+    });
+
+    controller.abort();
+
+    await expect(queued).rejects.toMatchObject({ name: "AbortError" });
+    expect(getConnectivityStatus().queued).toEqual([]);
+    goOnline();
+    expect(task).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,78 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { SYNC_TOPICS, subscribeToChanges } from "../src/utils/crossTabSync";
+import { LOCAL_STORAGE_KEYS } from "../src/utils/localStorageService";
+
+// What the browser fires in this tab when another tab writes localStorage
+const storageEvent = (key, newValue) =>
+  Object.assign(new Event("storage"), {
+    key,
+    newValue,
+    storageArea: localStorage,
+  });
+
+describe("subscribeToChanges", () => {
+  const topics = [
+    LOCAL_STORAGE_KEYS.COMPANIES,
+    LOCAL_STORAGE_KEYS.REVIEW_FILTERS,
+    LOCAL_STORAGE_KEYS.REVIEW_CACHE_SETTINGS,
+    SYNC_TOPICS.REVIEW_CACHE,
+  ];
+
+  beforeEach(() => {
+    vi.stubGlobal("window", new EventTarget());
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it("delivers review filter and cache setting changes from other tabs", () => {
+    const changes = [];
+    const unsubscribe = subscribeToChanges(topics, (topic, detail) =>
+      changes.push([topic, detail])
+    );
+
+    window.dispatchEvent(
+      storageEvent(LOCAL_STORAGE_KEYS.REVIEW_FILTERS, '{"jobTitle":"Nurse"}')
+    );
+    window.dispatchEvent(
+      storageEvent(LOCAL_STORAGE_KEYS.REVIEW_CACHE_SETTINGS, '{"ttlHours":1}')
+    );
+    window.dispatchEvent(
+      storageEvent(LOCAL_STORAGE_KEYS.LAST_SEEN_VERSION, "1.0.0")
+    );
+    window.dispatchEvent(storageEvent(null, null));
+    unsubscribe();
+    window.dispatchEvent(storageEvent(LOCAL_STORAGE_KEYS.REVIEW_FILTERS, "{}"));
+
+    expect(changes).toEqual([
+      [LOCAL_STORAGE_KEYS.REVIEW_FILTERS, { newValue: '{"jobTitle":"Nurse"}' }],
+      [
+        LOCAL_STORAGE_KEYS.REVIEW_CACHE_SETTINGS,
+        { newValue: '{"ttlHours":1}' },
+      ],
+      ...topics.map((topic) => [topic, { cleared: true }]),
+    ]);
+  });
+
+  it("delivers pinning changes to review sets from other tabs", async () => {
+    const received = new Promise((resolve) => {
+      const unsubscribe = subscribeToChanges(topics, (topic, detail) => {
+        unsubscribe();
+        resolve([topic, detail]);
+      });
+    });
+
+    const otherTab = new BroadcastChannel("gcbc-sync");
+    otherTab.postMessage({
+      topic: SYNC_TOPICS.REVIEW_CACHE,
+      detail: { action: "update", cacheKey: "reviews_1651" },
+    });
+    otherTab.close();
+
+    await expect(received).resolves.toEqual([
+      SYNC_TOPICS.REVIEW_CACHE,
+      { action: "update", cacheKey: "reviews_1651" },
+    ]);
+  });
+});
@@ -0,0 +1,126 @@
+import { beforeEach, describe, expect, it } from "vitest";
+import { APP_VERSION } from "../src/utils/version";
+import { executeMigrations, migrationLogger } from "../src/utils/migrations";
+import { reviewMigrations } from "../src/utils/migrationStrategies";
+import {
+  getReviewSet,
+  listMigrationSnapshots,
+  listReviewSets,
+  putReviewSet,
+} from "../src/utils/reviewDb";
+import { getQuarantinedRecords } from "../src/utils/storageSchemas";
+import { readStorage, resetStorage } from "./migrationHarness";
+
+const logger = migrationLogger.forVersion("test");
+
+// A version this build has never heard of
+const NEWER_VERSION = "9.0.0";
+
+describe("downgrading", () => {
+  beforeEach(resetStorage);
+
+  it("quarantines data a newer version saved that this one can't read", async () => {
+    localStorage.setItem("app_version", NEWER_VERSION);
+    localStorage.setItem(
+      "companies",
+      JSON.stringify([
+        { id: 1651, name: "Google", industry: "Internet" },
+        { id: 40772, displayName: "Meta" },
+      ])
+    );
+
+    const result = await executeMigrations(NEWER_VERSION);
+    const storage = readStorage();
+
+    expect(result.success, result.message).toBe(true);
+    expect(result.downgrade).toBe(true);
+    expect(result.reversed).toBe(false);
+    // Unknown fields are kept; records missing required ones are not
+    expect(storage.companies).toEqual([
+      { id: 1651, name: "Google", industry: "Internet" },
+    ]);
+    // localStorage only keeps a summary; the record itself is in IndexedDB
+    expect(storage.storageQuarantine).toMatchObject([{ source: "companies" }]);
+    expect(storage.storageQuarantine[0]).not.toHaveProperty("record");
+    expect(await getQuarantinedRecords()).toMatchObject([
+      { source: "companies", record: { id: 40772, displayName: "Meta" } },
+    ]);
+
+    const [snapshot] = await listMigrationSnapshots();
+    expect(snapshot).toMatchObject({
+      fromVersion: NEWER_VERSION,
+      toVersion: APP_VERSION,
+    });
+    expect(JSON.parse(snapshot.data.companies)).toHaveLength(2);
+  });
+
+  it("snapshots the review cache and quarantines sets this version can't read", async () => {
+    localStorage.setItem("app_version", NEWER_VERSION);
+    const review = { reviewId: 1, reviewDateTime: "2024-06-30T08:41:02.000" };
+    await putReviewSet("reviews_1651", 1651, {
+      timestamp: 1719828000000,
+      reviews: [review, { reviewId: 2, ratingOverall: "five" }],
+    });
+    await putReviewSet("reviews_40772", 40772, {
+      timestamp: 1719828000000,
+      complete: "yes",
+      reviews: [review],
+    });
+
+    const result = await executeMigrations(NEWER_VERSION);
+
+    expect(result.success, result.message).toBe(true);
+    expect(result.validation).toMatchObject([
+      { key: "reviews_1651", invalidRecords: 1 },
+      { key: "reviews_40772", invalidRecords: 0 },
+    ]);
+    expect(await listReviewSets()).toMatchObject([
+      { cacheKey: "reviews_1651", reviewCount: 1 },
+    ]);
+    expect(await getReviewSet("reviews_1651")).toMatchObject({
+      reviews: [review],
+    });
+    expect(await getQuarantinedRecords()).toMatchObject([
+      { source: "review cache reviews_1651", record: { reviewId: 2 } },
+      { source: "review cache reviews_40772", record: { complete: "yes" } },
+    ]);
+
+    const [snapshot] = await listMigrationSnapshots();
+    expect(snapshot.reviewSets).toHaveLength(2);
+  });
+
+  it("previews a downgrade without changing anything", async () => {
+    localStorage.setItem("app_version", NEWER_VERSION);
+    localStorage.setItem("companies", JSON.stringify([{ id: 1 }]));
+    const before = readStorage();
+
+    const result = await executeMigrations(NEWER_VERSION, { dryRun: true });
+
+    expect(result.success).toBe(true);
+    expect(result.validation).toMatchObject([
+      { key: "companies", invalidRecords: 1 },
+    ]);
+    expect(readStorage()).toEqual(before);
+  });
+
+  it("moves review caches back to localStorage and forward again", async () => {
+    const cache = {
+      timestamp: 1719828000000,
+      complete: true,
+      reviews: [{ reviewId: 1, reviewDateTime: "2024-06-30T08:41:02.000" }],
+    };
+    await putReviewSet("reviews_1651", 1651, cache);
+
+    const down = await reviewMigrations.moveToLocalStorage(logger);
+
+    expect(down).toEqual({ moved: 1, dropped: 0 });
+    expect(readStorage().reviews_1651).toEqual(cache);
+    expect(await listReviewSets()).toEqual([]);
+
+    await reviewMigrations.moveToIndexedDb(logger);
+
+    expect(await listReviewSets()).toMatchObject([
+      { cacheKey: "reviews_1651", employerId: 1651, reviewCount: 1 },
+    ]);
+  });
+});
@@ -0,0 +1,57 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { executeMigrations } from "../src/utils/migrations";
+import { reviewMigrations } from "../src/utils/migrationStrategies";
+import { listReviewSets } from "../src/utils/reviewDb";
+import { readStorage, resetStorage } from "./migrationHarness";
+
+const cache = {
+  timestamp: 1719828000000,
+  complete: true,
+  reviews: [{ reviewId: 1, reviewDateTime: "2024-06-30T08:41:02.000" }],
+};
+
+describe("migrating while a dry run is in progress", () => {
+  beforeEach(async () => {
+    await resetStorage();
+    localStorage.setItem("app_version", "1.0.0-beta1");
+    localStorage.setItem("reviews_1651", JSON.stringify(cache));
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it("runs the real migration against the real data", async () => {
+    // Hold the dry run inside its migration until the real run has started
+    let releaseDryRun;
+    const dryRunHeld = new Promise((resolve) => {
+      releaseDryRun = resolve;
+    });
+    const moveToIndexedDb = reviewMigrations.moveToIndexedDb;
+    vi.spyOn(reviewMigrations, "moveToIndexedDb").mockImplementationOnce(
+      async (logger) => {
+        await dryRunHeld;
+        return moveToIndexedDb(logger);
+      }
+    );
+
+    const preview = executeMigrations("1.0.0-beta1", { dryRun: true });
+    const migration = executeMigrations("1.0.0-beta1");
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    releaseDryRun();
+
+    const previewResult = await preview;
+    const result = await migration;
+
+    expect(previewResult.success, previewResult.message).toBe(true);
+    expect(previewResult.changes).toContainEqual({
+      key: "reviews_1651",
+      type: "removed",
+    });
+    expect(result.success, result.message).toBe(true);
+    expect(readStorage()).not.toHaveProperty("reviews_1651");
+    expect(await listReviewSets()).toMatchObject([
+      { cacheKey: "reviews_1651", reviewCount: 1 },
+    ]);
+  });
+});
@@ -0,0 +1,140 @@
+/**
+ * Fixture-driven harness for data migrations
+ * Each fixture in fixtures/migrations/ is a snapshot of the localStorage a
+ * released version (see VERSION_HISTORY) left behind, along with the state
+ * migrating it to APP_VERSION should produce. The harness loads a fixture
+ * into empty storage and runs the same migration path the app would.
+ */
+
+import { readFileSync, readdirSync } from "node:fs";
+import {
+  APP_VERSION,
+  VERSION_HISTORY,
+  getMigrationPath,
+} from "../src/utils/version";
+import { executeMigrations } from "../src/utils/migrations";
+import { listReviewSets } from "../src/utils/reviewDb";
+import { LOCAL_STORAGE_KEYS } from "../src/utils/localStorageService";
+
+const FIXTURES_DIR = new URL("./fixtures/migrations/", import.meta.url);
+
+// Matches DB_NAME in reviewDb.js
+const REVIEW_DB_NAME = "gcbc";
+
+/**
+ * List the versions that have a migration fixture
+ * @returns {Array<string>} Fixture versions
+ */
+export function listMigrationFixtures() {
+  return readdirSync(FIXTURES_DIR)
+    .filter((file) => file.endsWith(".json"))
+    .map((file) => file.replace(/\.json$/, ""));
+}
+
+/**
+ * Read the fixture for a historical version
+ * @param {string} version - A version listed in VERSION_HISTORY
+ * @returns {Object} { version, description, localStorage, expected }
+ */
+export function loadMigrationFixture(version) {
+  if (!VERSION_HISTORY.some((v) => v.version === version)) {
+    throw new Error(`${version} is not in VERSION_HISTORY`);
+  }
+
+  const fixture = JSON.parse(
+    readFileSync(new URL(`${version}.json`, FIXTURES_DIR), "utf8")
+  );
+  if (fixture.version !== version) {
+    throw new Error(
+      `Fixture ${version}.json is for version ${fixture.version}`
+    );
+  }
+  return fixture;
+}
+
+/**
+ * Empty localStorage and delete the review database. The open connection in
+ * reviewDb.js closes itself when the database is deleted.
+ * @returns {Promise<void>} Resolves once both are empty
+ */
+export async function resetStorage() {
+  localStorage.clear();
+  await new Promise((resolve, reject) => {
+    const request = indexedDB.deleteDatabase(REVIEW_DB_NAME);
+    request.onsuccess = () => resolve();
+    request.onerror = () => reject(request.error);
+    request.onblocked = () =>
+      reject(new Error("Review database is still open elsewhere"));
+  });
+}
+
+/**
+ * Write a fixture's localStorage snapshot. Strings are stored as-is, so
+ * fixtures can hold plain values and malformed JSON; everything else is
+ * stored as JSON.
+ * @param {Object} fixture - Fixture from loadMigrationFixture
+ */
+export function seedStorage(fixture) {
+  Object.entries(fixture.localStorage).forEach(([key, value]) => {
+    localStorage.setItem(
+      key,
+      typeof value === "string" ? value : JSON.stringify(value)
+    );
+  });
+  localStorage.setItem(LOCAL_STORAGE_KEYS.APP_VERSION, fixture.version);
+}
+
+/**
+ * Read all of localStorage, parsing JSON values
+ * @returns {Object} Values keyed by localStorage key
+ */
+export function readStorage() {
+  const values = {};
+  for (let i = 0; i < localStorage.length; i++) {
+    const key = localStorage.key(i);
+    const raw = localStorage.getItem(key);
+    try {
+      values[key] = JSON.parse(raw);
+    } catch (e) {
+      values[key] = raw;
+    }
+  }
+  return values;
+}
+
+/**
+ * Load a version's fixture into empty storage and migrate it to APP_VERSION
+ * @param {string} version - Version the fixture was saved by
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun=false] - Preview instead of migrating
+ * @returns {Promise<Object>} { fixture, migrationPath, result,
+ *   initialStorage, storage, reviewSets }: the versions migrated through,
+ *   executeMigrations' result, localStorage before and after, and the review
+ *   sets (keyed by cache key) afterwards
+ */
+export async function runMigrationFixture(version, { dryRun = false } = {}) {
+  const fixture = loadMigrationFixture(version);
+
+  await resetStorage();
+  seedStorage(fixture);
+  const initialStorage = readStorage();
+
+  const migrationPath = getMigrationPath(version, APP_VERSION).map(
+    (versionInfo) => versionInfo.version
+  );
+  const result = await executeMigrations(version, { dryRun });
+
+  const reviewSets = {};
+  (await listReviewSets()).forEach((set) => {
+    reviewSets[set.cacheKey] = set;
+  });
+
+  return {
+    fixture,
+    migrationPath,
+    result,
+    initialStorage,
+    storage: readStorage(),
+    reviewSets,
+  };
+}
@@ -0,0 +1,73 @@
+import { beforeEach, describe, expect, it } from "vitest";
+import { APP_VERSION } from "../src/utils/version";
+import {
+  MIGRATION_HISTORY_LIMIT,
+  getMigrationHistory,
+  getMigrationRunsForVersion,
+  recordMigrationRun,
+} from "../src/utils/migrationHistory";
+import {
+  getUnseenVersions,
+  initializeVersioning,
+  markVersionSeen,
+} from "../src/utils/versionService";
+import { resetStorage, runMigrationFixture } from "./migrationHarness";
+
+describe("migration history", () => {
+  beforeEach(resetStorage);
+
+  it("records each migration run under the versions it went through", async () => {
+    const { migrationPath } = await runMigrationFixture("1.0.0-alpha");
+
+    const history = getMigrationHistory();
+    expect(history).toHaveLength(1);
+    expect(history[0]).toMatchObject({
+      fromVersion: "1.0.0-alpha",
+      toVersion: APP_VERSION,
+      success: true,
+      downgrade: false,
+      versions: migrationPath,
+    });
+    expect(getMigrationRunsForVersion(APP_VERSION)).toEqual(history);
+    expect(getMigrationRunsForVersion("1.0.0-alpha")).toEqual([]);
+  });
+
+  it("doesn't record dry runs", async () => {
+    await runMigrationFixture("1.0.0-alpha", { dryRun: true });
+
+    expect(getMigrationHistory()).toEqual([]);
+  });
+
+  it("keeps only the most recent runs", () => {
+    for (let i = 0; i < MIGRATION_HISTORY_LIMIT + 2; i++) {
+      recordMigrationRun("1.0.0-alpha", [APP_VERSION], {
+        success: true,
+        message: `Run ${i}`,
+      });
+    }
+
+    const history = getMigrationHistory();
+    expect(history).toHaveLength(MIGRATION_HISTORY_LIMIT);
+    expect(history[0].message).toBe("Run 2");
+  });
+});
+
+describe("unseen versions", () => {
+  beforeEach(resetStorage);
+
+  it("has nothing new for a first visit", async () => {
+    await initializeVersioning();
+
+    expect(getUnseenVersions()).toEqual([]);
+  });
+
+  it("highlights versions released since the last visit until they're seen", async () => {
+    localStorage.setItem("app_version", "1.0.0-beta1");
+    await initializeVersioning();
+
+    expect(getUnseenVersions().map((v) => v.version)).toEqual([APP_VERSION]);
+
+    markVersionSeen();
+    expect(getUnseenVersions()).toEqual([]);
+  });
+});
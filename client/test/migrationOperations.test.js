@@ -0,0 +1,185 @@
+import { beforeEach, describe, expect, it } from "vitest";
+import {
+  createOperationsMigration,
+  migrationLogger,
+} from "../src/utils/migrations";
+import {
+  reverseOperations,
+  runOperations,
+} from "../src/utils/migrationOperations";
+import { runMigrationDryRun } from "../src/utils/migrationDryRun";
+import { listReviewSets, putReviewSet } from "../src/utils/reviewDb";
+import { readStorage, resetStorage } from "./migrationHarness";
+
+const logger = migrationLogger.forVersion("test");
+
+const companies = [
+  { id: 1651, name: "Google", industry: "Internet" },
+  { id: 1138, name: "Apple" },
+];
+
+// A release that reshapes companies and moves a setting to a new key
+const spec = [
+  { op: "renameField", key: "companies", from: "industry", to: "sector" },
+  { op: "addField", key: "companies", field: "tags", value: () => [] },
+  { op: "removeField", key: "companies", field: "size", value: null },
+  {
+    op: "transform",
+    key: "reviewFilters",
+    up: ({ language, ...filters }) => ({ ...filters, languages: [language] }),
+    down: ({ languages, ...filters }) => ({
+      ...filters,
+      language: languages[0],
+    }),
+  },
+  { op: "renameKey", from: "sentimentChartsOrder", to: "chartOrder" },
+];
+
+describe("declarative migration operations", () => {
+  beforeEach(async () => {
+    await resetStorage();
+    localStorage.setItem("companies", JSON.stringify(companies));
+    localStorage.setItem("reviewFilters", JSON.stringify({ language: "eng" }));
+    localStorage.setItem("sentimentChartsOrder", JSON.stringify(["overall"]));
+  });
+
+  it("runs a spec in order", async () => {
+    const result = await runOperations(spec, logger);
+    const storage = readStorage();
+
+    expect(result.operations.map((operation) => operation.op)).toEqual(
+      spec.map((operation) => operation.op)
+    );
+    expect(storage.companies).toEqual([
+      { id: 1651, name: "Google", sector: "Internet", tags: [] },
+      { id: 1138, name: "Apple", tags: [] },
+    ]);
+    expect(storage.reviewFilters).toEqual({ languages: ["eng"] });
+    expect(storage.chartOrder).toEqual(["overall"]);
+    expect(storage).not.toHaveProperty("sentimentChartsOrder");
+  });
+
+  it("builds a migration that reverses itself", async () => {
+    const before = readStorage();
+    const migration = createOperationsMigration(spec);
+
+    expect(migration.affects).toEqual([
+      "companies",
+      "migrationAddedFields",
+      "reviewFilters",
+      "sentimentChartsOrder",
+      "chartOrder",
+    ]);
+    expect(migration.reviewCaches).toBe(false);
+    expect((await migration("1.0.0", "1.1.0")).success).toBe(true);
+    expect((await migration.down("1.1.0", "1.1.0")).success).toBe(true);
+
+    // Reversing removeField adds its `value` back to every record, and notes
+    // that it did so
+    expect(readStorage()).toEqual({
+      ...before,
+      companies: companies.map((company) => ({ ...company, size: null })),
+      migrationAddedFields: { companies: { size: [1651, 1138] } },
+    });
+  });
+
+  it("only removes a field where reversing addField added it", async () => {
+    const addIndustry = {
+      op: "addField",
+      key: "companies",
+      field: "industry",
+      value: "Unknown",
+    };
+
+    await runOperations([addIndustry], logger);
+    expect(readStorage().companies).toEqual([
+      { id: 1651, name: "Google", industry: "Internet" },
+      { id: 1138, name: "Apple", industry: "Unknown" },
+    ]);
+
+    await runOperations(reverseOperations([addIndustry]), logger);
+    expect(readStorage()).toMatchObject({ companies });
+    expect(readStorage()).not.toHaveProperty("migrationAddedFields");
+  });
+
+  it("can't reverse operations that lose data", () => {
+    expect(
+      reverseOperations([
+        ...spec,
+        { op: "dropKey", key: "reviewsTableColumnOrder" },
+      ])
+    ).toBeNull();
+    expect(
+      createOperationsMigration([
+        { op: "removeField", key: "companies", field: "size" },
+      ]).down
+    ).toBeNull();
+  });
+
+  it("records destructive operations in dry runs", async () => {
+    localStorage.setItem("reviews_1651", "{}");
+    localStorage.setItem("reviews_1138", "{}");
+    const before = readStorage();
+
+    const { value, storage, operations } = await runMigrationDryRun(() =>
+      runOperations([{ op: "dropKey", key: "reviews_*" }], logger)
+    );
+
+    expect(value.operations[0].removed).toBe(2);
+    expect(storage.getItem("reviews_1651")).toBeNull();
+    expect(operations).toEqual([
+      { description: "Delete reviews_*", destructive: true },
+    ]);
+    expect(readStorage()).toEqual(before);
+  });
+
+  it("re-keys review caches in IndexedDB", async () => {
+    await putReviewSet("reviews_1651", 1651, { reviews: [] });
+    const rekeyCaches = {
+      op: "rekeyCaches",
+      rekey: (key) => key.replace(/^reviews_/, "reviews:"),
+      unrekey: (key) => key.replace(/^reviews:/, "reviews_"),
+    };
+
+    await runOperations([rekeyCaches], logger);
+    expect((await listReviewSets()).map((set) => set.cacheKey)).toEqual([
+      "reviews:1651",
+    ]);
+
+    await runOperations(reverseOperations([rekeyCaches]), logger);
+    expect((await listReviewSets()).map((set) => set.cacheKey)).toEqual([
+      "reviews_1651",
+    ]);
+  });
+
+  it("fails when any review cache can't be transformed", async () => {
+    await putReviewSet("reviews_1651", 1651, {
+      reviews: [{ reviewId: 1, reviewDateTime: "2024-06-30" }],
+    });
+    await putReviewSet("reviews_1138", 1138, {
+      reviews: [{ reviewId: 2 }],
+    });
+    const migration = createOperationsMigration([
+      {
+        op: "transformReviews",
+        up: (review) => ({
+          ...review,
+          date: review.reviewDateTime.slice(0, 10),
+        }),
+      },
+    ]);
+
+    expect(migration.reviewCaches).toBe(true);
+    const result = await migration("1.0.0", "1.1.0");
+    expect(result.success).toBe(false);
+    expect(result.error.message).toBe(
+      "Failed to transform 1 of 2 review caches"
+    );
+  });
+
+  it("rejects unknown operations", async () => {
+    await expect(
+      runOperations([{ op: "dropTable", key: "companies" }], logger)
+    ).rejects.toThrow("Unknown migration operation: dropTable");
+  });
+});
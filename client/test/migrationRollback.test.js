@@ -0,0 +1,69 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { executeMigrations } from "../src/utils/migrations";
+import { reviewMigrations } from "../src/utils/migrationStrategies";
+import {
+  getReviewSet,
+  listMigrationSnapshots,
+  listReviewSets,
+  putReviewSet,
+} from "../src/utils/reviewDb";
+import { restoreMigrationSnapshot } from "../src/utils/migrationSnapshots";
+import { readStorage, resetStorage } from "./migrationHarness";
+
+const cache = {
+  timestamp: 1719828000000,
+  complete: true,
+  reviews: [{ reviewId: 1, reviewDateTime: "2024-06-30T08:41:02.000" }],
+};
+
+describe("rolling back a failed migration", () => {
+  beforeEach(async () => {
+    await resetStorage();
+    localStorage.setItem("app_version", "1.0.0-beta1");
+    localStorage.setItem("reviews_1651", JSON.stringify(cache));
+    await putReviewSet("reviews_40772", 40772, cache);
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it("restores the review cache along with localStorage", async () => {
+    // Fail after writing to IndexedDB, as a half-finished migration would
+    vi.spyOn(reviewMigrations, "moveToIndexedDb").mockImplementation(
+      async () => {
+        await putReviewSet("reviews_1651", 1651, cache);
+        await putReviewSet("reviews_40772", 40772, { ...cache, reviews: [] });
+        throw new Error("Out of space");
+      }
+    );
+
+    const result = await executeMigrations("1.0.0-beta1");
+
+    expect(result.success).toBe(false);
+    expect(result.rolledBack).toBe(true);
+    expect(readStorage().reviews_1651).toEqual(cache);
+    expect((await listReviewSets()).map((set) => set.cacheKey)).toEqual([
+      "reviews_40772",
+    ]);
+    expect((await getReviewSet("reviews_40772")).reviews).toEqual(
+      cache.reviews
+    );
+  });
+
+  it("restores the review cache from a saved snapshot", async () => {
+    const result = await executeMigrations("1.0.0-beta1");
+    expect(result.success, result.message).toBe(true);
+    expect(await listReviewSets()).toHaveLength(2);
+
+    const [snapshot] = await listMigrationSnapshots();
+    expect(snapshot.reviewSets).toHaveLength(1);
+
+    await restoreMigrationSnapshot(result.snapshotId);
+
+    expect(readStorage().reviews_1651).toEqual(cache);
+    expect((await listReviewSets()).map((set) => set.cacheKey)).toEqual([
+      "reviews_40772",
+    ]);
+  });
+});
@@ -0,0 +1,76 @@
+import { describe, expect, it } from "vitest";
+import {
+  APP_VERSION,
+  VERSION_HISTORY,
+  compareVersions,
+  matchesMigrateFrom,
+} from "../src/utils/version";
+import { listMigrationFixtures, runMigrationFixture } from "./migrationHarness";
+
+const fixtureVersions = listMigrationFixtures();
+
+describe("migration fixtures", () => {
+  it("cover every version the current version migrates from", () => {
+    const currentVersionInfo = VERSION_HISTORY.find(
+      (v) => v.version === APP_VERSION
+    );
+    VERSION_HISTORY.filter(
+      (v) =>
+        compareVersions(v.version, APP_VERSION) < 0 &&
+        matchesMigrateFrom(v.version, currentVersionInfo.migrateFrom)
+    ).forEach((v) => {
+      expect(fixtureVersions).toContain(v.version);
+    });
+  });
+});
+
+describe.each(fixtureVersions)("migrating from %s", (version) => {
+  it(`reaches the expected ${APP_VERSION} state`, async () => {
+    const { fixture, migrationPath, result, storage, reviewSets } =
+      await runMigrationFixture(version);
+    const { expected } = fixture;
+
+    expect(result.success, result.message).toBe(true);
+    expect(migrationPath).toEqual(expected.migrationPath);
+
+    Object.entries(expected.results || {}).forEach(([to, details]) => {
+      const migrated = result.results.find((r) => r.version === to);
+      expect(migrated?.details).toMatchObject(details);
+    });
+
+    // null means the key must be gone
+    Object.entries(expected.localStorage).forEach(([key, value]) => {
+      if (value === null) {
+        expect(storage, key).not.toHaveProperty([key]);
+      } else {
+        expect(storage[key], key).toMatchObject(value);
+      }
+    });
+
+    expect(Object.keys(reviewSets).sort()).toEqual(
+      Object.keys(expected.reviewSets).sort()
+    );
+    Object.entries(expected.reviewSets).forEach(([cacheKey, set]) => {
+      expect(reviewSets[cacheKey], cacheKey).toMatchObject(set);
+    });
+
+    expect(result.validation).toMatchObject(expected.validation);
+  });
+
+  it("previews the migration without changing anything", async () => {
+    const { fixture, result, initialStorage, storage, reviewSets } =
+      await runMigrationFixture(version, { dryRun: true });
+
+    expect(result.success, result.message).toBe(true);
+    expect(result.dryRun).toBe(true);
+    expect(reviewSets).toEqual({});
+    expect(storage).toEqual(initialStorage);
+
+    // Keys the migration removes show up in the preview
+    Object.entries(fixture.expected.localStorage)
+      .filter(([key, value]) => value === null && key in fixture.localStorage)
+      .forEach(([key]) => {
+        expect(result.changes).toContainEqual({ key, type: "removed" });
+      });
+  });
+});
@@ -0,0 +1,90 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { reviewApi } from "../src/utils/api";
+import { reviewCacheHelpers } from "../src/utils/migrations";
+import { resetStorage } from "./migrationHarness";
+
+const review = (reviewId, day) => ({
+  reviewId,
+  reviewDateTime: `2024-06-${String(day).padStart(2, "0")}T08:00:00.000`,
+});
+
+describe("fetchReviewDataset", () => {
+  beforeEach(async () => {
+    await resetStorage();
+    vi.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it("stores the counts from the sync with the new reviews", async () => {
+    await reviewCacheHelpers.saveReviews(1651, undefined, {
+      reviews: [review(2, 2), review(1, 1)],
+      timestamp: Date.now(),
+      complete: true,
+      pagesFetched: 1,
+      numberOfPages: 1,
+      allReviewsCount: 2,
+    });
+    vi.spyOn(reviewApi, "fetchReviews").mockResolvedValue({
+      data: {
+        employerReviews: {
+          numberOfPages: 2,
+          allReviewsCount: 3,
+          reviews: [review(3, 3), review(2, 2)],
+        },
+      },
+    });
+
+    const dataset = await reviewApi.fetchReviewDataset(1651, null, undefined, {
+      force: true,
+    });
+
+    expect(reviewApi.fetchReviews).toHaveBeenCalledTimes(1);
+    expect(dataset).toMatchObject({
+      complete: true,
+      pagesFetched: 2,
+      numberOfPages: 2,
+      allReviewsCount: 3,
+    });
+    expect(dataset.reviews.map((r) => r.reviewId)).toEqual([3, 2, 1]);
+    expect(await reviewCacheHelpers.getReviews(1651)).toMatchObject({
+      pagesFetched: 2,
+      numberOfPages: 2,
+      allReviewsCount: 3,
+      reviewCount: 3,
+    });
+  });
+
+  it("waits for the connection when offline with nothing cached", async () => {
+    vi.stubGlobal("window", new EventTarget());
+    vi.stubGlobal("navigator", { onLine: false });
+    vi.spyOn(reviewApi, "fetchStoredReviews").mockResolvedValue(null);
+    vi.spyOn(reviewApi, "fetchReviews").mockResolvedValue({
+      data: {
+        employerReviews: {
+          numberOfPages: 1,
+          allReviewsCount: 1,
+          reviews: [review(1, 1)],
+        },
+      },
+    });
+
+    const pending = reviewApi.fetchReviewDataset(1651);
+    await new Promise((resolve) => setTimeout(resolve, 10));
+
+    expect(reviewApi.fetchReviews).not.toHaveBeenCalled();
+    expect(await reviewCacheHelpers.getReviews(1651)).toBeNull();
+
+    navigator.onLine = true;
+    window.dispatchEvent(new Event("online"));
+    const dataset = await pending;
+    vi.unstubAllGlobals();
+
+    expect(dataset).toMatchObject({ complete: true, allReviewsCount: 1 });
+    expect(await reviewCacheHelpers.getReviews(1651)).toMatchObject({
+      reviewCount: 1,
+    });
+  });
+});
@@ -0,0 +1,37 @@
+/**
+ * Test environment for gc/bc client utilities
+ * Tests run in Node, which has neither localStorage nor IndexedDB. IndexedDB
+ * comes from fake-indexeddb; localStorage is an in-memory Storage.
+ */
+
+import "fake-indexeddb/auto";
+
+// Items are own properties, as in browsers, so Object.keys(localStorage)
+// lists the stored keys
+class MemoryStorage {
+  get length() {
+    return Object.keys(this).length;
+  }
+
+  key(index) {
+    return Object.keys(this)[index] ?? null;
+  }
+
+  getItem(key) {
+    return Object.hasOwn(this, key) ? this[key] : null;
+  }
+
+  setItem(key, value) {
+    this[key] = String(value);
+  }
+
+  removeItem(key) {
+    delete this[key];
+  }
+
+  clear() {
+    Object.keys(this).forEach((key) => delete this[key]);
+  }
+}
+
+globalThis.localStorage = new MemoryStorage();
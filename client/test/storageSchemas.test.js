@@ -0,0 +1,185 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import {
+  QUARANTINE_LIMIT,
+  clearQuarantine,
+  getQuarantine,
+  getQuarantinedRecords,
+  quarantineRecords,
+  readStoredValue,
+  validateReviewSet,
+  validateStorage,
+} from "../src/utils/storageSchemas";
+import { getReviewSet, listQuarantinedData } from "../src/utils/reviewDb";
+import { readStorage, resetStorage } from "./migrationHarness";
+
+const companies = [
+  { id: 1651, name: "Google" },
+  { id: 40772, displayName: "Meta" },
+];
+
+describe("storage schemas", () => {
+  beforeEach(async () => {
+    await resetStorage();
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it("quarantines invalid records and keeps the rest", async () => {
+    localStorage.setItem("companies", JSON.stringify(companies));
+
+    expect(readStoredValue("companies")).toEqual([companies[0]]);
+    expect(readStorage().companies).toEqual([companies[0]]);
+    expect(getQuarantine()).toMatchObject([
+      { source: "companies", errors: ["[1].name is required"] },
+    ]);
+    expect(await getQuarantinedRecords()).toMatchObject([
+      { source: "companies", record: companies[1] },
+    ]);
+  });
+
+  it("removes values that can't be read at all", async () => {
+    localStorage.setItem("reviewFilters", "{not json");
+
+    expect(readStoredValue("reviewFilters")).toBeNull();
+    expect(localStorage.getItem("reviewFilters")).toBeNull();
+    expect(await getQuarantinedRecords()).toMatchObject([
+      { source: "reviewFilters", errors: ["Not valid JSON"], raw: "{not json" },
+    ]);
+  });
+
+  it("reports problems and only repairs them when asked", async () => {
+    localStorage.setItem("companies", JSON.stringify(companies));
+    localStorage.setItem("sentimentChartsHidden", JSON.stringify([1]));
+
+    const problems = [
+      { key: "companies", errors: [], invalidRecords: 1 },
+      {
+        key: "sentimentChartsHidden",
+        errors: ["sentimentChartsHidden must be an object"],
+        invalidRecords: 0,
+      },
+    ];
+    expect(validateStorage()).toEqual(problems);
+    expect(readStorage().companies).toEqual(companies);
+    expect(getQuarantine()).toEqual([]);
+
+    expect(validateStorage({ repair: true })).toEqual(problems);
+    expect(validateStorage()).toEqual([]);
+    expect(getQuarantine()).toHaveLength(2);
+  });
+
+  it("keeps summaries in localStorage and the data in IndexedDB", async () => {
+    const record = { id: 1, name: "x".repeat(1000) };
+    await quarantineRecords([{ source: "test", errors: ["bad"], record }]);
+
+    const [summary] = readStorage().storageQuarantine;
+    expect(summary).toEqual({
+      id: expect.any(String),
+      source: "test",
+      errors: ["bad"],
+      quarantinedAt: expect.any(String),
+    });
+    expect(await listQuarantinedData()).toMatchObject([
+      { id: summary.id, record },
+    ]);
+  });
+
+  it("keeps only the most recent entries", async () => {
+    const entries = Array.from({ length: QUARANTINE_LIMIT + 5 }, (_, i) => ({
+      source: `entry ${i}`,
+      errors: ["bad"],
+      record: { i },
+    }));
+    await quarantineRecords(entries);
+
+    const quarantine = await getQuarantinedRecords();
+    expect(quarantine).toHaveLength(QUARANTINE_LIMIT);
+    expect(quarantine[0]).toMatchObject({
+      source: "entry 5",
+      record: { i: 5 },
+    });
+    expect(await listQuarantinedData()).toHaveLength(QUARANTINE_LIMIT);
+
+    await clearQuarantine();
+    expect(getQuarantine()).toEqual([]);
+    expect(await listQuarantinedData()).toEqual([]);
+  });
+
+  it("still reads entries quarantined with their data in localStorage", async () => {
+    const legacy = {
+      source: "companies",
+      errors: ["[0].name is required"],
+      quarantinedAt: "2024-07-01T10:00:00.000Z",
+      record: { id: 1 },
+    };
+    localStorage.setItem("storageQuarantine", JSON.stringify([legacy]));
+
+    expect(await getQuarantinedRecords()).toEqual([legacy]);
+  });
+});
+
+describe("validateReviewSet", () => {
+  const set = {
+    cacheKey: "reviews_1651",
+    employerId: 1651,
+    timestamp: 1719828000000,
+    complete: true,
+  };
+
+  beforeEach(async () => {
+    await resetStorage();
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it("keeps reviews without a date", async () => {
+    const reviews = [
+      { reviewId: 1, reviewDateTime: "2024-06-30T08:41:02.000" },
+      { reviewId: 2 },
+    ];
+
+    expect(await validateReviewSet({ ...set, reviews })).toEqual({
+      ...set,
+      reviews,
+    });
+    expect(getQuarantine()).toEqual([]);
+  });
+
+  it("quarantines invalid reviews and saves the set without them", async () => {
+    const valid = { reviewId: 1, reviewDateTime: "2024-06-30T08:41:02.000" };
+    const invalid = { reviewId: 2, ratingOverall: "five" };
+
+    const result = await validateReviewSet({
+      ...set,
+      reviews: [valid, invalid],
+    });
+
+    expect(result.reviews).toEqual([valid]);
+    expect((await getReviewSet("reviews_1651")).reviews).toEqual([valid]);
+    expect(await getQuarantinedRecords()).toMatchObject([
+      {
+        source: "review cache reviews_1651",
+        errors: ["reviews[1].ratingOverall must be a number"],
+        record: invalid,
+      },
+    ]);
+  });
+
+  it("treats sets with invalid metadata as missing", async () => {
+    const reviews = [{ reviewId: 1 }];
+
+    expect(
+      await validateReviewSet({ ...set, employerId: null, reviews })
+    ).toBeNull();
+    const [entry] = await getQuarantinedRecords();
+    expect(entry.errors).toEqual(["reviewSet.employerId is required"]);
+    // Only the metadata is quarantined
+    expect(entry.record).not.toHaveProperty("reviews");
+  });
+});
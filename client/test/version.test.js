@@ -0,0 +1,134 @@
+import { describe, expect, it } from "vitest";
+import {
+  VERSION_HISTORY,
+  compareVersions,
+  getMigrationPath,
+  matchesMigrateFrom,
+  needsMigration,
+  parseVersion,
+  satisfiesRange,
+} from "../src/utils/version";
+
+describe("parseVersion", () => {
+  it("parses prerelease identifiers and build metadata", () => {
+    expect(parseVersion("1.2.3-rc.1+sha.5114f85")).toMatchObject({
+      major: 1,
+      minor: 2,
+      patch: 3,
+      label: "rc.1",
+      prerelease: ["rc", 1],
+      build: "sha.5114f85",
+    });
+  });
+
+  it.each(["1.0", "01.0.0", "1.0.0-", "1.0.0-beta..1", "1.0.0-01", "1.0.0+"])(
+    "rejects %s",
+    (version) => {
+      expect(() => parseVersion(version)).toThrow("Invalid version format");
+    }
+  );
+});
+
+describe("compareVersions", () => {
+  it("orders versions by SemVer precedence", () => {
+    // The example from the SemVer 2.0 specification
+    const ordered = [
+      "1.0.0-alpha",
+      "1.0.0-alpha.1",
+      "1.0.0-alpha.beta",
+      "1.0.0-beta",
+      "1.0.0-beta.2",
+      "1.0.0-beta.11",
+      "1.0.0-rc.1",
+      "1.0.0",
+      "1.0.1",
+      "1.1.0",
+      "2.0.0",
+    ];
+    const shuffled = [...ordered].reverse();
+    expect(shuffled.sort(compareVersions)).toEqual(ordered);
+  });
+
+  it("compares numbers run into a label numerically", () => {
+    expect(compareVersions("1.0.0-beta2", "1.0.0-beta10")).toBe(-1);
+    expect(compareVersions("1.0.0-beta10", "1.0.0-beta2")).toBe(1);
+    expect(compareVersions("1.0.0-beta", "1.0.0-beta2")).toBe(-1);
+  });
+
+  it("ignores build metadata", () => {
+    expect(compareVersions("1.0.0-beta2+abc", "1.0.0-beta2+def")).toBe(0);
+    expect(compareVersions("1.0.0+abc", "1.0.0")).toBe(0);
+  });
+});
+
+describe("satisfiesRange", () => {
+  it.each([
+    ["1.0.0-alpha", ">=1.0.0-alpha <1.1.0", true],
+    ["1.0.5", ">=1.0.0-alpha <1.1.0", true],
+    ["1.1.0-alpha", ">=1.0.0-alpha <1.1.0", true],
+    ["1.1.0", ">=1.0.0-alpha <1.1.0", false],
+    ["2.0.0", "<1.0.0 || 2.0.0", true],
+    ["1.0.0+build.7", "=1.0.0", true],
+    ["1.0.0", ">1.0.0", false],
+  ])("%s in %s is %s", (version, range, expected) => {
+    expect(satisfiesRange(version, range)).toBe(expected);
+  });
+
+  it("matches exact versions and ranges in migrateFrom", () => {
+    const migrateFrom = ["1.0.0-alpha", ">=1.0.0-beta1 <1.0.0-beta10"];
+    expect(matchesMigrateFrom("1.0.0-alpha", migrateFrom)).toBe(true);
+    expect(matchesMigrateFrom("1.0.0-beta9", migrateFrom)).toBe(true);
+    expect(matchesMigrateFrom("1.0.0-beta10", migrateFrom)).toBe(false);
+  });
+});
+
+describe("migration paths", () => {
+  it("lists migrations oldest first", () => {
+    const path = getMigrationPath("1.0.0-alpha", "1.0.0-beta2");
+    expect(path.map((v) => v.version)).toEqual(["1.0.0-beta2"]);
+  });
+
+  it("finds versions saved with build metadata", () => {
+    expect(getMigrationPath("1.0.0-beta1+sha.1", "1.0.0-beta2")).toHaveLength(
+      1
+    );
+    expect(needsMigration("1.0.0-beta1+sha.1", "1.0.0-beta2")).toBe(true);
+    expect(needsMigration("1.0.0-beta2+sha.1", "1.0.0-beta2")).toBe(false);
+  });
+
+  it("skips migrations whose migrateFrom doesn't cover the stored version", () => {
+    const added = [
+      {
+        version: "1.0.0-beta3",
+        requiresMigration: true,
+        migrateFrom: [">=1.0.0-beta2"],
+      },
+      {
+        version: "1.0.0-beta4",
+        requiresMigration: true,
+        migrateFrom: ["1.0.0-alpha"],
+      },
+    ];
+    VERSION_HISTORY.push(...added);
+
+    try {
+      expect(
+        getMigrationPath("1.0.0-alpha", "1.0.0-beta4").map((v) => v.version)
+      ).toEqual(["1.0.0-beta2", "1.0.0-beta4"]);
+      expect(
+        getMigrationPath("1.0.0-beta2", "1.0.0-beta4").map((v) => v.version)
+      ).toEqual(["1.0.0-beta3"]);
+    } finally {
+      VERSION_HISTORY.splice(VERSION_HISTORY.length - added.length);
+    }
+  });
+
+  it("only lists valid versions in VERSION_HISTORY", () => {
+    VERSION_HISTORY.forEach((v) => {
+      expect(() => parseVersion(v.version)).not.toThrow();
+      v.migrateFrom.forEach((entry) => {
+        expect(() => satisfiesRange(v.version, entry)).not.toThrow();
+      });
+    });
+  });
+});
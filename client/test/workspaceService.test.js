@@ -0,0 +1,67 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { APP_VERSION } from "../src/utils/version";
+import { importWorkspace } from "../src/utils/workspaceService";
+import { reviewMigrations } from "../src/utils/migrationStrategies";
+import { recordMigrationOperation } from "../src/utils/migrationDryRun";
+import { resetStorage } from "./migrationHarness";
+
+const companies = [{ id: 1651, name: "Acme" }];
+
+const bundle = {
+  format: "gcbc-workspace",
+  formatVersion: 1,
+  appVersion: "1.0.0-beta1",
+  exportedAt: "2024-07-01T10:00:00.000Z",
+  storage: { companies: JSON.stringify(companies) },
+};
+
+describe("importing a workspace", () => {
+  beforeEach(async () => {
+    await resetStorage();
+    localStorage.setItem("app_version", APP_VERSION);
+    localStorage.setItem("companies", JSON.stringify([{ id: 1, name: "Old" }]));
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it("imports and migrates a bundle from an older version", async () => {
+    const result = await importWorkspace(bundle);
+
+    expect(result.success).toBe(true);
+    expect(result.migrationPreview.destructive).toBe(false);
+    expect(JSON.parse(localStorage.getItem("companies"))).toEqual(companies);
+    expect(localStorage.getItem("app_version")).toBe(APP_VERSION);
+  });
+
+  it("holds back migrations that delete data until confirmed", async () => {
+    const moveToIndexedDb = reviewMigrations.moveToIndexedDb;
+    vi.spyOn(reviewMigrations, "moveToIndexedDb").mockImplementation(
+      async (logger) => {
+        recordMigrationOperation("Delete a review cache", {
+          destructive: true,
+        });
+        return moveToIndexedDb(logger);
+      }
+    );
+
+    const held = await importWorkspace(bundle);
+    expect(held.success).toBe(false);
+    expect(held.awaitingConfirmation).toBe(true);
+    expect(held.migrationPreview.operations).toContainEqual({
+      description: "Delete a review cache",
+      destructive: true,
+    });
+    expect(JSON.parse(localStorage.getItem("companies"))).toEqual([
+      { id: 1, name: "Old" },
+    ]);
+    expect(localStorage.getItem("app_version")).toBe(APP_VERSION);
+
+    const confirmed = await importWorkspace(bundle, {
+      confirmDestructive: true,
+    });
+    expect(confirmed.success).toBe(true);
+    expect(JSON.parse(localStorage.getItem("companies"))).toEqual(companies);
+  });
+});
@@ -5,6 +5,10 @@ export default defineConfig({
   plugins: [react()],
   server: {
     port: 3000,
+    // The version history is shared with the server
+    fs: {
+      allow: ['.', '../shared']
+    },
     proxy: {
       '/api': {
         target: process.env.VITE_API_URL || 'http://localhost:3001',
@@ -24,5 +28,10 @@ export default defineConfig({
         }
       }
     }
+  },
+  test: {
+    environment: 'node',
+    include: ['test/**/*.test.js'],
+    setupFiles: ['./test/setup.js']
   }
 }) 
\ No newline at end of file
@@ -1,6 +1,5 @@
 import express from "express";
 import cors from "cors";
-import axios from "axios";
 import dotenv from "dotenv";
 
 // Import Linear SDK
@@ -14,460 +13,330 @@ import {
   submitFeatureRequest,
 } from "./linearService.js";
 
+// Import review provider registry
+import { getReviewProvider } from "./providers/index.js";
+
+// Import upstream record/replay mode
+import { getUpstreamMode } from "./upstreamRecorder.js";
+
+// Import upstream scheduling helpers
+import { parseRetryAfter } from "./upstreamScheduler.js";
+
+// Import request validation helpers
+import {
+  fields,
+  handleMalformedJson,
+  validateBody,
+  validateParams,
+} from "./validation.js";
+
+// Import review filter definitions
+import {
+  DEFAULT_REVIEW_FILTERS,
+  EMPLOYMENT_STATUSES,
+  LOCATION_TYPES,
+} from "./reviewFilters.js";
+
+// Import upstream response cache
+import { getCachedResponse, sendWithValidators } from "./responseCache.js";
+
+// Import review page loading and background review jobs
+import { getReviewPage } from "./reviewPages.js";
+import {
+  getJobSnapshot,
+  getReviewJob,
+  startReviewJob,
+  subscribeToReviewJob,
+} from "./reviewJobs.js";
+
+// Import review store functions
+import { getReviewStore, getStoredReviews } from "./reviewStore.js";
+
+// Import the deployed version manifest
+import { getVersionManifest } from "./versionManifest.js";
+
 // Load environment variables
 dotenv.config();
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
-app.use(cors());
+app.use(
+  cors({
+    // Let browsers read the headers used for revalidation and backoff
+    exposedHeaders: ["ETag", "Last-Modified", "Retry-After"],
+  })
+);
 app.use(express.json());
+app.use(handleMalformedJson);
 
-// Get authentication headers from environment variables
-const getAuthHeaders = () => {
-  const cookies = process.env.GLASSDOOR_COOKIES;
-  const csrfToken = process.env.GLASSDOOR_CSRF_TOKEN;
+// Request schemas; every user-supplied value is validated before it is used
+const employerParamsSchema = {
+  employerId: fields.integer(),
+};
 
-  if (!cookies || !csrfToken) {
-    throw new Error(
-      "Missing required environment variables: GLASSDOOR_COOKIES and GLASSDOOR_CSRF_TOKEN"
-    );
-  }
+const companySearchSchema = {
+  query: fields.string({ maxLength: 200 }),
+};
 
-  return {
-    "Content-Type": "application/json",
-    "User-Agent":
-      "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36",
-    Cookie: cookies,
-    "gd-csrf-token": csrfToken,
-  };
+const reviewFilterFields = {
+  jobTitle: fields.string({ required: false, maxLength: 200 }),
+  locationId: fields.integer({ required: false }),
+  locationType: fields.oneOf(LOCATION_TYPES, { required: false }),
+  language: fields.string({
+    pattern: /^[a-z]{3}$/,
+    defaultValue: DEFAULT_REVIEW_FILTERS.language,
+  }),
+  employmentStatuses: fields.arrayOf(fields.oneOf(EMPLOYMENT_STATUSES), {
+    minLength: 1,
+    defaultValue: DEFAULT_REVIEW_FILTERS.employmentStatuses,
+  }),
 };
 
-// Company search endpoint
-app.post("/api/companies/search", async (req, res) => {
-  const { query } = req.body;
+const reviewsRequestSchema = {
+  employerId: fields.integer(),
+  page: fields.integer({ max: 10000, defaultValue: 1 }),
+  ...reviewFilterFields,
+};
 
-  console.log("=== COMPANY SEARCH REQUEST ===");
-  console.log("Search query:", query);
+const reviewJobRequestSchema = {
+  employerId: fields.integer(),
+  startPage: fields.integer({ max: 10000, defaultValue: 1 }),
+  ...reviewFilterFields,
+};
 
-  if (!query) {
-    return res.status(400).json({ error: "Search query is required" });
-  }
+const reviewJobParamsSchema = {
+  jobId: fields.string({
+    pattern: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/,
+  }),
+};
 
-  // Use the provided GraphQL query
-  const searchQuery = `query AllResultsCompanySearch(
-    $jobTitle: String,
-    $employerName: String,
-    $locationId: Int,
-    $locationType: String,
-    $numPerPage: Int,
-    $context: Context
-  ) {
-    employerNameCompaniesData: employerSearch(
-      employerName: $employerName
-      location: {locationId: $locationId, locationType: $locationType}
-      numPerPage: $numPerPage
-      context: $context
-      sortOrder: MOSTRELEVANT
-    ) {
-      ...CompanySearchResult
-      __typename
-    }
-    directHitCompany: employerSearch(
-      filterDirectHit: true
-      employerName: $employerName
-      location: {locationId: $locationId, locationType: $locationType}
-      context: $context
-      sortOrder: MOSTRELEVANT
-    ) {
-      ...CompanySearchResult
-      __typename
-    }
-    jobTitleCompaniesData: employerSearch(
-      jobTitle: $jobTitle
-      location: {locationId: $locationId, locationType: $locationType}
-      numPerPage: $numPerPage
-      context: $context
-      sortOrder: MOSTRELEVANT
-    ) {
-      ...CompanySearchResult
-      __typename
-    }
-  }
+const reportSchema = {
+  title: fields.string({ maxLength: 255 }),
+  description: fields.string({ maxLength: 10000 }),
+  priority: fields.oneOf(["HIGH", "MEDIUM", "LOW"], { required: false }),
+};
 
-  fragment CompanySearchResult on UgcSearchV2EmployerResult {
-    employer {
-      id
-      shortName
-      squareLogoUrl
-      website
-      headquarters
-      size
-      sizeCategory
-      overview {
-        description
-        __typename
-      }
-      primaryIndustry {
-        industryId
-        industryName
-        __typename
-      }
-      links {
-        overviewUrl
-        __typename
-      }
-      counts {
-        reviewCount
-        salaryCount
-        globalJobCount {
-          jobCount
-          __typename
-        }
-        __typename
-      }
-      __typename
-    }
-    employerRatings {
-      overallRating
-      __typename
-    }
-    __typename
-  }`;
-
-  const variables = {
-    context: { domain: "glassdoor.com" },
-    employerName: query,
-    jobTitle: null,
-    locationId: 1,
-    locationType: "",
-    numPerPage: 10,
-  };
+// Reject location filters that name only one of the ID and its type
+const checkLocationFilter = (req, res, next) => {
+  const { locationId, locationType } = req.body;
 
-  try {
-    const response = await axios.post(
-      "https://www.glassdoor.com/graph",
-      {
-        query: searchQuery,
-        variables: variables,
-      },
-      {
-        headers: getAuthHeaders(),
-      }
-    );
+  if ((locationId === null) !== (locationType === null)) {
+    return res.status(400).json({
+      error: "locationId and locationType must be provided together",
+      details: ["locationId and locationType must be provided together"],
+    });
+  }
 
-    // Combine results from all three sections
-    const allResults = [
-      ...(response.data?.data?.employerNameCompaniesData || []),
-      ...(response.data?.data?.directHitCompany || []),
-      ...(response.data?.data?.jobTitleCompaniesData || []),
-    ];
-
-    // Deduplicate by employer.id
-    const seen = new Set();
-    const formattedResults = allResults
-      .filter(
-        (result) =>
-          result &&
-          result.employer &&
-          !seen.has(result.employer.id) &&
-          seen.add(result.employer.id)
-      )
-      .map((result) => ({
-        id: result.employer.id,
-        name: result.employer.shortName,
-        logoUrl:
-          result.employer.squareLogoUrl || result.employer.logoUrl || null,
-        website: result.employer.website || null,
-        size: result.employer.size || null,
-        location: result.employer.headquarters || null,
-      }));
-
-    res.json(formattedResults);
-  } catch (error) {
-    console.error("=== ERROR IN COMPANY SEARCH ===");
-    console.error("Error message:", error.message);
-    console.error("Error response status:", error.response?.status);
-    console.error(
-      "Error response data:",
-      JSON.stringify(error.response?.data, null, 2)
+  next();
+};
+
+// Respond to a failed upstream call. Rate limiting that outlasted the
+// scheduler's retries is passed through so clients can back off too.
+const sendUpstreamError = (res, error, message) => {
+  if (error.response?.status === 429) {
+    // Always send delta-seconds, which clients parse most reliably
+    const retryAfterMs = parseRetryAfter(
+      error.response.headers?.["retry-after"]
     );
-    console.error("Full error:", error);
-    console.error("=== END ERROR ===");
+    if (retryAfterMs !== null) {
+      res.set("Retry-After", String(Math.ceil(retryAfterMs / 1000)));
+    }
 
-    res.status(500).json({
-      error: "Failed to search companies",
-      details: error.response?.data || error.message,
+    return res.status(429).json({
+      error: `${message}: rate limited by upstream`,
+      details: error.response.data || error.message,
     });
   }
-});
-/*
-// Company search endpoint with enhanced data
-app.post("/api/companies/search-enhanced", async (req, res) => {
-  const { query } = req.body;
 
-  if (!query) {
-    return res.status(400).json({ error: "Search query is required" });
-  }
+  res.status(500).json({
+    error: message,
+    details: error.response?.data || error.message,
+  });
+};
 
-  // First, get the basic search results
-  const searchQuery = `query EmployerSearch($employerSearchRangeFilters: [EmployerSearchRangeFilter], $industries: [IndustryIdent], $jobTitle: String, $location: UgcSearchV2LocationIdent, $pageRequested: Int, $preferredTldId: Int, $sGocIds: [Int], $sectors: [SectorIdent], $employerName: String) {
-  employerSearchV2(
-    employerSearchRangeFilters: $employerSearchRangeFilters
-    industries: $industries
-    jobTitle: $jobTitle
-    location: $location
-    pageRequested: $pageRequested
-    preferredTldId: $preferredTldId
-    sGocIds: $sGocIds
-    sectors: $sectors
-    employerName: $employerName
-  ) {
-    employerResults {
-      employer {
-        bestProfile {
-          id
-          __typename
-        }
-        id
-        shortName
-        ratings {
-          overallRating
-          careerOpportunitiesRating
-          compensationAndBenefitsRating
-          cultureAndValuesRating
-          diversityAndInclusionRating
-          seniorManagementRating
-          workLifeBalanceRating
-          __typename
-        }
-        __typename
+// Company search endpoint
+app.post(
+  "/api/companies/search",
+  validateBody(companySearchSchema),
+  async (req, res) => {
+    const { query } = req.body;
+
+    console.log("=== COMPANY SEARCH REQUEST ===");
+    console.log("Search query:", query);
+
+    try {
+      const provider = getReviewProvider();
+      const entry = await getCachedResponse(
+        {
+          provider: provider.name,
+          operation: "searchCompanies",
+          variables: { query },
+        },
+        () => provider.searchCompanies(query)
+      );
+
+      sendWithValidators(req, res, entry);
+    } catch (error) {
+      console.error("=== ERROR IN COMPANY SEARCH ===");
+      console.error("Error message:", error.message);
+      console.error("Error response status:", error.response?.status);
+      console.error(
+        "Error response data:",
+        JSON.stringify(error.response?.data, null, 2)
+      );
+      console.error("Full error:", error);
+      console.error("=== END ERROR ===");
+
+      sendUpstreamError(res, error, "Failed to search companies");
+    }
+  }
+);
+
+// Company details endpoint
+app.get(
+  "/api/companies/:employerId",
+  validateParams(employerParamsSchema),
+  async (req, res) => {
+    const { employerId } = req.params;
+
+    try {
+      const provider = getReviewProvider();
+      const entry = await getCachedResponse(
+        {
+          provider: provider.name,
+          operation: "getCompanyDetails",
+          variables: { employerId },
+        },
+        () => provider.getCompanyDetails(employerId)
+      );
+
+      if (!entry.data) {
+        return res.status(404).json({ error: "Company not found" });
       }
-      __typename
+
+      sendWithValidators(req, res, entry);
+    } catch (error) {
+      console.error("Error fetching company details:", error.message);
+      sendUpstreamError(res, error, "Failed to fetch company details");
     }
-    numOfPagesAvailable
-    numOfRecordsAvailable
-    __typename
   }
-}`;
-
-  const variables = {
-    employerSearchRangeFilters: [],
-    pageRequested: 1,
-    industries: [],
-    sectors: [],
-    jobTitle: "",
-    sGocIds: [],
-    employerName: query,
-  };
+);
 
-  try {
-    console.log("Making search request to Glassdoor API...");
-    const searchResponse = await axios.post(
-      "https://www.glassdoor.com/graph",
-      {
-        query: searchQuery,
-        variables: variables,
-      },
-      {
-        headers: getAuthHeaders(),
-      }
-    );
+// GraphQL endpoint for fetching reviews
+app.post(
+  "/api/reviews",
+  validateBody(reviewsRequestSchema),
+  checkLocationFilter,
+  async (req, res) => {
+    const { employerId, page, ...filters } = req.body;
+
+    try {
+      const entry = await getReviewPage(employerId, page, filters);
+      sendWithValidators(req, res, entry);
+    } catch (error) {
+      console.error("Error fetching reviews:", error.message);
+      sendUpstreamError(res, error, "Failed to fetch reviews");
+    }
+  }
+);
+
+// Start fetching every page of reviews for an employer in the background
+app.post(
+  "/api/reviews/jobs",
+  validateBody(reviewJobRequestSchema),
+  checkLocationFilter,
+  (req, res) => {
+    const { employerId, startPage, ...filters } = req.body;
+    const job = startReviewJob(employerId, filters, startPage);
+    const { reviews, ...status } = getJobSnapshot(job);
+
+    res.status(202).json(status);
+  }
+);
 
-    const results =
-      searchResponse.data?.data?.employerSearchV2?.employerResults || [];
-    console.log("Search results count:", results.length);
-
-    // Now try to get additional info for each company by fetching a small sample of reviews
-    const enhancedResults = await Promise.all(
-      results.slice(0, 5).map(async (result) => {
-        // Limit to first 5 to avoid too many requests
-        try {
-          console.log(
-            `Fetching sample reviews for company ${result.employer.id}...`
-          );
-
-          const reviewQuery = `
-            query GetEmployerReviews($page: Int!) {
-              employerReviews: employerReviewsRG(
-                employerReviewsInput: {
-                  applyDefaultCriteria: false
-                  dynamicProfileId: 188585
-                  employer: { id: ${result.employer.id} }
-                  employmentStatuses: [REGULAR,PART_TIME]
-                  onlyCurrentEmployees: false
-                  goc: null
-                  isRowProfileEnabled: null
-                  jobTitle: null
-                  language: "eng"
-                  languageOverrides: null
-                  location: null
-                  overallRating: null
-                  page: { num: $page, size: 1 }
-                  preferredTldId: 0
-                  reviewCategories: []
-                  sort: DATE
-                  textSearch: ""
-                  useRowProfileTldForRatings: false
-                  worldwideFilter: false
-                }
-              ) {
-                allReviewsCount
-                reviews {
-                  reviewId
-                }
-              }
-            }
-          `;
-
-          const reviewResponse = await axios.post(
-            "https://www.glassdoor.com/graph",
-            {
-              query: reviewQuery,
-              variables: { page: 1 },
-            },
-            {
-              headers: getAuthHeaders(),
-            }
-          );
-
-          const reviewCount =
-            reviewResponse.data?.data?.employerReviews?.allReviewsCount || 0;
-
-          return {
-            id: result.employer.id,
-            name: result.employer.shortName,
-            logoUrl: result.employer.bestProfile?.squareLogoUrl || null,
-            ratings: result.employer.ratings,
-            reviewCount: reviewCount,
-          };
-        } catch (error) {
-          console.error(
-            `Error fetching reviews for company ${result.employer.id}:`,
-            error.message
-          );
-          return {
-            id: result.employer.id,
-            name: result.employer.shortName,
-            logoUrl: result.employer.bestProfile?.squareLogoUrl || null,
-            ratings: result.employer.ratings,
-            reviewCount: 0,
-          };
-        }
-      })
-    );
+// Current status of a review job, with its reviews once it has finished
+app.get(
+  "/api/reviews/jobs/:jobId",
+  validateParams(reviewJobParamsSchema),
+  (req, res) => {
+    const job = getReviewJob(req.params.jobId);
 
-    console.log("Enhanced results:", JSON.stringify(enhancedResults, null, 2));
-    console.log("=== END ENHANCED COMPANY SEARCH ===");
+    if (!job) {
+      return res.status(404).json({ error: "Review job not found" });
+    }
 
-    res.json(enhancedResults);
-  } catch (error) {
-    console.error("=== ERROR IN ENHANCED COMPANY SEARCH ===");
-    console.error("Error message:", error.message);
-    console.error("Error response status:", error.response?.status);
-    console.error(
-      "Error response data:",
-      JSON.stringify(error.response?.data, null, 2)
-    );
-    console.error("Full error:", error);
-    console.error("=== END ERROR ===");
+    res.json(getJobSnapshot(job));
+  }
+);
+
+// Stream a review job's progress as Server-Sent Events. Clients get a
+// "progress" event on every page and a final "complete" or "failed" event
+// carrying the reviews fetched.
+app.get(
+  "/api/reviews/jobs/:jobId/events",
+  validateParams(reviewJobParamsSchema),
+  (req, res) => {
+    const job = getReviewJob(req.params.jobId);
+
+    if (!job) {
+      return res.status(404).json({ error: "Review job not found" });
+    }
 
-    res.status(500).json({
-      error: "Failed to search companies",
-      details: error.response?.data || error.message,
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
     });
-  }
-});
-*/
-// GraphQL endpoint for fetching reviews
-app.post("/api/reviews", async (req, res) => {
-  const { employerId, page = 1 } = req.body;
+    res.flushHeaders();
 
-  if (!employerId) {
-    return res.status(400).json({ error: "employerId is required" });
-  }
+    const send = (snapshot) => {
+      const event =
+        snapshot.status === "running" ? "progress" : snapshot.status;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(snapshot)}\n\n`);
+      if (snapshot.status !== "running") res.end();
+    };
 
-  try {
-    const query = `
-    query GetEmployerReviews($page: Int!) {
-      employerReviews: employerReviewsRG(
-        employerReviewsInput: {
-          applyDefaultCriteria: false
-          dynamicProfileId: 188585
-          employer: { id: ${employerId} }
-          employmentStatuses: [REGULAR,PART_TIME]
-          onlyCurrentEmployees: false
-          goc: null
-          isRowProfileEnabled: null
-          jobTitle: null
-          language: "eng"
-          languageOverrides: null
-          location: null
-          overallRating: null
-          page: { num: $page, size: 100 }
-          preferredTldId: 0
-          reviewCategories: []
-          sort: DATE
-          textSearch: ""
-          useRowProfileTldForRatings: false
-          worldwideFilter: false
-        }
-      ) {
-        allReviewsCount
-        currentPage
-        filteredReviewsCount
-        numberOfPages
-        ratedReviewsCount
-        reviews {
-          advice
-          cons
-          employmentStatus
-          featured
-          isCurrentJob
-          jobTitle {
-            title: text
-          }
-          languageId
-          lengthOfEmployment
-          pros
-          ratingBusinessOutlook
-          ratingCareerOpportunities
-          ratingCeo
-          ratingCompensationAndBenefits
-          ratingCultureAndValues
-          ratingDiversityAndInclusion
-          ratingOverall
-          ratingRecommendToFriend
-          ratingSeniorLeadership
-          ratingWorkLifeBalance
-          reviewDateTime
-          reviewId
-          summary
-        }
-      }
-    }
-  `;
-
-    const response = await axios.post(
-      "https://www.glassdoor.com/graph",
-      {
-        query,
-        variables: { page },
-      },
-      {
-        headers: getAuthHeaders(),
-      }
-    );
+    send(getJobSnapshot(job));
+    if (job.status !== "running") return;
 
-    res.json(response.data);
-  } catch (error) {
-    console.error("Error fetching reviews:", error.message);
-    res.status(500).json({
-      error: "Failed to fetch reviews",
-      details: error.response?.data || error.message,
+    const unsubscribe = subscribeToReviewJob(job, send);
+    // Comments keep proxies from closing an idle stream
+    const heartbeat = setInterval(() => res.write(": heartbeat\n\n"), 15000);
+
+    res.on("close", () => {
+      clearInterval(heartbeat);
+      unsubscribe();
     });
   }
-});
+);
+
+// Stored reviews for an employer, served from the review store
+app.get(
+  "/api/reviews/:employerId",
+  validateParams(employerParamsSchema),
+  async (req, res) => {
+    const { employerId } = req.params;
+
+    try {
+      const stored = await getStoredReviews(employerId);
+
+      if (!stored) {
+        return res
+          .status(404)
+          .json({ error: "No stored reviews for this employer" });
+      }
+
+      res.json(stored);
+    } catch (error) {
+      console.error("Error reading stored reviews:", error.message);
+      res.status(500).json({
+        error: "Failed to read stored reviews",
+        details: error.message,
+      });
+    }
+  }
+);
 
 // Linear API integration is handled by linearService.js
 
@@ -492,71 +361,98 @@ const authenticateLinearRequest = (req, res, next) => {
 };
 
 // POST a bug report to Linear
-app.post("/api/report/bug", authenticateLinearRequest, async (req, res) => {
-  try {
-    const { title, description, priority } = req.body;
-    const apiKey = req.linearApiKey; // From environment variable
-    const teamId = process.env.LINEAR_TEAM_ID; // From environment variable
+app.post(
+  "/api/report/bug",
+  authenticateLinearRequest,
+  validateBody(reportSchema),
+  async (req, res) => {
+    try {
+      const { title, description, priority } = req.body;
+      const apiKey = req.linearApiKey; // From environment variable
+      const teamId = process.env.LINEAR_TEAM_ID; // From environment variable
+
+      if (!title || !description || !teamId) {
+        return res.status(400).json({
+          error: "Title, description, and teamId are required",
+        });
+      }
 
-    if (!title || !description || !teamId) {
-      return res.status(400).json({
-        error: "Title, description, and teamId are required",
+      // Use the submitBugReport function from linearService.js
+      const issue = await submitBugReport({
+        title,
+        description,
+        priority,
+        apiKey,
+        teamId,
       });
-    }
 
-    // Use the submitBugReport function from linearService.js
-    const issue = await submitBugReport({
-      title,
-      description,
-      priority,
-      apiKey,
-      teamId,
-    });
-
-    res.json({
-      success: true,
-      issue,
-    });
-  } catch (error) {
-    console.error("Failed to create bug report:", error);
-    res.status(500).json({ error: "Failed to create bug report" });
+      res.json({
+        success: true,
+        issue,
+      });
+    } catch (error) {
+      console.error("Failed to create bug report:", error);
+      res.status(500).json({ error: "Failed to create bug report" });
+    }
   }
-});
+);
 
 // POST a feature request to Linear
-app.post("/api/report/feature", authenticateLinearRequest, async (req, res) => {
-  try {
-    const { title, description, priority } = req.body;
-    const apiKey = req.linearApiKey; // From environment variable
-    const teamId = process.env.LINEAR_TEAM_ID; // From environment variable
+app.post(
+  "/api/report/feature",
+  authenticateLinearRequest,
+  validateBody(reportSchema),
+  async (req, res) => {
+    try {
+      const { title, description, priority } = req.body;
+      const apiKey = req.linearApiKey; // From environment variable
+      const teamId = process.env.LINEAR_TEAM_ID; // From environment variable
+
+      if (!title || !description || !teamId) {
+        return res.status(400).json({
+          error: "Title, description, and teamId are required",
+        });
+      }
 
-    if (!title || !description || !teamId) {
-      return res.status(400).json({
-        error: "Title, description, and teamId are required",
+      // Use the submitFeatureRequest function from linearService.js
+      const issue = await submitFeatureRequest({
+        title,
+        description,
+        priority,
+        apiKey,
+        teamId,
       });
-    }
 
-    // Use the submitFeatureRequest function from linearService.js
-    const issue = await submitFeatureRequest({
-      title,
-      description,
-      priority,
-      apiKey,
-      teamId,
-    });
+      res.json({
+        success: true,
+        issue,
+      });
+    } catch (error) {
+      console.error("Failed to create feature request:", error);
+      res.status(500).json({ error: "Failed to create feature request" });
+    }
+  }
+);
 
-    res.json({
-      success: true,
-      issue,
-    });
+// Deployed app version and changelog; clients poll this to offer updates
+app.get("/api/version", async (req, res) => {
+  try {
+    sendWithValidators(req, res, await getVersionManifest());
   } catch (error) {
-    console.error("Failed to create feature request:", error);
-    res.status(500).json({ error: "Failed to create feature request" });
+    console.error("Failed to load version manifest:", error);
+    res.status(503).json({ error: "Version information is unavailable" });
   }
 });
 
 // Linear API configuration is now handled via environment variables
 
+// Open the review store up front so schema problems surface at startup
+getReviewStore().catch((error) => {
+  console.error("Failed to open review store:", error);
+});
+
 app.listen(PORT, () => {
   console.log(`Server running on http://localhost:${PORT}`);
+  console.log(`Review provider: ${getReviewProvider().name}`);
+  console.log(`Upstream mode: ${getUpstreamMode()}`);
 });
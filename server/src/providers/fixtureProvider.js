@@ -0,0 +1,134 @@
+// File-backed review provider that serves recorded JSON fixtures
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { ALL_LANGUAGES, DEFAULT_REVIEW_FILTERS } from "../reviewFilters.js";
+
+const DEFAULT_FIXTURES_DIR = path.resolve(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "../../fixtures"
+);
+
+// Matches the page size used by the Glassdoor reviews query
+const PAGE_SIZE = 100;
+
+const getFixturesDir = () =>
+  path.resolve(process.env.FIXTURES_DIR || DEFAULT_FIXTURES_DIR);
+
+const readFixture = async (...segments) => {
+  const file = path.join(getFixturesDir(), ...segments);
+  try {
+    return JSON.parse(await fs.readFile(file, "utf8"));
+  } catch (error) {
+    if (error.code === "ENOENT") return null;
+    throw error;
+  }
+};
+
+const getFixtureCompanies = async () =>
+  (await readFixture("companies.json")) || [];
+
+/**
+ * Search fixture companies by name or location
+ * @param {string} query - Company name to search for
+ * @returns {Promise<Array>} Matching company search results
+ */
+const searchCompanies = async (query) => {
+  const normalizedQuery = query.toLowerCase();
+  const companies = await getFixtureCompanies();
+
+  return companies
+    .filter(
+      (company) =>
+        company.name?.toLowerCase().includes(normalizedQuery) ||
+        company.location?.toLowerCase().includes(normalizedQuery)
+    )
+    .map(({ id, name, logoUrl, website, size, location }) => ({
+      id,
+      name,
+      logoUrl: logoUrl || null,
+      website: website || null,
+      size: size || null,
+      location: location || null,
+    }));
+};
+
+// Applies the filters fixtures carry enough data for; location is ignored
+const matchesFilters = (review, filters) => {
+  const { jobTitle, language, employmentStatuses } = filters;
+
+  return (
+    (!jobTitle ||
+      review.jobTitle?.title?.toLowerCase().includes(jobTitle.toLowerCase())) &&
+    (language === ALL_LANGUAGES || review.languageId === language) &&
+    employmentStatuses.includes(review.employmentStatus)
+  );
+};
+
+/**
+ * Serve one page of recorded reviews for an employer
+ * @param {number} employerId - Employer ID with a fixture in `reviews/`
+ * @param {number} page - Page number (1-based)
+ * @param {Object} [filters] - Review filters (see reviewFilters.js)
+ * @returns {Promise<Object>} Response body shaped like the Glassdoor reviews query
+ */
+const fetchReviewPage = async (
+  employerId,
+  page,
+  filters = DEFAULT_REVIEW_FILTERS
+) => {
+  const fixture = await readFixture("reviews", `${employerId}.json`);
+  const allReviews = fixture?.reviews || [];
+  const reviews = allReviews.filter((review) =>
+    matchesFilters(review, { ...DEFAULT_REVIEW_FILTERS, ...filters })
+  );
+  const numberOfPages = Math.max(1, Math.ceil(reviews.length / PAGE_SIZE));
+  const start = (page - 1) * PAGE_SIZE;
+
+  return {
+    data: {
+      employerReviews: {
+        allReviewsCount: allReviews.length,
+        currentPage: page,
+        filteredReviewsCount: reviews.length,
+        numberOfPages,
+        ratedReviewsCount: reviews.length,
+        reviews: reviews.slice(start, start + PAGE_SIZE),
+      },
+    },
+  };
+};
+
+/**
+ * Get profile details for a fixture company
+ * @param {number} employerId - Employer ID listed in `companies.json`
+ * @returns {Promise<Object|null>} Company details, or null if not found
+ */
+const getCompanyDetails = async (employerId) => {
+  const companies = await getFixtureCompanies();
+  const company = companies.find((c) => c.id === employerId);
+
+  if (!company) return null;
+
+  const fixture = await readFixture("reviews", `${employerId}.json`);
+
+  return {
+    id: company.id,
+    name: company.name,
+    logoUrl: company.logoUrl || null,
+    website: company.website || null,
+    size: company.size || null,
+    location: company.location || null,
+    overview: company.overview || null,
+    industry: company.industry || null,
+    overallRating: company.overallRating ?? null,
+    reviewCount: fixture?.reviews?.length ?? 0,
+  };
+};
+
+export const fixtureProvider = {
+  name: "fixture",
+  searchCompanies,
+  fetchReviewPage,
+  getCompanyDetails,
+};
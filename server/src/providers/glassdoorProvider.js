@@ -0,0 +1,348 @@
+// Glassdoor review provider for gc/bc server
+import axios from "axios";
+import { sendWithRecording } from "../upstreamRecorder.js";
+import { scheduleUpstream } from "../upstreamScheduler.js";
+import { ALL_LANGUAGES, DEFAULT_REVIEW_FILTERS } from "../reviewFilters.js";
+
+const GRAPH_URL = "https://www.glassdoor.com/graph";
+
+// Get authentication headers from environment variables
+const getAuthHeaders = () => {
+  const cookies = process.env.GLASSDOOR_COOKIES;
+  const csrfToken = process.env.GLASSDOOR_CSRF_TOKEN;
+
+  if (!cookies || !csrfToken) {
+    throw new Error(
+      "Missing required environment variables: GLASSDOOR_COOKIES and GLASSDOOR_CSRF_TOKEN"
+    );
+  }
+
+  return {
+    "Content-Type": "application/json",
+    "User-Agent":
+      "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36",
+    Cookie: cookies,
+    "gd-csrf-token": csrfToken,
+  };
+};
+
+/**
+ * Send a GraphQL request to Glassdoor through the upstream scheduler,
+ * recording or replaying it per UPSTREAM_MODE
+ * @param {string} query - GraphQL query document
+ * @param {Object} variables - GraphQL variables
+ * @returns {Promise<Object>} Raw GraphQL response body
+ */
+const postGraph = async (query, variables) => {
+  const request = { query, variables };
+
+  // Requests for one employer share a queue; searches share another
+  const queueKey = variables.employerId
+    ? `employer:${variables.employerId}`
+    : "search";
+
+  return sendWithRecording(request, () =>
+    scheduleUpstream(
+      async () => {
+        const response = await axios.post(GRAPH_URL, request, {
+          headers: getAuthHeaders(),
+        });
+
+        return response.data;
+      },
+      { queueKey }
+    )
+  );
+};
+
+// Company search query
+const COMPANY_SEARCH_QUERY = `query AllResultsCompanySearch(
+    $jobTitle: String,
+    $employerName: String,
+    $locationId: Int,
+    $locationType: String,
+    $numPerPage: Int,
+    $context: Context
+  ) {
+    employerNameCompaniesData: employerSearch(
+      employerName: $employerName
+      location: {locationId: $locationId, locationType: $locationType}
+      numPerPage: $numPerPage
+      context: $context
+      sortOrder: MOSTRELEVANT
+    ) {
+      ...CompanySearchResult
+      __typename
+    }
+    directHitCompany: employerSearch(
+      filterDirectHit: true
+      employerName: $employerName
+      location: {locationId: $locationId, locationType: $locationType}
+      context: $context
+      sortOrder: MOSTRELEVANT
+    ) {
+      ...CompanySearchResult
+      __typename
+    }
+    jobTitleCompaniesData: employerSearch(
+      jobTitle: $jobTitle
+      location: {locationId: $locationId, locationType: $locationType}
+      numPerPage: $numPerPage
+      context: $context
+      sortOrder: MOSTRELEVANT
+    ) {
+      ...CompanySearchResult
+      __typename
+    }
+  }
+
+  fragment CompanySearchResult on UgcSearchV2EmployerResult {
+    employer {
+      id
+      shortName
+      squareLogoUrl
+      website
+      headquarters
+      size
+      sizeCategory
+      overview {
+        description
+        __typename
+      }
+      primaryIndustry {
+        industryId
+        industryName
+        __typename
+      }
+      links {
+        overviewUrl
+        __typename
+      }
+      counts {
+        reviewCount
+        salaryCount
+        globalJobCount {
+          jobCount
+          __typename
+        }
+        __typename
+      }
+      __typename
+    }
+    employerRatings {
+      overallRating
+      __typename
+    }
+    __typename
+  }`;
+
+// Employer reviews query; all caller-supplied values are passed as variables
+const EMPLOYER_REVIEWS_QUERY = `
+    query GetEmployerReviews(
+      $employerId: Int!
+      $page: Int!
+      $employmentStatuses: [EmploymentStatusEnum]
+      $jobTitle: JobTitleIdent
+      $language: String
+      $location: LocationIdent
+    ) {
+      employerReviews: employerReviewsRG(
+        employerReviewsInput: {
+          applyDefaultCriteria: false
+          dynamicProfileId: 188585
+          employer: { id: $employerId }
+          employmentStatuses: $employmentStatuses
+          onlyCurrentEmployees: false
+          goc: null
+          isRowProfileEnabled: null
+          jobTitle: $jobTitle
+          language: $language
+          languageOverrides: null
+          location: $location
+          overallRating: null
+          page: { num: $page, size: 100 }
+          preferredTldId: 0
+          reviewCategories: []
+          sort: DATE
+          textSearch: ""
+          useRowProfileTldForRatings: false
+          worldwideFilter: false
+        }
+      ) {
+        allReviewsCount
+        currentPage
+        filteredReviewsCount
+        numberOfPages
+        ratedReviewsCount
+        reviews {
+          advice
+          cons
+          employmentStatus
+          featured
+          isCurrentJob
+          jobTitle {
+            title: text
+          }
+          languageId
+          lengthOfEmployment
+          pros
+          ratingBusinessOutlook
+          ratingCareerOpportunities
+          ratingCeo
+          ratingCompensationAndBenefits
+          ratingCultureAndValues
+          ratingDiversityAndInclusion
+          ratingOverall
+          ratingRecommendToFriend
+          ratingSeniorLeadership
+          ratingWorkLifeBalance
+          reviewDateTime
+          reviewId
+          summary
+        }
+      }
+    }
+  `;
+
+// Employer details query
+const COMPANY_DETAILS_QUERY = `query EmployerDetails($employerId: Int!) {
+    employer(id: $employerId) {
+      id
+      shortName
+      squareLogoUrl
+      website
+      headquarters
+      size
+      overview {
+        description
+        __typename
+      }
+      primaryIndustry {
+        industryName
+        __typename
+      }
+      ratings {
+        overallRating
+        __typename
+      }
+      counts {
+        reviewCount
+        __typename
+      }
+      __typename
+    }
+  }`;
+
+/**
+ * Search Glassdoor for companies by name
+ * @param {string} query - Company name to search for
+ * @returns {Promise<Array>} Deduplicated company search results
+ */
+const searchCompanies = async (query) => {
+  const variables = {
+    context: { domain: "glassdoor.com" },
+    employerName: query,
+    jobTitle: null,
+    locationId: 1,
+    locationType: "",
+    numPerPage: 10,
+  };
+
+  const body = await postGraph(COMPANY_SEARCH_QUERY, variables);
+
+  // Combine results from all three sections
+  const allResults = [
+    ...(body?.data?.employerNameCompaniesData || []),
+    ...(body?.data?.directHitCompany || []),
+    ...(body?.data?.jobTitleCompaniesData || []),
+  ];
+
+  // Deduplicate by employer.id
+  const seen = new Set();
+  return allResults
+    .filter(
+      (result) =>
+        result &&
+        result.employer &&
+        !seen.has(result.employer.id) &&
+        seen.add(result.employer.id)
+    )
+    .map((result) => ({
+      id: result.employer.id,
+      name: result.employer.shortName,
+      logoUrl: result.employer.squareLogoUrl || result.employer.logoUrl || null,
+      website: result.employer.website || null,
+      size: result.employer.size || null,
+      location: result.employer.headquarters || null,
+    }));
+};
+
+// Location identifier field for each location type
+const LOCATION_ID_FIELDS = {
+  CITY: "cityId",
+  METRO: "metroId",
+  STATE: "stateId",
+  COUNTRY: "countryId",
+};
+
+/**
+ * Fetch one page of reviews for an employer
+ * @param {number} employerId - Glassdoor employer ID
+ * @param {number} page - Page number (1-based)
+ * @param {Object} [filters] - Review filters (see reviewFilters.js)
+ * @returns {Promise<Object>} GraphQL response body with `data.employerReviews`
+ */
+const fetchReviewPage = async (
+  employerId,
+  page,
+  filters = DEFAULT_REVIEW_FILTERS
+) => {
+  const { jobTitle, locationId, locationType, language, employmentStatuses } = {
+    ...DEFAULT_REVIEW_FILTERS,
+    ...filters,
+  };
+
+  return postGraph(EMPLOYER_REVIEWS_QUERY, {
+    employerId,
+    page,
+    employmentStatuses,
+    jobTitle: jobTitle ? { text: jobTitle } : null,
+    language: language === ALL_LANGUAGES ? null : language,
+    location:
+      locationId && locationType
+        ? { [LOCATION_ID_FIELDS[locationType]]: locationId }
+        : null,
+  });
+};
+
+/**
+ * Fetch profile details for a single employer
+ * @param {number} employerId - Glassdoor employer ID
+ * @returns {Promise<Object|null>} Company details, or null if not found
+ */
+const getCompanyDetails = async (employerId) => {
+  const body = await postGraph(COMPANY_DETAILS_QUERY, { employerId });
+  const employer = body?.data?.employer;
+
+  if (!employer) return null;
+
+  return {
+    id: employer.id,
+    name: employer.shortName,
+    logoUrl: employer.squareLogoUrl || null,
+    website: employer.website || null,
+    size: employer.size || null,
+    location: employer.headquarters || null,
+    overview: employer.overview?.description || null,
+    industry: employer.primaryIndustry?.industryName || null,
+    overallRating: employer.ratings?.overallRating ?? null,
+    reviewCount: employer.counts?.reviewCount ?? null,
+  };
+};
+
+export const glassdoorProvider = {
+  name: "glassdoor",
+  searchCompanies,
+  fetchReviewPage,
+  getCompanyDetails,
+};
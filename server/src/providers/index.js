@@ -0,0 +1,32 @@
+// Review provider registry for gc/bc server
+//
+// Every provider exposes the same interface:
+//   searchCompanies(query) -> Promise<Array<{ id, name, logoUrl, website, size, location }>>
+//   fetchReviewPage(employerId, page, filters) -> Promise<{ data: { employerReviews } }>
+//   getCompanyDetails(employerId) -> Promise<Object|null>
+import { glassdoorProvider } from "./glassdoorProvider.js";
+import { fixtureProvider } from "./fixtureProvider.js";
+
+const PROVIDERS = {
+  [glassdoorProvider.name]: glassdoorProvider,
+  [fixtureProvider.name]: fixtureProvider,
+};
+
+/**
+ * Get the review provider selected by the REVIEW_PROVIDER environment variable
+ * @returns {Object} Review provider (defaults to Glassdoor)
+ */
+export const getReviewProvider = () => {
+  const name = process.env.REVIEW_PROVIDER || glassdoorProvider.name;
+  const provider = PROVIDERS[name];
+
+  if (!provider) {
+    throw new Error(
+      `Unknown REVIEW_PROVIDER "${name}". Expected one of: ${Object.keys(
+        PROVIDERS
+      ).join(", ")}`
+    );
+  }
+
+  return provider;
+};
@@ -0,0 +1,112 @@
+// In-memory cache for upstream responses, with HTTP validators for clients
+import crypto from "crypto";
+
+const readNumber = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+};
+
+// Entries from least to most recently used, so the least recently used is
+// evicted first
+const entries = new Map();
+// Lookups currently in progress, shared by identical concurrent requests;
+// each is removed as soon as it settles
+const pending = new Map();
+
+const hash = (value) =>
+  crypto.createHash("sha256").update(JSON.stringify(value)).digest("hex");
+
+/**
+ * Get the cache settings from environment variables
+ * @returns {{ ttlMs: number, maxEntries: number }} Cache configuration
+ */
+export const getResponseCacheConfig = () => ({
+  // A TTL of 0 disables caching
+  ttlMs: readNumber("RESPONSE_CACHE_TTL_MS", 10 * 60 * 1000),
+  maxEntries: Math.max(1, readNumber("RESPONSE_CACHE_MAX_ENTRIES", 500)),
+});
+
+// Drop expired entries, then the least recently used beyond maxEntries
+const pruneEntries = (ttlMs, maxEntries) => {
+  const now = Date.now();
+  for (const [cacheKey, entry] of entries) {
+    if (now - entry.storedAt >= ttlMs) entries.delete(cacheKey);
+  }
+  while (entries.size > maxEntries) {
+    entries.delete(entries.keys().next().value);
+  }
+};
+
+/**
+ * Get a response from the cache, or load and cache it
+ * @param {Object} key - Identifies the request, e.g. { operation, variables }
+ * @param {Function} load - Fetches the response on a miss
+ * @returns {Promise<{ data: any, storedAt: number, etag: string }>} Cache entry
+ */
+export const getCachedResponse = async (key, load) => {
+  const { ttlMs, maxEntries } = getResponseCacheConfig();
+  const cacheKey = hash(key);
+
+  const cached = entries.get(cacheKey);
+  if (cached && Date.now() - cached.storedAt < ttlMs) {
+    // Move to the end as the most recently used
+    entries.delete(cacheKey);
+    entries.set(cacheKey, cached);
+    return cached;
+  }
+
+  if (pending.has(cacheKey)) {
+    return pending.get(cacheKey);
+  }
+
+  const lookup = (async () => {
+    const data = await load();
+    const entry = { data, storedAt: Date.now(), etag: `"${hash(data)}"` };
+
+    if (ttlMs > 0) {
+      entries.delete(cacheKey);
+      entries.set(cacheKey, entry);
+      pruneEntries(ttlMs, maxEntries);
+    }
+
+    return entry;
+  })().finally(() => pending.delete(cacheKey));
+
+  pending.set(cacheKey, lookup);
+  return lookup;
+};
+
+/**
+ * Send a cache entry with ETag and Last-Modified headers, answering with
+ * 304 Not Modified when the client's copy is still current
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} entry - Entry from getCachedResponse
+ */
+export const sendWithValidators = (req, res, entry) => {
+  // HTTP dates only have second precision
+  const lastModified = new Date(Math.floor(entry.storedAt / 1000) * 1000);
+
+  res.set({
+    ETag: entry.etag,
+    "Last-Modified": lastModified.toUTCString(),
+    "Cache-Control": "no-cache",
+  });
+
+  const ifNoneMatch = req.get("If-None-Match");
+  const ifModifiedSince = Date.parse(req.get("If-Modified-Since") || "");
+
+  const notModified = ifNoneMatch
+    ? ifNoneMatch
+        .split(",")
+        .map((tag) => tag.trim().replace(/^W\//, ""))
+        .some((tag) => tag === entry.etag || tag === "*")
+    : !Number.isNaN(ifModifiedSince) &&
+      lastModified.getTime() <= ifModifiedSince;
+
+  if (notModified) {
+    return res.status(304).end();
+  }
+
+  res.json(entry.data);
+};
@@ -0,0 +1,38 @@
+// Review filter definitions shared by routes and providers
+
+// Employment statuses accepted by the upstream reviews query
+export const EMPLOYMENT_STATUSES = [
+  "REGULAR",
+  "PART_TIME",
+  "CONTRACT",
+  "INTERN",
+  "FREELANCE",
+];
+
+// Kinds of location a review search can be narrowed to
+export const LOCATION_TYPES = ["CITY", "METRO", "STATE", "COUNTRY"];
+
+// Language value that disables language filtering
+export const ALL_LANGUAGES = "all";
+
+// Filters used when a request doesn't specify any
+export const DEFAULT_REVIEW_FILTERS = {
+  jobTitle: null,
+  locationId: null,
+  locationType: null,
+  language: "eng",
+  employmentStatuses: ["REGULAR", "PART_TIME"],
+};
+
+/**
+ * Check whether a filter set matches the defaults. Only the default view of
+ * an employer is persisted in the review store.
+ * @param {Object} filters - Normalized review filters
+ * @returns {boolean} Whether the filters are the defaults
+ */
+export const isDefaultReviewFilters = (filters) =>
+  filters.jobTitle === DEFAULT_REVIEW_FILTERS.jobTitle &&
+  filters.locationId === DEFAULT_REVIEW_FILTERS.locationId &&
+  filters.language === DEFAULT_REVIEW_FILTERS.language &&
+  [...filters.employmentStatuses].sort().join(",") ===
+    [...DEFAULT_REVIEW_FILTERS.employmentStatuses].sort().join(",");
@@ -0,0 +1,191 @@
+// Background jobs that fetch every review page for an employer
+import crypto from "crypto";
+import { getReviewPage } from "./reviewPages.js";
+
+const readNumber = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+};
+
+// How long a finished job is kept so clients can reconnect and collect it
+const getJobTtlMs = () => readNumber("REVIEW_JOB_TTL_MS", 10 * 60 * 1000);
+
+// Jobs by ID, and the running or recently finished job for each request
+const jobs = new Map();
+const jobIdsByKey = new Map();
+
+const getJobKey = (employerId, filters, startPage) =>
+  JSON.stringify({ employerId, filters, startPage });
+
+/**
+ * Public view of a job. Reviews are only included once it has finished.
+ * @param {Object} job - Job from startReviewJob or getReviewJob
+ * @returns {Object} Job status and progress
+ */
+export const getJobSnapshot = (job) => ({
+  jobId: job.id,
+  employerId: job.employerId,
+  filters: job.filters,
+  status: job.status,
+  startPage: job.startPage,
+  current: job.pagesFetched,
+  total: job.totalPages,
+  allReviewsCount: job.allReviewsCount,
+  reviewCount: job.reviewCount,
+  lastPage: job.lastPage,
+  failedPage: job.failedPage,
+  missingPages: job.missingPages,
+  startedAt: job.startedAt,
+  finishedAt: job.finishedAt,
+  error: job.error,
+  ...(job.status === "running" ? {} : { reviews: job.reviews }),
+});
+
+const notify = (job) => {
+  const snapshot = getJobSnapshot(job);
+  for (const listener of job.listeners) {
+    try {
+      listener(snapshot);
+    } catch (error) {
+      console.error("Review job listener failed:", error.message);
+    }
+  }
+};
+
+const finish = (job, status, pages, error = null) => {
+  // Every page fetched is kept, but lastPage stops before the first gap so a
+  // client resumes from there without missing anything; the pages after it
+  // are fetched again and deduplicated by the client
+  const lastKnownPage = job.totalPages ?? job.startPage;
+  const missingPages = [];
+  for (let page = job.startPage; page <= lastKnownPage; page++) {
+    if (!pages[page - job.startPage]) missingPages.push(page);
+  }
+  const firstGap =
+    missingPages.length > 0 ? missingPages[0] - job.startPage : pages.length;
+
+  job.status = status;
+  job.lastPage = job.startPage + firstGap - 1;
+  job.failedPage = status === "failed" ? job.lastPage + 1 : null;
+  job.missingPages = missingPages;
+  job.reviews = pages.filter(Boolean).flat();
+  job.reviewCount = job.reviews.length;
+  job.error = error;
+  job.finishedAt = new Date().toISOString();
+  notify(job);
+  job.listeners.clear();
+
+  // Forget the job after a while; a later request starts a fresh one
+  setTimeout(() => {
+    jobs.delete(job.id);
+    if (jobIdsByKey.get(job.key) === job.id) jobIdsByKey.delete(job.key);
+  }, getJobTtlMs()).unref();
+};
+
+const runJob = async (job) => {
+  // Reviews per page from startPage on, in page order, so partial results
+  // stay sorted
+  const pages = [];
+
+  const fetchPage = async (page) => {
+    const entry = await getReviewPage(job.employerId, page, job.filters);
+    const data = entry.data?.data?.employerReviews;
+    if (!data) {
+      throw new Error(`No review data returned for page ${page}`);
+    }
+
+    const reviews = data.reviews || [];
+    pages[page - job.startPage] = reviews;
+    job.pagesFetched++;
+    job.reviewCount += reviews.length;
+    notify(job);
+    return data;
+  };
+
+  try {
+    const first = await fetchPage(job.startPage);
+    job.totalPages = first.numberOfPages || 1;
+    job.allReviewsCount = first.allReviewsCount ?? null;
+    notify(job);
+
+    // The upstream scheduler limits how many of these run at once
+    const remaining = [];
+    for (let page = job.startPage + 1; page <= job.totalPages; page++) {
+      remaining.push(fetchPage(page));
+    }
+    const results = await Promise.allSettled(remaining);
+
+    const failed = results.find((result) => result.status === "rejected");
+    if (failed) throw failed.reason;
+
+    finish(job, "complete", pages);
+  } catch (error) {
+    console.error(
+      `Review job ${job.id} for employer ${job.employerId} failed:`,
+      error.message
+    );
+    finish(job, "failed", pages, error.message);
+  }
+};
+
+/**
+ * Start fetching every review page for an employer in the background. A job
+ * for the same employer and filters that is still running, or finished
+ * recently, is returned instead of starting another.
+ * @param {number} employerId - Glassdoor employer ID
+ * @param {Object} filters - Normalized review filters
+ * @param {number} [startPage=1] - First page to fetch, to resume a partial fetch
+ * @returns {Object} The job
+ */
+export const startReviewJob = (employerId, filters, startPage = 1) => {
+  const key = getJobKey(employerId, filters, startPage);
+  const existing = jobs.get(jobIdsByKey.get(key));
+  if (existing && existing.status !== "failed") {
+    return existing;
+  }
+
+  const job = {
+    id: crypto.randomUUID(),
+    key,
+    employerId,
+    filters,
+    status: "running",
+    startPage,
+    pagesFetched: 0,
+    totalPages: null,
+    allReviewsCount: null,
+    reviewCount: 0,
+    lastPage: null,
+    failedPage: null,
+    missingPages: [],
+    reviews: [],
+    error: null,
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    listeners: new Set(),
+  };
+
+  jobs.set(job.id, job);
+  jobIdsByKey.set(key, job.id);
+  runJob(job);
+
+  return job;
+};
+
+/**
+ * Look up a job by ID
+ * @param {string} jobId - Job ID
+ * @returns {Object|null} The job, or null if unknown or expired
+ */
+export const getReviewJob = (jobId) => jobs.get(jobId) || null;
+
+/**
+ * Follow a running job's progress
+ * @param {Object} job - The job
+ * @param {Function} listener - Called with a snapshot on every update
+ * @returns {Function} Stops listening
+ */
+export const subscribeToReviewJob = (job, listener) => {
+  job.listeners.add(listener);
+  return () => job.listeners.delete(listener);
+};
@@ -0,0 +1,44 @@
+// Cached review page loading for gc/bc server, shared by routes and jobs
+import { getReviewProvider } from "./providers/index.js";
+import { isDefaultReviewFilters } from "./reviewFilters.js";
+import { getCachedResponse } from "./responseCache.js";
+import { saveReviewPage } from "./reviewStore.js";
+
+/**
+ * Get one page of reviews, from the response cache or the review provider.
+ * Pages fetched with the default filters are also saved to the review store,
+ * including ones served from the cache, so the store fills in even while
+ * other pages are refetched.
+ * @param {number} employerId - Glassdoor employer ID
+ * @param {number} page - Page number, starting at 1
+ * @param {Object} filters - Normalized review filters
+ * @returns {Promise<{ data: any, storedAt: number, etag: string }>} Cache entry
+ */
+export const getReviewPage = async (employerId, page, filters) => {
+  const provider = getReviewProvider();
+
+  const entry = await getCachedResponse(
+    {
+      provider: provider.name,
+      operation: "fetchReviewPage",
+      variables: { employerId, page, filters },
+    },
+    () => provider.fetchReviewPage(employerId, page, filters)
+  );
+
+  // The store only holds the default view of each employer
+  if (isDefaultReviewFilters(filters)) {
+    try {
+      await saveReviewPage(
+        employerId,
+        page,
+        entry.data?.data?.employerReviews,
+        { fetchedAt: new Date(entry.storedAt).toISOString() }
+      );
+    } catch (storeError) {
+      console.error("Failed to store reviews page:", storeError.message);
+    }
+  }
+
+  return entry;
+};
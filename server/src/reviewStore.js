@@ -0,0 +1,221 @@
+// SQLite-backed review store for gc/bc server
+import fs from "fs";
+import path from "path";
+import sqlite3 from "sqlite3";
+import { open } from "sqlite";
+
+// Default location of the database file, relative to the server directory
+const DEFAULT_DB_PATH = "data/reviews.db";
+
+// Schema changes, applied in order and tracked with PRAGMA user_version
+const SCHEMA_MIGRATIONS = [
+  `CREATE TABLE IF NOT EXISTS employers (
+    employer_id INTEGER PRIMARY KEY,
+    all_reviews_count INTEGER,
+    number_of_pages INTEGER,
+    fetched_at TEXT
+  );
+  CREATE TABLE IF NOT EXISTS review_pages (
+    employer_id INTEGER NOT NULL,
+    page INTEGER NOT NULL,
+    fetched_at TEXT NOT NULL,
+    PRIMARY KEY (employer_id, page)
+  );
+  CREATE TABLE IF NOT EXISTS reviews (
+    employer_id INTEGER NOT NULL,
+    review_id INTEGER NOT NULL,
+    review_date_time TEXT,
+    data TEXT NOT NULL,
+    PRIMARY KEY (employer_id, review_id)
+  );
+  CREATE INDEX IF NOT EXISTS idx_reviews_employer_date
+    ON reviews (employer_id, review_date_time DESC);`,
+];
+
+let dbPromise = null;
+
+// Writes share one connection, so transactions are serialized through this chain
+let writeQueue = Promise.resolve();
+
+/**
+ * Open the review database, creating and upgrading the schema as needed
+ * @returns {Promise<import("sqlite").Database>} Open database handle
+ */
+export const getReviewStore = () => {
+  if (!dbPromise) {
+    dbPromise = (async () => {
+      const filename = path.resolve(
+        process.env.REVIEW_DB_PATH || DEFAULT_DB_PATH
+      );
+      fs.mkdirSync(path.dirname(filename), { recursive: true });
+
+      const db = await open({ filename, driver: sqlite3.Database });
+      await db.exec("PRAGMA journal_mode = WAL");
+
+      const { user_version: schemaVersion } = await db.get(
+        "PRAGMA user_version"
+      );
+      for (let i = schemaVersion; i < SCHEMA_MIGRATIONS.length; i++) {
+        await db.exec(SCHEMA_MIGRATIONS[i]);
+        await db.exec(`PRAGMA user_version = ${i + 1}`);
+      }
+
+      console.log(`Review store ready at ${filename}`);
+      return db;
+    })().catch((error) => {
+      dbPromise = null;
+      throw error;
+    });
+  }
+
+  return dbPromise;
+};
+
+/**
+ * Persist one page of reviews returned by the upstream reviews query. Pages
+ * already stored from the same or a newer response are left alone, so
+ * callers can save every page they serve, cached or not.
+ * @param {number} employerId - Glassdoor employer ID
+ * @param {number} page - Page number that was fetched
+ * @param {Object} employerReviews - The `employerReviews` object from the response
+ * @param {Object} [options]
+ * @param {string} [options.fetchedAt] - When the response was fetched
+ *   upstream, as an ISO string; defaults to now
+ * @returns {Promise<number>} Number of reviews written
+ */
+export const saveReviewPage = async (
+  employerId,
+  page,
+  employerReviews,
+  { fetchedAt = new Date().toISOString() } = {}
+) => {
+  if (!employerReviews) return 0;
+
+  const db = await getReviewStore();
+  const reviews = employerReviews.reviews || [];
+
+  const write = writeQueue.then(() =>
+    writePage(db, employerId, page, employerReviews, reviews, fetchedAt)
+  );
+  writeQueue = write.catch(() => {});
+  return write;
+};
+
+const writePage = async (
+  db,
+  employerId,
+  page,
+  employerReviews,
+  reviews,
+  fetchedAt
+) => {
+  await db.exec("BEGIN");
+  try {
+    const storedPage = await db.get(
+      "SELECT fetched_at FROM review_pages WHERE employer_id = ? AND page = ?",
+      employerId,
+      page
+    );
+    if (storedPage && storedPage.fetched_at >= fetchedAt) {
+      await db.exec("COMMIT");
+      return 0;
+    }
+
+    // A pass over the reviews lasts while the page and review counts stay
+    // the same; when they change, pages are shifted, so pages saved before
+    // the change no longer count towards the new pass. Responses older than
+    // the current pass don't change its counts.
+    const allReviewsCount = employerReviews.allReviewsCount ?? null;
+    const numberOfPages = employerReviews.numberOfPages ?? null;
+    await db.run(
+      `INSERT INTO employers (employer_id, all_reviews_count, number_of_pages, fetched_at)
+       VALUES (?, ?, ?, ?)
+       ON CONFLICT (employer_id) DO UPDATE SET
+         all_reviews_count = excluded.all_reviews_count,
+         number_of_pages = excluded.number_of_pages,
+         fetched_at = CASE
+           WHEN employers.all_reviews_count IS excluded.all_reviews_count
+             AND employers.number_of_pages IS excluded.number_of_pages
+           THEN employers.fetched_at
+           ELSE excluded.fetched_at
+         END
+       WHERE excluded.fetched_at >= employers.fetched_at`,
+      employerId,
+      allReviewsCount,
+      numberOfPages,
+      fetchedAt
+    );
+
+    await db.run(
+      `INSERT OR REPLACE INTO review_pages (employer_id, page, fetched_at)
+       VALUES (?, ?, ?)`,
+      employerId,
+      page,
+      fetchedAt
+    );
+
+    for (const review of reviews) {
+      if (!review?.reviewId) continue;
+      await db.run(
+        `INSERT OR REPLACE INTO reviews (employer_id, review_id, review_date_time, data)
+         VALUES (?, ?, ?, ?)`,
+        employerId,
+        review.reviewId,
+        review.reviewDateTime || null,
+        JSON.stringify(review)
+      );
+    }
+
+    await db.exec("COMMIT");
+    return reviews.length;
+  } catch (error) {
+    await db.exec("ROLLBACK");
+    throw error;
+  }
+};
+
+/**
+ * Get all stored reviews for an employer, newest first
+ * @param {number} employerId - Glassdoor employer ID
+ * @returns {Promise<Object|null>} Stored reviews with sync metadata, or null if nothing is stored
+ */
+export const getStoredReviews = async (employerId) => {
+  const db = await getReviewStore();
+
+  const employer = await db.get(
+    "SELECT * FROM employers WHERE employer_id = ?",
+    employerId
+  );
+  if (!employer) return null;
+
+  // Only pages from the current pass, the one started when the page or
+  // review count last changed, count towards completeness. The set is only
+  // as fresh as the oldest of them.
+  const { pagesFetched, oldestFetchedAt } = await db.get(
+    `SELECT COUNT(*) AS pagesFetched, MIN(fetched_at) AS oldestFetchedAt
+     FROM review_pages
+     WHERE employer_id = ? AND fetched_at >= ?
+       AND (? IS NULL OR page <= ?)`,
+    employerId,
+    employer.fetched_at,
+    employer.number_of_pages,
+    employer.number_of_pages
+  );
+  const rows = await db.all(
+    `SELECT data FROM reviews WHERE employer_id = ?
+     ORDER BY review_date_time DESC`,
+    employerId
+  );
+
+  return {
+    employerId: employer.employer_id,
+    allReviewsCount: employer.all_reviews_count,
+    numberOfPages: employer.number_of_pages,
+    pagesFetched,
+    complete:
+      employer.number_of_pages !== null &&
+      pagesFetched >= employer.number_of_pages,
+    fetchedAt: oldestFetchedAt ?? employer.fetched_at,
+    reviews: rows.map((row) => JSON.parse(row.data)),
+  };
+};
@@ -0,0 +1,128 @@
+// Record-and-replay support for upstream GraphQL traffic
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+
+// UPSTREAM_MODE values
+export const UPSTREAM_MODES = {
+  LIVE: "live", // Talk to the upstream API only
+  RECORD: "record", // Talk to the upstream API and save every exchange
+  REPLAY: "replay", // Answer from saved exchanges, never touch the network
+};
+
+// Default location of recordings, relative to the server directory
+const DEFAULT_RECORDINGS_DIR = "recordings";
+
+/**
+ * Get the configured upstream mode
+ * @returns {string} One of UPSTREAM_MODES
+ */
+export const getUpstreamMode = () => {
+  const mode = process.env.UPSTREAM_MODE || UPSTREAM_MODES.LIVE;
+
+  if (!Object.values(UPSTREAM_MODES).includes(mode)) {
+    throw new Error(
+      `Unknown UPSTREAM_MODE "${mode}". Expected one of: ${Object.values(
+        UPSTREAM_MODES
+      ).join(", ")}`
+    );
+  }
+
+  return mode;
+};
+
+const getRecordingsDir = () =>
+  path.resolve(process.env.RECORDINGS_DIR || DEFAULT_RECORDINGS_DIR);
+
+/**
+ * Build the file name a request is recorded under. Identical query and
+ * variables always map to the same file.
+ * @param {Object} request - GraphQL request body ({ query, variables })
+ * @returns {string} Recording file name
+ */
+const getRecordingName = ({ query, variables }) => {
+  const operation =
+    query.match(/\b(?:query|mutation)\s+(\w+)/)?.[1] || "anonymous";
+  const hash = crypto
+    .createHash("sha256")
+    .update(JSON.stringify({ query, variables }))
+    .digest("hex")
+    .slice(0, 16);
+
+  return `${operation}-${hash}.json`;
+};
+
+const saveRecording = async (request, response) => {
+  const dir = getRecordingsDir();
+  await fs.mkdir(dir, { recursive: true });
+
+  const file = path.join(dir, getRecordingName(request));
+  await fs.writeFile(
+    file,
+    JSON.stringify(
+      { recordedAt: new Date().toISOString(), request, response },
+      null,
+      2
+    )
+  );
+  console.log(`Recorded upstream exchange to ${file}`);
+};
+
+const replayRecording = async (request) => {
+  const file = path.join(getRecordingsDir(), getRecordingName(request));
+
+  let recording;
+  try {
+    recording = JSON.parse(await fs.readFile(file, "utf8"));
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      throw new Error(`No recording found for upstream request (${file})`);
+    }
+    throw error;
+  }
+
+  const { status, data } = recording.response;
+  if (status >= 400) {
+    // Mirror the shape of an axios error so callers handle it the same way
+    const replayedError = new Error(
+      `Request failed with status code ${status}`
+    );
+    replayedError.response = { status, data };
+    throw replayedError;
+  }
+
+  return data;
+};
+
+/**
+ * Send an upstream GraphQL request according to UPSTREAM_MODE
+ * @param {Object} request - GraphQL request body ({ query, variables })
+ * @param {Function} send - Performs the live request and resolves to the response body
+ * @returns {Promise<Object>} Response body
+ */
+export const sendWithRecording = async (request, send) => {
+  const mode = getUpstreamMode();
+
+  if (mode === UPSTREAM_MODES.REPLAY) {
+    return replayRecording(request);
+  }
+
+  if (mode === UPSTREAM_MODES.LIVE) {
+    return send();
+  }
+
+  try {
+    const data = await send();
+    await saveRecording(request, { status: 200, data });
+    return data;
+  } catch (error) {
+    // Failed exchanges are worth replaying too, e.g. for bug reports
+    if (error.response) {
+      await saveRecording(request, {
+        status: error.response.status,
+        data: error.response.data ?? null,
+      });
+    }
+    throw error;
+  }
+};
@@ -0,0 +1,198 @@
+// Scheduler for upstream Glassdoor requests: concurrency limits, per-employer
+// queues and retries with backoff
+
+const readNumber = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+};
+
+/**
+ * Get the scheduler settings from environment variables
+ * @returns {Object} Scheduler configuration
+ */
+export const getSchedulerConfig = () => ({
+  // Requests in flight across all queues
+  concurrency: Math.max(1, readNumber("UPSTREAM_CONCURRENCY", 4)),
+  // Requests in flight for a single employer
+  perQueueConcurrency: Math.max(
+    1,
+    readNumber("UPSTREAM_PER_EMPLOYER_CONCURRENCY", 2)
+  ),
+  // Retries after the first attempt
+  maxRetries: readNumber("UPSTREAM_MAX_RETRIES", 4),
+  // Backoff base and ceiling
+  baseDelayMs: readNumber("UPSTREAM_BASE_DELAY_MS", 500),
+  maxDelayMs: readNumber("UPSTREAM_MAX_DELAY_MS", 30000),
+});
+
+// Statuses worth retrying; everything else fails immediately
+const RETRYABLE_STATUSES = new Set([408, 429, 500, 502, 503, 504]);
+
+// Pending tasks by queue key, in insertion order for round-robin dispatch.
+// Retries wait in their queue with a notBefore time rather than holding a
+// slot while they back off.
+const queues = new Map();
+const activeByQueue = new Map();
+let activeCount = 0;
+let pausedUntil = 0;
+let wakeTimer = null;
+let wakeAt = Infinity;
+
+// Dispatch again at the given time, keeping only the earliest pending wake
+const wakeAtTime = (time) => {
+  if (wakeTimer && wakeAt <= time) return;
+  clearTimeout(wakeTimer);
+  wakeAt = time;
+  wakeTimer = setTimeout(() => {
+    wakeTimer = null;
+    wakeAt = Infinity;
+    dispatch();
+  }, Math.max(0, time - Date.now()));
+};
+
+/**
+ * Parse a Retry-After header value
+ * @param {string|undefined} value - Seconds or an HTTP date
+ * @returns {number|null} Delay in milliseconds, or null if absent/invalid
+ */
+export const parseRetryAfter = (value) => {
+  if (value === undefined || value === null || value === "") return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+// Network failures and retryable statuses are retried; anything else, such
+// as missing credentials, fails immediately
+const isRetryable = (error) =>
+  error.response
+    ? RETRYABLE_STATUSES.has(error.response.status)
+    : Boolean(error.isAxiosError);
+
+/**
+ * Delay before the next attempt: the upstream's Retry-After when given,
+ * otherwise exponential backoff with full jitter
+ */
+const getRetryDelay = (error, attempt, config) => {
+  const retryAfter = parseRetryAfter(error.response?.headers?.["retry-after"]);
+  if (retryAfter !== null) return Math.min(retryAfter, config.maxDelayMs);
+
+  const ceiling = Math.min(
+    config.maxDelayMs,
+    config.baseDelayMs * 2 ** attempt
+  );
+  return Math.round(Math.random() * ceiling);
+};
+
+const dispatch = () => {
+  const now = Date.now();
+  if (pausedUntil > now) {
+    wakeAtTime(pausedUntil);
+    return;
+  }
+
+  const config = getSchedulerConfig();
+  let nextReadyAt = Infinity;
+
+  // Take one ready task from each queue in turn so a large employer
+  // doesn't starve the others
+  let started = true;
+  while (started && activeCount < config.concurrency) {
+    started = false;
+
+    for (const queueKey of [...queues.keys()]) {
+      if (activeCount >= config.concurrency) break;
+      if ((activeByQueue.get(queueKey) || 0) >= config.perQueueConcurrency) {
+        continue;
+      }
+
+      const queue = queues.get(queueKey);
+      const index = queue.findIndex((entry) => entry.notBefore <= now);
+      if (index === -1) {
+        for (const entry of queue) {
+          nextReadyAt = Math.min(nextReadyAt, entry.notBefore);
+        }
+        continue;
+      }
+      const [entry] = queue.splice(index, 1);
+
+      // Move the queue to the back for round-robin
+      queues.delete(queueKey);
+      if (queue.length > 0) queues.set(queueKey, queue);
+
+      start(queueKey, entry);
+      started = true;
+    }
+  }
+
+  if (nextReadyAt < Infinity) wakeAtTime(nextReadyAt);
+};
+
+const enqueue = (queueKey, entry, { front = false } = {}) => {
+  if (!queues.has(queueKey)) queues.set(queueKey, []);
+  const queue = queues.get(queueKey);
+  if (front) queue.unshift(entry);
+  else queue.push(entry);
+};
+
+const release = (queueKey) => {
+  activeCount--;
+  const remaining = activeByQueue.get(queueKey) - 1;
+  if (remaining > 0) activeByQueue.set(queueKey, remaining);
+  else activeByQueue.delete(queueKey);
+};
+
+// Run one attempt. A retryable failure frees the slot and puts the task back
+// at the front of its queue until its backoff has passed.
+const start = async (queueKey, entry) => {
+  activeCount++;
+  activeByQueue.set(queueKey, (activeByQueue.get(queueKey) || 0) + 1);
+
+  try {
+    const result = await entry.task();
+    release(queueKey);
+    entry.resolve(result);
+  } catch (error) {
+    release(queueKey);
+    const config = getSchedulerConfig();
+
+    if (entry.attempt >= config.maxRetries || !isRetryable(error)) {
+      entry.reject(error);
+    } else {
+      const delay = getRetryDelay(error, entry.attempt, config);
+      const status = error.response?.status || error.code || "network error";
+      console.warn(
+        `Upstream request for ${queueKey} failed (${status}), retry ${
+          entry.attempt + 1
+        }/${config.maxRetries} in ${delay}ms`
+      );
+
+      // Rate limiting applies to the whole session, so hold every queue
+      if (error.response?.status === 429) {
+        pausedUntil = Math.max(pausedUntil, Date.now() + delay);
+      }
+
+      entry.attempt++;
+      entry.notBefore = Date.now() + delay;
+      enqueue(queueKey, entry, { front: true });
+    }
+  }
+
+  dispatch();
+};
+
+/**
+ * Run an upstream request through the scheduler
+ * @param {Function} task - Performs the request; may be called more than once
+ * @param {Object} [options]
+ * @param {string} [options.queueKey="default"] - Queue to run in, e.g. per employer
+ * @returns {Promise<any>} Result of the task
+ */
+export const scheduleUpstream = (task, { queueKey = "default" } = {}) =>
+  new Promise((resolve, reject) => {
+    enqueue(queueKey, { task, resolve, reject, attempt: 0, notBefore: 0 });
+    dispatch();
+  });
@@ -0,0 +1,46 @@
+// Request validation helpers for gc/bc server routes
+import { validate } from "../../shared/validation.js";
+
+// The field validators are shared with the client
+export { fields, validate } from "../../shared/validation.js";
+
+const validateRequestPart = (part, schema) => (req, res, next) => {
+  const input = req[part];
+  const { value, errors } =
+    input && typeof input === "object" && !Array.isArray(input)
+      ? validate(schema, input)
+      : { value: {}, errors: ["Request must be a JSON object"] };
+
+  if (errors.length > 0) {
+    return res.status(400).json({ error: errors[0], details: errors });
+  }
+
+  // Replace the raw input with the normalized values
+  req[part] = value;
+  next();
+};
+
+/**
+ * Express middleware that validates and normalizes req.body
+ * @param {Object} schema - Map of field name to validator
+ */
+export const validateBody = (schema) => validateRequestPart("body", schema);
+
+/**
+ * Express middleware that validates and normalizes req.params
+ * @param {Object} schema - Map of field name to validator
+ */
+export const validateParams = (schema) => validateRequestPart("params", schema);
+
+/**
+ * Express error handler that turns malformed JSON bodies into 400 responses
+ */
+export const handleMalformedJson = (error, req, res, next) => {
+  if (error.type === "entity.parse.failed") {
+    return res
+      .status(400)
+      .json({ error: "Request body must be valid JSON", details: [] });
+  }
+
+  next(error);
+};
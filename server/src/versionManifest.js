@@ -0,0 +1,54 @@
+// Deployed app version and changelog, published so clients can tell when a
+// newer build is live
+import crypto from "crypto";
+import fs from "fs/promises";
+
+// The version and its history, shared with the client; the API and the
+// static site deploy from the same commit
+const VERSION_HISTORY_FILE = new URL(
+  "../../shared/versionHistory.json",
+  import.meta.url
+);
+
+let manifestPromise = null;
+
+/**
+ * Load the deployed version and the changelog of every version. Migration
+ * details are only for the client; only what users are shown is published.
+ * @returns {Promise<{ data: Object, storedAt: number, etag: string }>}
+ *   Manifest entry, in the shape sendWithValidators expects
+ */
+export const getVersionManifest = () => {
+  if (!manifestPromise) {
+    manifestPromise = fs
+      .readFile(VERSION_HISTORY_FILE, "utf8")
+      .then((contents) => {
+        const versionHistory = JSON.parse(contents);
+        const data = {
+          version: versionHistory.version,
+          history: versionHistory.history.map(
+            ({ version, notes, changes, breaking, requiresMigration }) => ({
+              version,
+              notes,
+              changes,
+              breaking,
+              requiresMigration,
+            })
+          ),
+        };
+        const etag = crypto
+          .createHash("sha256")
+          .update(JSON.stringify(data))
+          .digest("hex");
+
+        return { data, storedAt: Date.now(), etag: `"${etag}"` };
+      })
+      .catch((error) => {
+        // Try again on the next request
+        manifestPromise = null;
+        throw error;
+      });
+  }
+
+  return manifestPromise;
+};
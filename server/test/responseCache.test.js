@@ -0,0 +1,123 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { getCachedResponse, sendWithValidators } from "../src/responseCache.js";
+
+// Just enough of Express's request and response for sendWithValidators
+const createRequest = (headers = {}) => ({
+  get: (name) => headers[name],
+});
+
+const createResponse = () => {
+  const res = { headers: {} };
+  res.set = vi.fn((headers) => Object.assign(res.headers, headers));
+  res.status = vi.fn(() => res);
+  res.end = vi.fn(() => res);
+  res.json = vi.fn(() => res);
+  return res;
+};
+
+describe("getCachedResponse", () => {
+  afterEach(() => {
+    vi.unstubAllEnvs();
+  });
+
+  it("shares one load between identical concurrent requests", async () => {
+    const load = vi.fn(async () => ({ page: 1 }));
+
+    const [first, second] = await Promise.all([
+      getCachedResponse({ test: "shared" }, load),
+      getCachedResponse({ test: "shared" }, load),
+    ]);
+
+    expect(load).toHaveBeenCalledTimes(1);
+    expect(second).toBe(first);
+    expect(first.etag).toMatch(/^"[0-9a-f]{64}"$/);
+  });
+
+  it("evicts the least recently used entry", async () => {
+    vi.stubEnv("RESPONSE_CACHE_MAX_ENTRIES", "2");
+    const load = vi.fn(async () => ({}));
+
+    await getCachedResponse({ test: "lru", key: 1 }, load);
+    await getCachedResponse({ test: "lru", key: 2 }, load);
+    // Using the first entry keeps it over the second
+    await getCachedResponse({ test: "lru", key: 1 }, load);
+    await getCachedResponse({ test: "lru", key: 3 }, load);
+    expect(load).toHaveBeenCalledTimes(3);
+
+    await getCachedResponse({ test: "lru", key: 1 }, load);
+    expect(load).toHaveBeenCalledTimes(3);
+    await getCachedResponse({ test: "lru", key: 2 }, load);
+    expect(load).toHaveBeenCalledTimes(4);
+  });
+
+  it("loads again once an entry expires", async () => {
+    vi.stubEnv("RESPONSE_CACHE_TTL_MS", "0");
+    const load = vi.fn(async () => ({}));
+
+    await getCachedResponse({ test: "ttl" }, load);
+    await getCachedResponse({ test: "ttl" }, load);
+
+    expect(load).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe("sendWithValidators", () => {
+  const entry = {
+    data: { reviews: [] },
+    storedAt: Date.parse("2024-07-01T10:00:00.500Z"),
+    etag: '"abc"',
+  };
+
+  it("sends the data with validators", () => {
+    const res = createResponse();
+
+    sendWithValidators(createRequest(), res, entry);
+
+    expect(res.headers).toEqual({
+      ETag: '"abc"',
+      "Last-Modified": "Mon, 01 Jul 2024 10:00:00 GMT",
+      "Cache-Control": "no-cache",
+    });
+    expect(res.json).toHaveBeenCalledWith(entry.data);
+  });
+
+  it("answers 304 when the client's ETag matches", () => {
+    const res = createResponse();
+
+    sendWithValidators(
+      createRequest({ "If-None-Match": 'W/"old", W/"abc"' }),
+      res,
+      entry
+    );
+
+    expect(res.status).toHaveBeenCalledWith(304);
+    expect(res.json).not.toHaveBeenCalled();
+  });
+
+  it("sends the data when the client's ETag is stale", () => {
+    const res = createResponse();
+
+    sendWithValidators(createRequest({ "If-None-Match": '"old"' }), res, entry);
+
+    expect(res.status).not.toHaveBeenCalled();
+    expect(res.json).toHaveBeenCalledWith(entry.data);
+  });
+
+  it("falls back to If-Modified-Since without an ETag", () => {
+    const current = createResponse();
+    sendWithValidators(
+      createRequest({ "If-Modified-Since": "Mon, 01 Jul 2024 10:00:00 GMT" }),
+      current,
+      entry
+    );
+    expect(current.status).toHaveBeenCalledWith(304);
+
+    const stale = createResponse();
+    sendWithValidators(
+      createRequest({ "If-Modified-Since": "Mon, 01 Jul 2024 09:59:59 GMT" }),
+      stale,
+      entry
+    );
+    expect(stale.json).toHaveBeenCalledWith(entry.data);
+  });
+});
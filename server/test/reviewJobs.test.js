@@ -0,0 +1,123 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { getReviewPage } from "../src/reviewPages.js";
+import {
+  getJobSnapshot,
+  startReviewJob,
+  subscribeToReviewJob,
+} from "../src/reviewJobs.js";
+import { DEFAULT_REVIEW_FILTERS } from "../src/reviewFilters.js";
+
+vi.mock("../src/reviewPages.js", () => ({ getReviewPage: vi.fn() }));
+
+// Serve numberOfPages pages of two reviews each, failing the given pages
+const servePages = (numberOfPages, failedPages = []) => {
+  getReviewPage.mockImplementation(async (employerId, page) => {
+    if (failedPages.includes(page)) {
+      throw new Error(`Page ${page} is unavailable`);
+    }
+    return {
+      data: {
+        data: {
+          employerReviews: {
+            numberOfPages,
+            allReviewsCount: numberOfPages * 2,
+            reviews: [{ reviewId: page * 10 + 1 }, { reviewId: page * 10 + 2 }],
+          },
+        },
+      },
+    };
+  });
+};
+
+const waitForJob = (job) =>
+  new Promise((resolve) => {
+    if (job.status !== "running") return resolve(getJobSnapshot(job));
+    const unsubscribe = subscribeToReviewJob(job, (snapshot) => {
+      if (snapshot.status === "running") return;
+      unsubscribe();
+      resolve(snapshot);
+    });
+  });
+
+const reviewIds = (snapshot) => snapshot.reviews.map((r) => r.reviewId);
+
+describe("review jobs", () => {
+  beforeEach(() => {
+    vi.spyOn(console, "error").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it("fetches every page in order", async () => {
+    servePages(3);
+
+    const snapshot = await waitForJob(
+      startReviewJob(1, DEFAULT_REVIEW_FILTERS)
+    );
+
+    expect(snapshot).toMatchObject({
+      status: "complete",
+      current: 3,
+      total: 3,
+      lastPage: 3,
+      failedPage: null,
+      missingPages: [],
+      reviewCount: 6,
+    });
+    expect(reviewIds(snapshot)).toEqual([11, 12, 21, 22, 31, 32]);
+  });
+
+  it("keeps pages fetched after a missing one", async () => {
+    servePages(4, [2]);
+
+    const snapshot = await waitForJob(
+      startReviewJob(2, DEFAULT_REVIEW_FILTERS)
+    );
+
+    // Resuming starts at the gap; the later pages are kept meanwhile
+    expect(snapshot).toMatchObject({
+      status: "failed",
+      lastPage: 1,
+      failedPage: 2,
+      missingPages: [2],
+      reviewCount: 6,
+      error: "Page 2 is unavailable",
+    });
+    expect(reviewIds(snapshot)).toEqual([11, 12, 31, 32, 41, 42]);
+  });
+
+  it("reports the first page missing when it fails", async () => {
+    servePages(3, [1]);
+
+    const snapshot = await waitForJob(
+      startReviewJob(3, DEFAULT_REVIEW_FILTERS)
+    );
+
+    expect(snapshot).toMatchObject({
+      status: "failed",
+      lastPage: 0,
+      failedPage: 1,
+      missingPages: [1],
+      reviews: [],
+    });
+  });
+
+  it("counts pages from where a resumed job starts", async () => {
+    servePages(5, [4]);
+
+    const snapshot = await waitForJob(
+      startReviewJob(4, DEFAULT_REVIEW_FILTERS, 3)
+    );
+
+    expect(snapshot).toMatchObject({
+      status: "failed",
+      startPage: 3,
+      lastPage: 3,
+      failedPage: 4,
+      missingPages: [4],
+    });
+    expect(reviewIds(snapshot)).toEqual([31, 32, 51, 52]);
+  });
+});
@@ -0,0 +1,173 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { afterAll, beforeAll, describe, expect, it, vi } from "vitest";
+import { getReviewPage } from "../src/reviewPages.js";
+import { DEFAULT_REVIEW_FILTERS } from "../src/reviewFilters.js";
+import {
+  getReviewStore,
+  getStoredReviews,
+  saveReviewPage,
+} from "../src/reviewStore.js";
+
+const provider = { name: "test", fetchReviewPage: vi.fn() };
+vi.mock("../src/providers/index.js", () => ({
+  getReviewProvider: () => provider,
+}));
+
+let dir;
+
+beforeAll(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "gcbc-review-store-"));
+  vi.stubEnv("REVIEW_DB_PATH", path.join(dir, "reviews.db"));
+  vi.spyOn(console, "log").mockImplementation(() => {});
+});
+
+afterAll(async () => {
+  await (await getReviewStore()).close();
+  fs.rmSync(dir, { recursive: true, force: true });
+  vi.unstubAllEnvs();
+  vi.restoreAllMocks();
+});
+
+// One page of the upstream response with a review per ID
+const reviewPage = (numberOfPages, reviewIds) => ({
+  numberOfPages,
+  allReviewsCount: numberOfPages * 2,
+  reviews: reviewIds.map((reviewId) => ({
+    reviewId,
+    reviewDateTime: `2024-06-${String(reviewId).padStart(2, "0")}T00:00:00`,
+  })),
+});
+
+describe("review store", () => {
+  it("is complete once every page is stored", async () => {
+    await saveReviewPage(1, 1, reviewPage(2, [4, 3]));
+    expect(await getStoredReviews(1)).toMatchObject({
+      pagesFetched: 1,
+      complete: false,
+    });
+
+    await saveReviewPage(1, 2, reviewPage(2, [2, 1]));
+    const stored = await getStoredReviews(1);
+
+    expect(stored).toMatchObject({ pagesFetched: 2, complete: true });
+    expect(stored.reviews.map((review) => review.reviewId)).toEqual([
+      4, 3, 2, 1,
+    ]);
+  });
+
+  it("keeps earlier pages when page 1 is fetched again", async () => {
+    await saveReviewPage(2, 1, reviewPage(2, [2]), {
+      fetchedAt: "2024-07-01T10:00:00.000Z",
+    });
+    await saveReviewPage(2, 2, reviewPage(2, [1]), {
+      fetchedAt: "2024-07-01T10:01:00.000Z",
+    });
+
+    await saveReviewPage(2, 1, reviewPage(2, [2]), {
+      fetchedAt: "2024-07-01T11:00:00.000Z",
+    });
+
+    // The set is as fresh as its oldest page
+    expect(await getStoredReviews(2)).toMatchObject({
+      pagesFetched: 2,
+      complete: true,
+      fetchedAt: "2024-07-01T10:01:00.000Z",
+    });
+  });
+
+  it("starts a new pass when the review count changes", async () => {
+    const at = (minute) => `2024-07-01T10:0${minute}:00.000Z`;
+    await saveReviewPage(4, 1, reviewPage(2, [2]), { fetchedAt: at(0) });
+    await saveReviewPage(4, 2, reviewPage(2, [1]), { fetchedAt: at(1) });
+
+    const newCount = (reviewIds) => ({
+      ...reviewPage(2, reviewIds),
+      allReviewsCount: 5,
+    });
+    await saveReviewPage(4, 1, newCount([3]), { fetchedAt: at(2) });
+
+    // Reviews from the earlier pass are kept, but its pages don't count
+    const secondPass = await getStoredReviews(4);
+    expect(secondPass).toMatchObject({
+      pagesFetched: 1,
+      complete: false,
+      fetchedAt: at(2),
+    });
+    expect(secondPass.reviews).toHaveLength(3);
+
+    await saveReviewPage(4, 2, newCount([2]), { fetchedAt: at(3) });
+    expect(await getStoredReviews(4)).toMatchObject({
+      pagesFetched: 2,
+      complete: true,
+    });
+  });
+
+  it("doesn't let an older response replace a newer one", async () => {
+    await saveReviewPage(5, 1, reviewPage(1, [2]), {
+      fetchedAt: "2024-07-01T11:00:00.000Z",
+    });
+    await saveReviewPage(
+      5,
+      1,
+      { ...reviewPage(1, [1]), allReviewsCount: 9 },
+      { fetchedAt: "2024-07-01T10:00:00.000Z" }
+    );
+
+    expect(await getStoredReviews(5)).toMatchObject({
+      allReviewsCount: 2,
+      complete: true,
+      reviews: [{ reviewId: 2 }],
+    });
+  });
+
+  it("ignores pages past the last one", async () => {
+    const fetchedAt = "2024-07-01T10:00:00.000Z";
+    await saveReviewPage(3, 3, reviewPage(3, [1]), { fetchedAt });
+    // Fewer pages now; page 3 no longer exists
+    await saveReviewPage(3, 1, reviewPage(2, [3]), { fetchedAt });
+    await saveReviewPage(3, 2, reviewPage(2, [2]), { fetchedAt });
+
+    expect(await getStoredReviews(3)).toMatchObject({
+      numberOfPages: 2,
+      pagesFetched: 2,
+      complete: true,
+    });
+  });
+
+  it("returns null for employers with nothing stored", async () => {
+    expect(await getStoredReviews(404)).toBeNull();
+  });
+});
+
+describe("getReviewPage", () => {
+  it("stores pages served from the response cache while page 1 is refetched", async () => {
+    provider.fetchReviewPage.mockImplementation(async (employerId, page) => ({
+      data: { employerReviews: reviewPage(3, [10 - page]) },
+    }));
+    const now = vi.spyOn(Date, "now");
+    const start = Date.parse("2024-07-01T10:00:00.000Z");
+    const minutes = (count) => start + count * 60 * 1000;
+
+    now.mockReturnValue(minutes(0));
+    await getReviewPage(6, 1, DEFAULT_REVIEW_FILTERS);
+    now.mockReturnValue(minutes(5));
+    await getReviewPage(6, 2, DEFAULT_REVIEW_FILTERS);
+    await getReviewPage(6, 3, DEFAULT_REVIEW_FILTERS);
+
+    // Page 1 has expired from the response cache; pages 2 and 3 haven't
+    now.mockReturnValue(minutes(11));
+    for (const page of [1, 2, 3]) {
+      await getReviewPage(6, page, DEFAULT_REVIEW_FILTERS);
+    }
+
+    expect(provider.fetchReviewPage).toHaveBeenCalledTimes(4);
+    expect(await getStoredReviews(6)).toMatchObject({
+      pagesFetched: 3,
+      complete: true,
+      fetchedAt: new Date(minutes(5)).toISOString(),
+    });
+    now.mockRestore();
+  });
+});
@@ -0,0 +1,120 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { parseRetryAfter, scheduleUpstream } from "../src/upstreamScheduler.js";
+
+// An upstream error as axios reports it
+const upstreamError = (status, retryAfter) => {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.isAxiosError = true;
+  error.response = {
+    status,
+    headers: retryAfter === undefined ? {} : { "retry-after": retryAfter },
+  };
+  return error;
+};
+
+// A task that fails with the given errors before succeeding
+const failingTask = (name, errors, log) => {
+  let attempt = 0;
+  return vi.fn(async () => {
+    log.push({ name, at: Date.now() });
+    if (attempt < errors.length) throw errors[attempt++];
+    return name;
+  });
+};
+
+describe("parseRetryAfter", () => {
+  it("reads delta-seconds", () => {
+    expect(parseRetryAfter("2")).toBe(2000);
+    expect(parseRetryAfter("0.5")).toBe(500);
+  });
+
+  it("reads HTTP dates", () => {
+    const date = new Date(Date.now() + 30000).toUTCString();
+    // HTTP dates only have second precision
+    expect(parseRetryAfter(date)).toBeGreaterThan(28000);
+    expect(parseRetryAfter(date)).toBeLessThanOrEqual(30000);
+  });
+
+  it("ignores missing and invalid values", () => {
+    expect(parseRetryAfter(undefined)).toBeNull();
+    expect(parseRetryAfter("")).toBeNull();
+    expect(parseRetryAfter("soon")).toBeNull();
+  });
+});
+
+describe("scheduleUpstream", () => {
+  let log;
+
+  beforeEach(() => {
+    log = [];
+    vi.stubEnv("UPSTREAM_CONCURRENCY", "1");
+    vi.stubEnv("UPSTREAM_MAX_RETRIES", "2");
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.unstubAllEnvs();
+    vi.restoreAllMocks();
+  });
+
+  it("frees the slot while a retry backs off", async () => {
+    const first = failingTask("first", [upstreamError(503, "0.1")], log);
+    const second = failingTask("second", [], log);
+
+    await expect(
+      Promise.all([
+        scheduleUpstream(first, { queueKey: "a" }),
+        scheduleUpstream(second, { queueKey: "b" }),
+      ])
+    ).resolves.toEqual(["first", "second"]);
+
+    expect(log.map((entry) => entry.name)).toEqual([
+      "first",
+      "second",
+      "first",
+    ]);
+    expect(log[2].at - log[0].at).toBeGreaterThanOrEqual(90);
+  });
+
+  it("holds every queue, retries included, while rate limited", async () => {
+    const first = failingTask("first", [upstreamError(429, "0.1")], log);
+    const second = failingTask("second", [], log);
+
+    await Promise.all([
+      scheduleUpstream(first, { queueKey: "a" }),
+      scheduleUpstream(second, { queueKey: "b" }),
+    ]);
+
+    const [limited, ...afterPause] = log;
+    expect(limited.name).toBe("first");
+    expect(afterPause.map((entry) => entry.name).sort()).toEqual([
+      "first",
+      "second",
+    ]);
+    afterPause.forEach((entry) =>
+      expect(entry.at - limited.at).toBeGreaterThanOrEqual(90)
+    );
+  });
+
+  it("gives up after the configured retries", async () => {
+    const task = failingTask(
+      "task",
+      Array.from({ length: 5 }, () => upstreamError(503, "0")),
+      log
+    );
+
+    await expect(scheduleUpstream(task)).rejects.toMatchObject({
+      response: { status: 503 },
+    });
+    expect(task).toHaveBeenCalledTimes(3);
+  });
+
+  it("doesn't retry errors that won't go away", async () => {
+    const task = failingTask("task", [upstreamError(400)], log);
+
+    await expect(scheduleUpstream(task)).rejects.toMatchObject({
+      response: { status: 400 },
+    });
+    expect(task).toHaveBeenCalledTimes(1);
+  });
+});
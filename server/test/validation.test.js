@@ -0,0 +1,136 @@
+import { describe, expect, it, vi } from "vitest";
+import { fields, validate, validateBody } from "../src/validation.js";
+import { ALL_LANGUAGES, DEFAULT_REVIEW_FILTERS } from "../src/reviewFilters.js";
+
+const schema = {
+  employerId: fields.integer(),
+  page: fields.integer({ max: 10000, defaultValue: 1 }),
+  language: fields.string({
+    pattern: /^[a-z]{3}$/,
+    defaultValue: DEFAULT_REVIEW_FILTERS.language,
+  }),
+  employmentStatuses: fields.arrayOf(fields.oneOf(["REGULAR", "INTERN"]), {
+    minLength: 1,
+    defaultValue: ["REGULAR"],
+  }),
+};
+
+// Just enough of an Express response for the middleware
+const createResponse = () => {
+  const res = {};
+  res.status = vi.fn(() => res);
+  res.json = vi.fn(() => res);
+  return res;
+};
+
+describe("fields.integer", () => {
+  it("converts numeric strings", () => {
+    expect(validate(schema, { employerId: "1651" }).value.employerId).toBe(
+      1651
+    );
+    expect(validate(schema, { employerId: " 42 " }).value.employerId).toBe(42);
+  });
+
+  it("rejects anything else that isn't a whole number", () => {
+    ["16.5", "1e3", "abc", 1.5, true].forEach((employerId) => {
+      expect(validate(schema, { employerId }).errors).toEqual([
+        "employerId must be an integer",
+      ]);
+    });
+  });
+
+  it("checks bounds and applies defaults", () => {
+    expect(validate(schema, { employerId: 0 }).errors).toEqual([
+      "employerId must be at least 1",
+    ]);
+    expect(validate(schema, { employerId: 1, page: "10001" }).errors).toEqual([
+      "page must be at most 10000",
+    ]);
+    expect(validate(schema, { employerId: 1 }).value.page).toBe(1);
+    expect(validate({ employerId: fields.integer() }, {}).errors).toEqual([
+      "employerId is required",
+    ]);
+  });
+});
+
+describe("review filters", () => {
+  it("accepts the language that turns language filtering off", () => {
+    const { value, errors } = validate(schema, {
+      employerId: 1,
+      language: ALL_LANGUAGES,
+    });
+
+    expect(errors).toEqual([]);
+    expect(value.language).toBe("all");
+  });
+
+  it("defaults the language when it is blank", () => {
+    expect(validate(schema, { employerId: 1, language: "  " }).value).toEqual(
+      expect.objectContaining({ language: "eng" })
+    );
+    expect(validate(schema, { employerId: 1, language: "en" }).errors).toEqual([
+      "language has an invalid format",
+    ]);
+  });
+
+  it("drops duplicate employment statuses and rejects unknown ones", () => {
+    expect(
+      validate(schema, {
+        employerId: 1,
+        employmentStatuses: ["INTERN", "INTERN", "REGULAR"],
+      }).value.employmentStatuses
+    ).toEqual(["INTERN", "REGULAR"]);
+    expect(
+      validate(schema, { employerId: 1, employmentStatuses: ["CEO"] }).errors
+    ).toEqual(["employmentStatuses[0] must be one of: REGULAR, INTERN"]);
+    expect(
+      validate(schema, { employerId: 1, employmentStatuses: [] }).errors
+    ).toEqual(["employmentStatuses must have at least 1 item(s)"]);
+  });
+});
+
+describe("validate", () => {
+  it("reports fields the schema doesn't know", () => {
+    expect(validate(schema, { employerId: 1, sort: "DATE" }).errors).toEqual([
+      "Unknown field(s): sort",
+    ]);
+  });
+
+  it("allows unknown fields when asked to", () => {
+    expect(
+      validate(schema, { employerId: 1, sort: "DATE" }, { allowUnknown: true })
+        .errors
+    ).toEqual([]);
+  });
+});
+
+describe("validateBody", () => {
+  it("replaces the body with the normalized values", () => {
+    const req = { body: { employerId: "1651" } };
+    const next = vi.fn();
+
+    validateBody(schema)(req, createResponse(), next);
+
+    expect(next).toHaveBeenCalled();
+    expect(req.body).toEqual({
+      employerId: 1651,
+      page: 1,
+      language: "eng",
+      employmentStatuses: ["REGULAR"],
+    });
+  });
+
+  it("rejects bodies that aren't objects", () => {
+    const res = createResponse();
+    const next = vi.fn();
+
+    validateBody(schema)({ body: [1651] }, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({
+      error: "Request must be a JSON object",
+      details: ["Request must be a JSON object"],
+    });
+  });
+});
@@ -0,0 +1,274 @@
+// Field validators shared by the server, which checks requests with them,
+// and the client, which checks what it has stored
+
+const isMissing = (raw) => raw === undefined || raw === null;
+
+const isObject = (raw) =>
+  Boolean(raw) && typeof raw === "object" && !Array.isArray(raw);
+
+// Result for an absent field: its default, null if optional, else an error
+const missing = (name, required, defaultValue) => {
+  if (defaultValue !== undefined) return { value: defaultValue };
+  return required ? { error: `${name} is required` } : { value: null };
+};
+
+/**
+ * Field validators. Each returns a function that takes the raw value and
+ * field name and returns { value } on success or { error } on failure.
+ */
+export const fields = {
+  /**
+   * A positive integer; numeric strings are accepted and converted
+   * @param {Object} options
+   * @param {boolean} [options.required=true] - Whether the field must be present
+   * @param {number} [options.min=1] - Smallest allowed value
+   * @param {number} [options.max] - Largest allowed value
+   * @param {number} [options.defaultValue] - Value used when the field is absent
+   */
+  integer:
+    ({ required = true, min = 1, max, defaultValue } = {}) =>
+    (raw, name) => {
+      if (isMissing(raw) || raw === "") {
+        return missing(name, required, defaultValue);
+      }
+
+      const value =
+        typeof raw === "string" && /^\d+$/.test(raw.trim())
+          ? parseInt(raw, 10)
+          : raw;
+
+      if (!Number.isSafeInteger(value)) {
+        return { error: `${name} must be an integer` };
+      }
+      if (value < min) {
+        return { error: `${name} must be at least ${min}` };
+      }
+      if (max !== undefined && value > max) {
+        return { error: `${name} must be at most ${max}` };
+      }
+
+      return { value };
+    },
+
+  /**
+   * A finite number
+   * @param {Object} options
+   * @param {boolean} [options.required=true] - Whether the field must be present
+   * @param {number} [options.min] - Smallest allowed value
+   */
+  number:
+    ({ required = true, min } = {}) =>
+    (raw, name) => {
+      if (isMissing(raw)) return missing(name, required);
+      if (typeof raw !== "number" || !Number.isFinite(raw)) {
+        return { error: `${name} must be a number` };
+      }
+      if (min !== undefined && raw < min) {
+        return { error: `${name} must be at least ${min}` };
+      }
+      return { value: raw };
+    },
+
+  /**
+   * true or false
+   * @param {Object} options
+   * @param {boolean} [options.required=true] - Whether the field must be present
+   */
+  boolean:
+    ({ required = true } = {}) =>
+    (raw, name) => {
+      if (isMissing(raw)) return missing(name, required);
+      if (typeof raw !== "boolean") {
+        return { error: `${name} must be true or false` };
+      }
+      return { value: raw };
+    },
+
+  /**
+   * A string, trimmed before validation
+   * @param {Object} options
+   * @param {boolean} [options.required=true] - Whether the field must be present and non-empty
+   * @param {number} [options.maxLength] - Longest allowed value after trimming
+   * @param {RegExp} [options.pattern] - Pattern the value must match
+   * @param {string} [options.defaultValue] - Value used when the field is absent
+   */
+  string:
+    ({ required = true, maxLength, pattern, defaultValue } = {}) =>
+    (raw, name) => {
+      if (isMissing(raw)) return missing(name, required, defaultValue);
+      if (typeof raw !== "string") {
+        return { error: `${name} must be a string` };
+      }
+
+      const value = raw.trim();
+      if (!value) return missing(name, required, defaultValue);
+      if (maxLength !== undefined && value.length > maxLength) {
+        return { error: `${name} must be at most ${maxLength} characters` };
+      }
+      if (pattern && !pattern.test(value)) {
+        return { error: `${name} has an invalid format` };
+      }
+
+      return { value };
+    },
+
+  /**
+   * A record ID: a number or a non-empty string
+   * @param {Object} options
+   * @param {boolean} [options.required=true] - Whether the field must be present
+   */
+  id:
+    ({ required = true } = {}) =>
+    (raw, name) => {
+      if (isMissing(raw) || raw === "") return missing(name, required);
+      if (
+        !(typeof raw === "number" && Number.isFinite(raw)) &&
+        typeof raw !== "string"
+      ) {
+        return { error: `${name} must be a number or string` };
+      }
+      return { value: raw };
+    },
+
+  /**
+   * One of a fixed set of string values
+   * @param {Array<string>} allowed - Allowed values
+   * @param {Object} options
+   * @param {boolean} [options.required=true] - Whether the field must be present
+   * @param {string} [options.defaultValue] - Value used when the field is absent
+   */
+  oneOf:
+    (allowed, { required = true, defaultValue } = {}) =>
+    (raw, name) => {
+      if (isMissing(raw) || raw === "") {
+        return missing(name, required, defaultValue);
+      }
+      if (!allowed.includes(raw)) {
+        return { error: `${name} must be one of: ${allowed.join(", ")}` };
+      }
+
+      return { value: raw };
+    },
+
+  /**
+   * A list of values, each checked with the same field validator; duplicates
+   * are dropped from the value
+   * @param {Function} itemValidator - Validator applied to every item
+   * @param {Object} options
+   * @param {boolean} [options.required=true] - Whether the field must be present
+   * @param {number} [options.minLength=0] - Fewest allowed items
+   * @param {number} [options.maxLength] - Most allowed items
+   * @param {Array} [options.defaultValue] - Value used when the field is absent
+   */
+  arrayOf:
+    (
+      itemValidator,
+      { required = true, minLength = 0, maxLength, defaultValue } = {}
+    ) =>
+    (raw, name) => {
+      if (isMissing(raw)) return missing(name, required, defaultValue);
+      if (!Array.isArray(raw)) {
+        return { error: `${name} must be an array` };
+      }
+      if (raw.length < minLength) {
+        return { error: `${name} must have at least ${minLength} item(s)` };
+      }
+      if (maxLength !== undefined && raw.length > maxLength) {
+        return { error: `${name} must have at most ${maxLength} item(s)` };
+      }
+
+      const value = [];
+      for (let i = 0; i < raw.length; i++) {
+        const result = itemValidator(raw[i], `${name}[${i}]`);
+        if (result.error) return { error: result.error };
+        value.push(result.value);
+      }
+
+      return { value: [...new Set(value)] };
+    },
+
+  /**
+   * An object whose values are all checked with the same field validator
+   * @param {Function} valueValidator - Validator applied to every value
+   * @param {Object} options
+   * @param {boolean} [options.required=true] - Whether the field must be present
+   */
+  mapOf:
+    (valueValidator, { required = true } = {}) =>
+    (raw, name) => {
+      if (isMissing(raw)) return missing(name, required);
+      if (!isObject(raw)) {
+        return { error: `${name} must be an object` };
+      }
+
+      const value = {};
+      for (const [key, item] of Object.entries(raw)) {
+        const result = valueValidator(item, `${name}.${key}`);
+        if (result.error) return { error: result.error };
+        value[key] = result.value;
+      }
+
+      return { value };
+    },
+
+  /**
+   * An object checked against a schema; fields the schema doesn't mention are
+   * allowed and left out of the value
+   * @param {Object} schema - Map of field name to validator
+   * @param {Object} options
+   * @param {boolean} [options.required=true] - Whether the field must be present
+   */
+  shape:
+    (schema, { required = true } = {}) =>
+    (raw, name) => {
+      if (isMissing(raw)) return missing(name, required);
+
+      const { value, errors } = validate(schema, raw, {
+        name,
+        allowUnknown: true,
+      });
+      return errors.length > 0 ? { error: errors[0] } : { value };
+    },
+};
+
+/**
+ * Validate an object against a schema of field validators
+ * @param {Object} schema - Map of field name to validator
+ * @param {any} input - Value to validate
+ * @param {Object} [options]
+ * @param {string} [options.name] - Prefix for field names in error messages,
+ *   e.g. "reviews[3]"
+ * @param {boolean} [options.allowUnknown=false] - Accept fields the schema
+ *   doesn't mention instead of reporting them
+ * @returns {{ value: Object, errors: Array<string> }} Normalized value and any errors
+ */
+export const validate = (
+  schema,
+  input,
+  { name, allowUnknown = false } = {}
+) => {
+  if (!isObject(input)) {
+    return { value: {}, errors: [`${name || "Value"} must be an object`] };
+  }
+
+  const value = {};
+  const errors = [];
+
+  for (const [field, validator] of Object.entries(schema)) {
+    const result = validator(input[field], name ? `${name}.${field}` : field);
+    if (result.error) {
+      errors.push(result.error);
+    } else {
+      value[field] = result.value;
+    }
+  }
+
+  if (!allowUnknown) {
+    const unknown = Object.keys(input).filter((field) => !(field in schema));
+    if (unknown.length > 0) {
+      errors.push(`Unknown field(s): ${unknown.join(", ")}`);
+    }
+  }
+
+  return { value, errors };
+};